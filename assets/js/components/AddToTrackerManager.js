@@ -0,0 +1,217 @@
+// assets/js/components/AddToTrackerManager.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) do envio dos nomes processados ao
+ * Game Tracker: escolha da aba de destino (existente ou nova) e pré-visualização dos
+ * nomes e plataformas, indicando os que já existem na aba (título equivalente, ver
+ * DuplicateDetector.js, na mesma plataforma ou sem plataforma definida).
+ *
+ * Nada é gravado aqui: o Controller (processor.js) obtém o plano (`getPlan`), cria os
+ * jogos e grava os dados do Tracker.
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+import {
+  createDuplicateIndex,
+  findPossibleDuplicates,
+} from "../utils/DuplicateDetector.js";
+
+const NEW_TAB_VALUE = "__new__";
+const DEFAULT_TAB_NAME = "Processador";
+
+/**
+ * Gerencia o conteúdo do modal "Adicionar ao Tracker".
+ */
+export class AddToTrackerManager {
+  /**
+   * @param {HTMLElement} domContainer Elemento (dentro do modal) onde o conteúdo é renderizado.
+   */
+  constructor(domContainer) {
+    this.domContainer = domContainer;
+    this.reset();
+  }
+
+  /** Limpa o estado do envio atual. */
+  reset() {
+    this.entries = [];
+    this.tabs = [];
+    this.destinationTabId = NEW_TAB_VALUE;
+    this.newTabName = DEFAULT_TAB_NAME;
+    // Índice da entrada -> marcado/desmarcado pelo usuário (sobrepõe o padrão)
+    this.choices = new Map();
+  }
+
+  /**
+   * Inicia um envio.
+   * @param {object} params
+   * @param {Array<{name: string, platform: string}>} params.entries Jogos processados
+   *   (plataforma "" quando não inferida).
+   * @param {Array} params.tabs Abas salvas pelo Tracker (somente leitura).
+   * @param {string} [params.newTabName] Nome sugerido para a nova aba (ex: nome da pasta).
+   */
+  open({ entries, tabs, newTabName }) {
+    this.reset();
+    this.entries = entries;
+    this.tabs = tabs;
+    this.newTabName = (newTabName || "").trim().slice(0, 30) || DEFAULT_TAB_NAME;
+    this.render();
+  }
+
+  /**
+   * Compara os nomes com os jogos da aba de destino. Um jogo com o mesmo título só
+   * conta como existente se for da mesma plataforma (ou se um dos dois não tiver
+   * plataforma). Por padrão, somente os nomes que ainda não existem na aba são marcados.
+   * @returns {Array<{name: string, platform: string, existing: Array, selected: boolean}>}
+   */
+  evaluateNames() {
+    const destinationTab = this.tabs.find((t) => t.id === this.destinationTabId);
+    const index = createDuplicateIndex(destinationTab ? [destinationTab] : []);
+    const samePlatform = (a, b) =>
+      !a || !b || a.trim().toLowerCase() === b.trim().toLowerCase();
+
+    return this.entries.map(({ name, platform }, entryIndex) => {
+      const existing = findPossibleDuplicates(index, name).filter(({ game }) =>
+        samePlatform(platform, game.platform)
+      );
+      const selected = this.choices.has(entryIndex)
+        ? this.choices.get(entryIndex)
+        : existing.length === 0;
+      return { name, platform, existing, selected };
+    });
+  }
+
+  /**
+   * Plano do envio: aba de destino e os jogos marcados.
+   * @returns {{tabId: string | null, tabName: string, games: Array<{title: string, platform: string}>}}
+   */
+  getPlan() {
+    const destinationTab = this.tabs.find((t) => t.id === this.destinationTabId);
+    return {
+      tabId: destinationTab ? destinationTab.id : null,
+      tabName: destinationTab
+        ? destinationTab.name
+        : this.newTabName.trim() || DEFAULT_TAB_NAME,
+      games: this.evaluateNames()
+        .filter(({ selected }) => selected)
+        .map(({ name, platform }) => ({ title: name, platform })),
+    };
+  }
+
+  /**
+   * Renderiza o destino e a pré-visualização dos nomes.
+   */
+  render() {
+    this.domContainer.innerHTML = "";
+
+    const options = document.createElement("div");
+    options.className = "csv-options";
+
+    const destinationLabel = document.createElement("label");
+    destinationLabel.className = "csv-field";
+    destinationLabel.textContent = "Aba de destino";
+    const destinationSelect = document.createElement("select");
+    destinationSelect.className = "select-input";
+    [
+      ...this.tabs.map((tab) => ({
+        value: tab.id,
+        label: `${tab.name} (${tab.games.length} jogos)`,
+      })),
+      { value: NEW_TAB_VALUE, label: "➕ Nova aba" },
+    ].forEach(({ value, label }) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      option.selected = value === this.destinationTabId;
+      destinationSelect.appendChild(option);
+    });
+    destinationSelect.addEventListener("change", () => {
+      this.destinationTabId = destinationSelect.value;
+      this.choices.clear(); // Os padrões dependem da aba escolhida
+      this.render();
+    });
+    destinationLabel.appendChild(destinationSelect);
+    options.appendChild(destinationLabel);
+
+    if (this.destinationTabId === NEW_TAB_VALUE) {
+      const nameLabel = document.createElement("label");
+      nameLabel.className = "csv-field";
+      nameLabel.textContent = "Nome da nova aba";
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.className = "text-input";
+      nameInput.maxLength = 30;
+      nameInput.value = this.newTabName;
+      nameInput.addEventListener("input", () => {
+        this.newTabName = nameInput.value;
+      });
+      nameLabel.appendChild(nameInput);
+      options.appendChild(nameLabel);
+    }
+    this.domContainer.appendChild(options);
+
+    this.renderPreview();
+  }
+
+  /**
+   * Renderiza o resumo e a lista de nomes (com a escolha de quais enviar).
+   */
+  renderPreview() {
+    const evaluated = this.evaluateNames();
+
+    this.summary = document.createElement("p");
+    this.summary.className = "csv-summary";
+    this.renderSummary(evaluated);
+    this.domContainer.appendChild(this.summary);
+
+    const container = document.createElement("div");
+    container.className = "data-table-container";
+    const table = document.createElement("table");
+    table.className = "data-table csv-preview";
+
+    const headerRow = table.createTHead().insertRow();
+    ["Adicionar", "Título", "Plataforma", "Na aba"].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    evaluated.forEach(({ name, platform, existing, selected }, entryIndex) => {
+      const tr = tbody.insertRow();
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = selected;
+      checkbox.setAttribute("aria-label", `Adicionar ${name}`);
+      checkbox.addEventListener("change", () => {
+        this.choices.set(entryIndex, checkbox.checked);
+        this.renderSummary(this.evaluateNames());
+      });
+      tr.insertCell().appendChild(checkbox);
+
+      tr.insertCell().textContent = name;
+      tr.insertCell().textContent = platform || "—";
+      tr.insertCell().textContent = existing.length
+        ? `⚠️ Já existe: ${existing.map(({ game }) => game.title).join(", ")}`
+        : "✅ Novo";
+    });
+
+    container.appendChild(table);
+    this.domContainer.appendChild(container);
+  }
+
+  /**
+   * Atualiza o resumo (quantos nomes serão adicionados e quantos já existem na aba).
+   * @param {Array<{existing: Array, selected: boolean}>} evaluated - Ver evaluateNames.
+   */
+  renderSummary(evaluated) {
+    const existingCount = evaluated.filter(({ existing }) => existing.length > 0).length;
+    const selectedCount = evaluated.filter(({ selected }) => selected).length;
+    this.summary.textContent =
+      `${evaluated.length} nomes: ${selectedCount} serão adicionados.` +
+      (existingCount
+        ? ` ⚠️ ${existingCount} já existem na aba (desmarcados por padrão).`
+        : "");
+  }
+}
@@ -0,0 +1,293 @@
+// assets/js/components/CleaningRulesEditor.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) que edita as regras de limpeza dos nomes
+ * de arquivos (ver CleaningRules.js): ativar/desativar, editar, reordenar, remover e
+ * adicionar regras, além de restaurar o conjunto padrão.
+ *
+ * A pré-visualização mostra, para alguns nomes de exemplo, o resultado de cada passo, e
+ * acompanha a digitação. O Controller (processor.js), que grava as regras e reprocessa a
+ * pasta, só é notificado quando uma edição é concluída (evento "change" dos campos).
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+import {
+  createDefaultCleaningRules,
+  compileCleaningRule,
+  traceCleaningRules,
+} from "../utils/CleaningRules.js";
+import { generateId } from "../utils/IdGenerator.js";
+
+const MAX_PREVIEW_SAMPLES = 5;
+
+/**
+ * Editor das regras de limpeza, renderizado no painel "Regras de Limpeza".
+ */
+export class CleaningRulesEditor {
+  /**
+   * @param {HTMLElement} domContainer Elemento onde o editor será renderizado.
+   * @param {Function} onChange Chamado com `{rules, samples}` a cada alteração.
+   */
+  constructor(domContainer, onChange) {
+    this.domContainer = domContainer;
+    this.onChange = onChange;
+    this.rules = [];
+    this.samples = [];
+    this.preview = null;
+  }
+
+  /**
+   * Define as regras e os nomes de exemplo (sem notificar o Controller).
+   * @param {{rules: Array<Object>, samples: Array<string>}} state
+   */
+  setState({ rules, samples }) {
+    this.rules = rules.map((rule) => ({ ...rule }));
+    this.samples = [...samples];
+    this.render();
+  }
+
+  /** Notifica o Controller e atualiza a pré-visualização. */
+  notifyChange() {
+    this.renderPreview();
+    this.onChange({
+      rules: this.rules.map((rule) => ({ ...rule })),
+      samples: [...this.samples],
+    });
+  }
+
+  /**
+   * Move uma regra para cima/baixo (a ordem é a ordem de aplicação).
+   * @param {number} index Índice atual.
+   * @param {number} offset -1 (subir) ou +1 (descer).
+   */
+  moveRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.rules.length) return;
+    [this.rules[index], this.rules[target]] = [
+      this.rules[target],
+      this.rules[index],
+    ];
+    this.render();
+    this.notifyChange();
+  }
+
+  /**
+   * Renderiza a lista de regras, os nomes de exemplo e a pré-visualização.
+   * Os campos de texto não recriam o DOM (o foco é preservado).
+   */
+  render() {
+    this.domContainer.innerHTML = "";
+
+    const list = document.createElement("ol");
+    list.className = "config-list cleaning-rules";
+    this.rules.forEach((rule, index) =>
+      list.appendChild(this.renderRule(rule, index))
+    );
+    if (this.rules.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "config-hint";
+      empty.textContent = "Nenhuma regra: os nomes são usados como estão.";
+      list.appendChild(empty);
+    }
+    this.domContainer.appendChild(list);
+
+    const actions = document.createElement("div");
+    actions.className = "cleaning-rules-actions";
+
+    const addBtn = document.createElement("button");
+    addBtn.type = "button";
+    addBtn.className = "secondary-btn";
+    addBtn.textContent = "➕ Adicionar regra";
+    addBtn.onclick = () => {
+      this.rules.push({
+        id: generateId(),
+        name: "",
+        pattern: "",
+        flags: "gi",
+        replacement: "",
+        enabled: true,
+      });
+      this.render();
+      this.notifyChange();
+      // Foca o nome da nova regra (o DOM foi recriado pelo render)
+      this.domContainer
+        .querySelector(".cleaning-rules > li:last-child .rule-name")
+        .focus();
+    };
+
+    const resetBtn = document.createElement("button");
+    resetBtn.type = "button";
+    resetBtn.className = "secondary-btn";
+    resetBtn.textContent = "↺ Restaurar padrão";
+    resetBtn.onclick = () => {
+      if (!confirm("Substituir todas as regras pelo conjunto padrão?")) return;
+      this.rules = createDefaultCleaningRules();
+      this.render();
+      this.notifyChange();
+    };
+
+    actions.append(addBtn, resetBtn);
+    this.domContainer.appendChild(actions);
+
+    const samplesLabel = document.createElement("label");
+    samplesLabel.className = "config-label";
+    samplesLabel.textContent = "Nomes de exemplo (um por linha)";
+    const samplesInput = document.createElement("textarea");
+    samplesInput.className = "text-input cleaning-samples";
+    samplesInput.rows = 3;
+    samplesInput.value = this.samples.join("\n");
+    samplesInput.addEventListener("input", () => {
+      this.samples = samplesInput.value.split("\n").filter((line) => line.trim());
+      this.renderPreview();
+    });
+    samplesInput.addEventListener("change", () => this.notifyChange());
+    samplesLabel.appendChild(samplesInput);
+    this.domContainer.appendChild(samplesLabel);
+
+    this.preview = document.createElement("div");
+    this.preview.className = "data-table-container";
+    this.domContainer.appendChild(this.preview);
+    this.renderPreview();
+  }
+
+  /**
+   * Renderiza uma regra (ativa, nome, padrão, flags, substituição, mover e remover).
+   * @param {Object} rule
+   * @param {number} index
+   * @returns {HTMLLIElement}
+   */
+  renderRule(rule, index) {
+    const li = document.createElement("li");
+    li.className = `config-row cleaning-rule ${rule.enabled ? "" : "disabled"}`;
+
+    const enabledInput = document.createElement("input");
+    enabledInput.type = "checkbox";
+    enabledInput.checked = rule.enabled;
+    enabledInput.title = "Ativar/desativar a regra";
+    enabledInput.addEventListener("change", () => {
+      rule.enabled = enabledInput.checked;
+      li.classList.toggle("disabled", !rule.enabled);
+      this.notifyChange();
+    });
+    li.appendChild(enabledInput);
+
+    const error = document.createElement("span");
+    error.className = "cleaning-rule-error";
+    const renderError = () => {
+      try {
+        compileCleaningRule(rule);
+        error.textContent = "";
+      } catch (e) {
+        error.textContent = `⚠️ Regra ignorada: ${e.message}`;
+      }
+    };
+
+    [
+      { field: "name", placeholder: "Descrição" },
+      { field: "pattern", placeholder: "Localizar (expressão regular)" },
+      {
+        field: "flags",
+        placeholder: "Flags",
+        title: "Flags da expressão (g: todas as ocorrências, i: ignora maiúsculas)",
+      },
+      { field: "replacement", placeholder: "Substituir por ($1 = grupo 1)" },
+    ].forEach(({ field, placeholder, title }) => {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = `text-input rule-${field}`;
+      input.value = rule[field];
+      input.placeholder = placeholder;
+      input.title = title || placeholder;
+      input.setAttribute("aria-label", placeholder);
+      input.addEventListener("input", () => {
+        rule[field] = input.value;
+        renderError();
+        this.renderPreview();
+      });
+      // Ao concluir a edição (sair do campo ou Enter): grava e reprocessa a pasta
+      input.addEventListener("change", () => this.notifyChange());
+      li.appendChild(input);
+    });
+
+    li.append(
+      this.createIconButton("▲", "Mover para cima", () => this.moveRule(index, -1)),
+      this.createIconButton("▼", "Mover para baixo", () => this.moveRule(index, 1)),
+      this.createIconButton("🗑️", "Remover regra", () => {
+        this.rules.splice(index, 1);
+        this.render();
+        this.notifyChange();
+      })
+    );
+
+    renderError();
+    li.appendChild(error);
+    return li;
+  }
+
+  /**
+   * Tabela com o resultado de cada regra ativa para os nomes de exemplo.
+   * Passos que não alteraram o nome ficam esmaecidos.
+   */
+  renderPreview() {
+    this.preview.innerHTML = "";
+    const samples = this.samples.slice(0, MAX_PREVIEW_SAMPLES);
+    if (samples.length === 0) return;
+
+    const traces = samples.map((sample) => traceCleaningRules(sample, this.rules));
+    const table = document.createElement("table");
+    table.className = "data-table csv-preview cleaning-preview";
+
+    const headerRow = table.createTHead().insertRow();
+    ["Passo", ...samples.map((_, i) => `Exemplo ${i + 1}`)].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    const addRow = (label, cells, className = "") => {
+      const tr = tbody.insertRow();
+      if (className) tr.className = className;
+      tr.insertCell().textContent = label;
+      cells.forEach(({ text, unchanged }) => {
+        const td = tr.insertCell();
+        td.textContent = text;
+        if (unchanged) td.className = "step-unchanged";
+      });
+    };
+
+    addRow("Original", samples.map((sample) => ({ text: sample })));
+    traces[0].steps.forEach((step, stepIndex) => {
+      addRow(
+        step.rule.name || step.rule.pattern || "(sem nome)",
+        traces.map(({ steps }) => {
+          const { value, changed, error } = steps[stepIndex];
+          return error
+            ? { text: "⚠️ Regra inválida", unchanged: true }
+            : { text: value, unchanged: !changed };
+        })
+      );
+    });
+    addRow(
+      "Resultado",
+      traces.map(({ result }) => ({ text: result || "(vazio: ignorado)" })),
+      "cleaning-result-row"
+    );
+
+    this.preview.appendChild(table);
+  }
+
+  /**
+   * @returns {HTMLButtonElement}
+   */
+  createIconButton(text, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "icon-btn";
+    button.textContent = text;
+    button.title = title;
+    button.onclick = onClick;
+    return button;
+  }
+}
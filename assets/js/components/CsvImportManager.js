@@ -0,0 +1,324 @@
+// assets/js/components/CsvImportManager.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) da importação de CSV: escolha do
+ * separador, mapeamento das colunas do arquivo para os campos do GameRow,
+ * escolha da aba de destino e pré-visualização com a validação de cada linha.
+ *
+ * Nada é gravado aqui: o Controller obtém o plano de importação (`getPlan`)
+ * e aplica as linhas válidas como um único comando.
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+import {
+  CSV_COLUMNS,
+  parseCsv,
+  guessColumnMapping,
+  csvRowToGameData,
+} from "../utils/CsvService.js";
+import { getTabConfig } from "../utils/TabConfig.js";
+import { GameRow } from "../models/GameRow.js";
+import {
+  createDuplicateIndex,
+  findPossibleDuplicates,
+} from "../utils/DuplicateDetector.js";
+
+const PREVIEW_ROWS = 20;
+const NEW_TAB_VALUE = "__new__";
+
+/**
+ * Gerencia o conteúdo do modal de importação de CSV.
+ */
+export class CsvImportManager {
+  /**
+   * @param {HTMLElement} domContainer Elemento (dentro do modal) onde o conteúdo é renderizado.
+   */
+  constructor(domContainer) {
+    this.domContainer = domContainer;
+    this.reset();
+  }
+
+  /** Limpa o estado da importação atual. */
+  reset() {
+    this.fileName = "";
+    this.text = "";
+    this.parsed = { separator: ";", headers: [], rows: [] };
+    this.mapping = {};
+    this.tabs = [];
+    this.duplicateIndex = new Map(); // Títulos das abas atuais (avisos de duplicados)
+    this.destinationTabId = NEW_TAB_VALUE;
+  }
+
+  /**
+   * Inicia uma importação: faz o parse do arquivo e sugere o mapeamento pelos cabeçalhos.
+   * @param {object} params
+   * @param {string} params.fileName Nome do arquivo (usado como nome da nova aba).
+   * @param {string} params.text Conteúdo do arquivo.
+   * @param {Array} params.tabs Abas atuais (somente leitura, para destino e validação).
+   * @param {string | null} params.activeTabId Aba sugerida como destino.
+   */
+  open({ fileName, text, tabs, activeTabId }) {
+    this.reset();
+    this.fileName = fileName;
+    this.text = text;
+    this.tabs = tabs;
+    this.duplicateIndex = createDuplicateIndex(tabs);
+    this.destinationTabId = activeTabId || NEW_TAB_VALUE;
+    this.setSeparator(null);
+  }
+
+  /**
+   * Refaz o parse com outro separador (null = detecção automática).
+   * @param {";" | "," | null} separator
+   */
+  setSeparator(separator) {
+    this.parsed = parseCsv(this.text, separator);
+    this.mapping = guessColumnMapping(this.parsed.headers);
+    this.render();
+  }
+
+  /**
+   * Nome da aba criada quando o destino é "Nova aba" (nome do arquivo sem extensão).
+   * @returns {string}
+   */
+  getNewTabName() {
+    return this.fileName.replace(/\.[^/.]+$/, "").trim().slice(0, 30) || "CSV";
+  }
+
+  /**
+   * Converte e valida todas as linhas conforme o mapeamento e o destino atuais.
+   * Linhas com a coluna "Aba" preenchida vão para a aba com esse nome (existente ou nova).
+   * `duplicates` lista os jogos já existentes (em qualquer aba) com título equivalente.
+   * @returns {Array<{line: number, tabId: string | null, tabName: string, game: Object, errors: Array<string>, duplicates: Array}>}
+   */
+  evaluateRows() {
+    const destinationTab = this.tabs.find((t) => t.id === this.destinationTabId);
+
+    return this.parsed.rows.map((row, index) => {
+      const { tabName, data } = csvRowToGameData(row, this.mapping);
+
+      let tab = destinationTab || null;
+      let targetName = destinationTab ? destinationTab.name : this.getNewTabName();
+      if (tabName) {
+        tab =
+          this.tabs.find((t) => t.name.toLowerCase() === tabName.toLowerCase()) ||
+          null;
+        targetName = tab ? tab.name : tabName;
+      }
+
+      // Validação pelo Model, com a configuração (status/dificuldades) da aba de destino
+      const gameRow = GameRow.fromJSON(data, getTabConfig(tab));
+      const { errors } = gameRow.validate();
+
+      return {
+        line: index + 2, // +1 pelo cabeçalho, +1 porque linhas de planilha começam em 1
+        tabId: tab ? tab.id : null,
+        tabName: targetName,
+        game: gameRow.toJSON(),
+        errors,
+        duplicates: findPossibleDuplicates(this.duplicateIndex, gameRow.title),
+      };
+    });
+  }
+
+  /**
+   * Plano de importação com as linhas válidas agrupadas por aba de destino.
+   * @returns {{groups: Array<{tabId: string | null, tabName: string, games: Array}>, validCount: number, invalidCount: number}}
+   */
+  getPlan() {
+    const evaluated = this.evaluateRows();
+    const groups = new Map();
+
+    evaluated
+      .filter((row) => row.errors.length === 0)
+      .forEach((row) => {
+        const key = row.tabId || `new:${row.tabName.toLowerCase()}`;
+        if (!groups.has(key)) {
+          groups.set(key, { tabId: row.tabId, tabName: row.tabName, games: [] });
+        }
+        groups.get(key).games.push(row.game);
+      });
+
+    const validCount = evaluated.filter((row) => row.errors.length === 0).length;
+    return {
+      groups: Array.from(groups.values()),
+      validCount,
+      invalidCount: evaluated.length - validCount,
+    };
+  }
+
+  /**
+   * Renderiza configurações (separador, destino), mapeamento e pré-visualização.
+   */
+  render() {
+    this.domContainer.innerHTML = "";
+
+    const options = document.createElement("div");
+    options.className = "csv-options";
+    options.appendChild(
+      this.createLabeledSelect(
+        "Separador",
+        [
+          { value: ";", label: "Ponto e vírgula (;)" },
+          { value: ",", label: "Vírgula (,)" },
+        ],
+        this.parsed.separator,
+        (value) => this.setSeparator(value)
+      )
+    );
+    options.appendChild(
+      this.createLabeledSelect(
+        "Aba de destino (linhas sem a coluna Aba)",
+        [
+          ...this.tabs.map((tab) => ({ value: tab.id, label: tab.name })),
+          { value: NEW_TAB_VALUE, label: `Nova aba: ${this.getNewTabName()}` },
+        ],
+        this.destinationTabId,
+        (value) => {
+          this.destinationTabId = value;
+          this.render();
+        }
+      )
+    );
+    this.domContainer.appendChild(options);
+
+    // Mapeamento: campo do GameRow -> coluna do CSV
+    const mappingHeading = document.createElement("h3");
+    mappingHeading.textContent = "Mapeamento de colunas";
+    this.domContainer.appendChild(mappingHeading);
+
+    const mappingGrid = document.createElement("div");
+    mappingGrid.className = "csv-mapping";
+    const columnOptions = [
+      { value: "-1", label: "— Ignorar —" },
+      ...this.parsed.headers.map((header, index) => ({
+        value: String(index),
+        label: header || `Coluna ${index + 1}`,
+      })),
+    ];
+    CSV_COLUMNS.forEach(({ field, header }) => {
+      mappingGrid.appendChild(
+        this.createLabeledSelect(
+          header,
+          columnOptions,
+          String(this.mapping[field] ?? -1),
+          (value) => {
+            this.mapping[field] = Number(value);
+            this.render();
+          }
+        )
+      );
+    });
+    this.domContainer.appendChild(mappingGrid);
+
+    this.renderPreview();
+  }
+
+  /**
+   * Renderiza o resumo da validação e as primeiras linhas convertidas.
+   */
+  renderPreview() {
+    const evaluated = this.evaluateRows();
+    const invalidCount = evaluated.filter((row) => row.errors.length > 0).length;
+    const duplicateCount = evaluated.filter(
+      (row) => row.errors.length === 0 && row.duplicates.length > 0
+    ).length;
+
+    const summary = document.createElement("p");
+    summary.className = "csv-summary";
+    summary.textContent =
+      `${evaluated.length} linhas: ${evaluated.length - invalidCount} válidas` +
+      (invalidCount ? `, ${invalidCount} com erros (serão ignoradas).` : ".");
+    if (duplicateCount) {
+      summary.textContent += ` ⚠️ ${duplicateCount} possíveis duplicados (serão importados).`;
+    }
+    if (this.mapping.title < 0) {
+      summary.textContent += " Mapeie a coluna de Título para importar.";
+    }
+    this.domContainer.appendChild(summary);
+
+    const container = document.createElement("div");
+    container.className = "data-table-container";
+    const table = document.createElement("table");
+    table.className = "data-table csv-preview";
+
+    const headerRow = table.createTHead().insertRow();
+    ["Linha", "Aba", "Título", "Status", "Nota", "Dificuldade", "Validação"].forEach(
+      (label) => {
+        const th = document.createElement("th");
+        th.textContent = label;
+        headerRow.appendChild(th);
+      }
+    );
+
+    const tbody = table.createTBody();
+    evaluated.slice(0, PREVIEW_ROWS).forEach((row) => {
+      const tr = tbody.insertRow();
+      tr.className = row.errors.length ? "invalid-row" : "";
+      [
+        row.line,
+        row.tabName,
+        row.game.title,
+        row.game.status,
+        row.game.note,
+        row.game.difficulty,
+        row.errors.length
+          ? `❌ ${row.errors.join("; ")}`
+          : this.describeDuplicates(row.duplicates),
+      ].forEach((value) => {
+        tr.insertCell().textContent = value;
+      });
+    });
+
+    container.appendChild(table);
+    this.domContainer.appendChild(container);
+
+    if (evaluated.length > PREVIEW_ROWS) {
+      const more = document.createElement("p");
+      more.className = "config-hint";
+      more.textContent = `Exibindo ${PREVIEW_ROWS} de ${evaluated.length} linhas.`;
+      this.domContainer.appendChild(more);
+    }
+  }
+
+  /**
+   * Texto da coluna de validação de uma linha válida.
+   * @param {Array<{tabName: string, game: Object}>} duplicates
+   * @returns {string}
+   */
+  describeDuplicates(duplicates) {
+    if (duplicates.length === 0) return "✅";
+    return `⚠️ Possível duplicado: ${duplicates
+      .map(({ tabName, game }) => `${game.title} (${tabName})`)
+      .join(", ")}`;
+  }
+
+  /**
+   * Cria um <label> com um <select>.
+   * @param {string} labelText
+   * @param {Array<{value: string, label: string}>} options
+   * @param {string} selectedValue
+   * @param {Function} onChange Recebe o valor selecionado.
+   * @returns {HTMLLabelElement}
+   */
+  createLabeledSelect(labelText, options, selectedValue, onChange) {
+    const label = document.createElement("label");
+    label.className = "csv-field";
+    label.textContent = labelText;
+
+    const select = document.createElement("select");
+    select.className = "select-input";
+    options.forEach(({ value, label: text }) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      option.selected = value === selectedValue;
+      select.appendChild(option);
+    });
+    select.addEventListener("change", () => onChange(select.value));
+
+    label.appendChild(select);
+    return label;
+  }
+}
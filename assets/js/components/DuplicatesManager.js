@@ -0,0 +1,115 @@
+// assets/js/components/DuplicatesManager.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) da busca de duplicados: lista os grupos de
+ * jogos com títulos equivalentes (em todas as abas) e permite mesclar cada grupo
+ * em um único jogo, escolhendo qual deles é mantido.
+ *
+ * A mesclagem é feita pelo Controller (um comando no histórico por grupo).
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+/**
+ * Gerencia o conteúdo do modal de duplicados.
+ */
+export class DuplicatesManager {
+  /**
+   * @param {HTMLElement} domContainer Elemento (dentro do modal) onde o conteúdo é renderizado.
+   * @param {object} callbacks
+   * @param {Function} callbacks.onMerge Recebe (IDs dos jogos do grupo, ID do jogo mantido).
+   * @param {Function} callbacks.onReveal Recebe (ID da aba, ID do jogo) para exibi-lo na tabela.
+   */
+  constructor(domContainer, callbacks) {
+    this.domContainer = domContainer;
+    this.onMerge = callbacks.onMerge;
+    this.onReveal = callbacks.onReveal;
+    this.keptIds = {}; // chave do grupo -> ID do jogo escolhido para ficar
+  }
+
+  /**
+   * Renderiza os grupos de duplicados.
+   * @param {Array<{key: string, entries: Array<{tabId: string, tabName: string, game: Object}>}>} groups
+   */
+  render(groups) {
+    this.domContainer.innerHTML = "";
+
+    const summary = document.createElement("p");
+    summary.className = "csv-summary";
+    summary.textContent = groups.length
+      ? `${groups.length} grupo(s) de jogos com títulos equivalentes (ignorando maiúsculas, acentos, ` +
+        "pontuação e numerais romanos)."
+      : "✅ Nenhum jogo duplicado encontrado.";
+    this.domContainer.appendChild(summary);
+
+    groups.forEach((group) => this.domContainer.appendChild(this.renderGroup(group)));
+  }
+
+  /**
+   * Renderiza um grupo: tabela com os jogos, escolha do jogo mantido e o botão de mesclar.
+   * @param {{key: string, entries: Array}} group
+   * @returns {HTMLDivElement}
+   */
+  renderGroup({ key, entries }) {
+    const ids = entries.map(({ game }) => game.id);
+    if (!ids.includes(this.keptIds[key])) {
+      // Padrão: o jogo alterado mais recentemente
+      this.keptIds[key] = [...entries].sort((a, b) =>
+        (b.game.updatedAt || "").localeCompare(a.game.updatedAt || "")
+      )[0].game.id;
+    }
+
+    const box = document.createElement("div");
+    box.className = "import-conflict";
+
+    const table = document.createElement("table");
+    table.className = "data-table csv-preview";
+    const headerRow = table.createTHead().insertRow();
+    ["Manter", "Aba", "Título", "Status", "Nota", "Horas", ""].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    entries.forEach(({ tabId, tabName, game }) => {
+      const tr = tbody.insertRow();
+
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = `duplicate-${key}`;
+      radio.checked = this.keptIds[key] === game.id;
+      radio.setAttribute("aria-label", `Manter ${game.title} (${tabName})`);
+      radio.addEventListener("change", () => {
+        this.keptIds[key] = game.id;
+      });
+      tr.insertCell().appendChild(radio);
+
+      [tabName, game.title, game.status, game.note, game.hoursPlayed].forEach(
+        (value) => {
+          tr.insertCell().textContent = value;
+        }
+      );
+
+      const revealBtn = document.createElement("button");
+      revealBtn.type = "button";
+      revealBtn.className = "link-btn";
+      revealBtn.textContent = "Ver";
+      revealBtn.onclick = () => this.onReveal(tabId, game.id);
+      tr.insertCell().appendChild(revealBtn);
+    });
+    box.appendChild(table);
+
+    const mergeBtn = document.createElement("button");
+    mergeBtn.type = "button";
+    mergeBtn.className = "secondary-btn";
+    mergeBtn.textContent = "🔗 Mesclar no selecionado";
+    mergeBtn.title =
+      "Mantém o jogo selecionado, completa plataforma/datas vazias, une as tags, " +
+      "fica com o maior número de horas e exclui os outros";
+    mergeBtn.onclick = () => this.onMerge(ids, this.keptIds[key]);
+    box.appendChild(mergeBtn);
+
+    return box;
+  }
+}
@@ -0,0 +1,307 @@
+// assets/js/components/ImportMergeManager.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) da importação de JSON: escolha entre
+ * mesclar com os dados atuais ou substituir tudo, exibição do diff (jogos adicionados
+ * e em conflito) e escolha do vencedor de cada conflito.
+ *
+ * Nada é gravado aqui: o Controller obtém a escolha do usuário (`getResult`)
+ * e aplica a importação como um único comando.
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+import { planMerge, resolveNewestWins } from "../utils/ImportMerge.js";
+import { GameFieldLabels } from "../utils/EnumOptionsTable.js";
+import {
+  createDuplicateIndex,
+  findPossibleDuplicates,
+} from "../utils/DuplicateDetector.js";
+
+/**
+ * Gerencia o conteúdo do modal de importação de JSON.
+ */
+export class ImportMergeManager {
+  /**
+   * @param {HTMLElement} domContainer Elemento (dentro do modal) onde o conteúdo é renderizado.
+   */
+  constructor(domContainer) {
+    this.domContainer = domContainer;
+    this.reset();
+  }
+
+  /** Limpa o estado da importação atual. */
+  reset() {
+    this.fileName = "";
+    this.localTabs = [];
+    this.duplicateIndex = new Map(); // Títulos das abas atuais (avisos de duplicados)
+    this.incomingTabs = [];
+    this.plan = null;
+    this.mode = "merge";
+    this.resolutions = {};
+  }
+
+  /**
+   * Inicia uma importação e calcula o diff da mesclagem.
+   * @param {object} params
+   * @param {string} params.fileName Nome do arquivo importado.
+   * @param {Array} params.localTabs Abas atuais (somente leitura).
+   * @param {Array} params.incomingTabs Abas do arquivo (já migradas e normalizadas).
+   */
+  open({ fileName, localTabs, incomingTabs }) {
+    this.reset();
+    this.fileName = fileName;
+    this.localTabs = localTabs;
+    this.duplicateIndex = createDuplicateIndex(localTabs);
+    this.incomingTabs = incomingTabs;
+    this.plan = planMerge(localTabs, incomingTabs);
+    // Cada conflito começa com a versão mais recente; o usuário pode trocar qualquer um
+    this.resolutions = resolveNewestWins(this.plan);
+    this.render();
+  }
+
+  /** Aplica a regra "o mais recente vence" a todos os conflitos (desfaz escolhas manuais). */
+  applyNewestWins() {
+    this.resolutions = resolveNewestWins(this.plan);
+    this.render();
+  }
+
+  /**
+   * Escolha do usuário para o Controller aplicar.
+   * @returns {{mode: "merge" | "replace", plan: Object, resolutions: Object<string, "local" | "incoming">, incomingTabs: Array}}
+   */
+  getResult() {
+    return {
+      mode: this.mode,
+      plan: this.plan,
+      resolutions: { ...this.resolutions },
+      incomingTabs: this.incomingTabs,
+    };
+  }
+
+  /**
+   * Renderiza a escolha do modo e, na mesclagem, o diff por aba.
+   */
+  render() {
+    this.domContainer.innerHTML = "";
+
+    const modes = document.createElement("div");
+    modes.className = "import-modes";
+    [
+      { value: "merge", label: "Mesclar com os dados atuais" },
+      { value: "replace", label: "Substituir tudo" },
+    ].forEach(({ value, label }) => {
+      const option = document.createElement("label");
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = "import-mode";
+      radio.value = value;
+      radio.checked = this.mode === value;
+      radio.addEventListener("change", () => {
+        this.mode = value;
+        this.render();
+      });
+      option.append(radio, ` ${label}`);
+      modes.appendChild(option);
+    });
+    this.domContainer.appendChild(modes);
+
+    const summary = document.createElement("p");
+    summary.className = "csv-summary";
+    this.domContainer.appendChild(summary);
+
+    if (this.mode === "replace") {
+      const localGames = this.countGames(this.localTabs);
+      summary.textContent =
+        `Suas ${this.localTabs.length} abas (${localGames} jogos) serão substituídas por ` +
+        `${this.incomingTabs.length} abas (${this.countGames(this.incomingTabs)} jogos) de "${this.fileName}".`;
+      return;
+    }
+
+    const { totals } = this.plan;
+    summary.textContent =
+      `${totals.added} jogos adicionados, ${totals.conflicts} em conflito ` +
+      `(${totals.newer} com a versão importada mais recente), ${totals.unchanged} sem alterações` +
+      (totals.moved ? `, ${totals.moved} em outras abas` : "") +
+      (totals.newTabs ? ` (${totals.newTabs} abas novas).` : ".");
+
+    if (totals.conflicts > 0) {
+      const newestBtn = document.createElement("button");
+      newestBtn.type = "button";
+      newestBtn.className = "secondary-btn";
+      newestBtn.textContent = "🕒 Mais recente vence (todos)";
+      newestBtn.title =
+        "Escolhe a versão alterada mais recentemente; sem data, mantém a versão atual";
+      newestBtn.onclick = () => this.applyNewestWins();
+      this.domContainer.appendChild(newestBtn);
+    }
+
+    this.plan.tabs.forEach((tabPlan) => this.renderTabPlan(tabPlan));
+  }
+
+  /**
+   * Renderiza o diff de uma aba importada.
+   * @param {Object} tabPlan Item de plan.tabs.
+   */
+  renderTabPlan(tabPlan) {
+    const section = document.createElement("section");
+    section.className = "import-tab";
+
+    const heading = document.createElement("h3");
+    heading.textContent =
+      tabPlan.localTabId === null
+        ? `Aba nova: ${tabPlan.incoming.name}`
+        : `Aba: ${tabPlan.localName}`;
+    section.appendChild(heading);
+
+    if (tabPlan.added.length + tabPlan.conflicts.length + tabPlan.moved.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "config-hint";
+      empty.textContent = "Nenhuma alteração.";
+      section.appendChild(empty);
+    }
+
+    if (tabPlan.added.length > 0) {
+      section.appendChild(
+        this.createGameList(
+          `➕ Adicionados (${tabPlan.added.length})`,
+          tabPlan.added.map((game) => this.describeAdded(game))
+        )
+      );
+    }
+
+    if (tabPlan.moved.length > 0) {
+      section.appendChild(
+        this.createGameList(
+          `↪️ Movidos para outra aba (${tabPlan.moved.length})`,
+          tabPlan.moved.map(
+            ({ incoming, localTabName }) =>
+              `${incoming.title} — está em "${localTabName}" e não será adicionado de novo`
+          )
+        )
+      );
+    }
+
+    tabPlan.conflicts.forEach((conflict) =>
+      section.appendChild(this.renderConflict(conflict, tabPlan))
+    );
+
+    this.domContainer.appendChild(section);
+  }
+
+  /**
+   * Renderiza um conflito: tabela com os campos diferentes e a escolha do vencedor.
+   * @param {{key: string, local: Object, localTabId: string, localTabName: string,
+   *   incoming: Object, fields: Array<string>, incomingNewer: boolean}} conflict
+   * @param {Object} tabPlan Item de plan.tabs que contém o conflito.
+   * @returns {HTMLDivElement}
+   */
+  renderConflict(conflict, tabPlan) {
+    const box = document.createElement("div");
+    box.className = "import-conflict";
+
+    const title = document.createElement("strong");
+    const moved = conflict.localTabId !== tabPlan.localTabId;
+    title.textContent =
+      `⚠️ Conflito: ${conflict.local.title}` +
+      (moved ? ` (está em "${conflict.localTabName}")` : "") +
+      (conflict.incomingNewer ? " (importado é mais recente)" : "");
+    box.appendChild(title);
+
+    const table = document.createElement("table");
+    table.className = "data-table csv-preview";
+    const headerRow = table.createTHead().insertRow();
+    ["Campo", "Atual", "Importado"].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    [...conflict.fields, "updatedAt"].forEach((field) => {
+      const tr = tbody.insertRow();
+      tr.insertCell().textContent = GameFieldLabels[field] || "Alterado em";
+      tr.insertCell().textContent = this.formatValue(field, conflict.local[field]);
+      tr.insertCell().textContent = this.formatValue(field, conflict.incoming[field]);
+    });
+    box.appendChild(table);
+
+    const choices = document.createElement("div");
+    choices.className = "import-modes";
+    [
+      { value: "local", label: "Manter atual" },
+      { value: "incoming", label: "Usar importado" },
+    ].forEach(({ value, label }) => {
+      const option = document.createElement("label");
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = `conflict-${conflict.key}`;
+      radio.value = value;
+      radio.checked = this.resolutions[conflict.key] === value;
+      radio.addEventListener("change", () => {
+        this.resolutions[conflict.key] = value;
+      });
+      option.append(radio, ` ${label}`);
+      choices.appendChild(option);
+    });
+    box.appendChild(choices);
+
+    return box;
+  }
+
+  /**
+   * Título de um jogo adicionado, com o aviso de jogos atuais de título equivalente
+   * (em qualquer aba; ex: "Final Fantasy VII" importado e "Final Fantasy 7" já salvo).
+   * @param {Object} game
+   * @returns {string}
+   */
+  describeAdded(game) {
+    const duplicates = findPossibleDuplicates(this.duplicateIndex, game.title);
+    if (duplicates.length === 0) return game.title;
+    return `${game.title} — ⚠️ possível duplicado: ${duplicates
+      .map(({ tabName, game: existing }) => `${existing.title} (${tabName})`)
+      .join(", ")}`;
+  }
+
+  /**
+   * @param {string} heading
+   * @param {Array<string>} items
+   * @returns {HTMLDivElement}
+   */
+  createGameList(heading, items) {
+    const wrapper = document.createElement("div");
+    const label = document.createElement("strong");
+    label.textContent = heading;
+    const list = document.createElement("ul");
+    list.className = "import-list";
+    items.forEach((item) => {
+      const li = document.createElement("li");
+      li.textContent = item;
+      list.appendChild(li);
+    });
+    wrapper.append(label, list);
+    return wrapper;
+  }
+
+  /**
+   * Formata um valor de jogo para exibição na comparação.
+   * @param {string} field
+   * @param {any} value
+   * @returns {string}
+   */
+  formatValue(field, value) {
+    if (field === "tags") return (value || []).join(", ") || "—";
+    if (field === "updatedAt") {
+      return value ? new Date(value).toLocaleString("pt-BR") : "Sem data";
+    }
+    return value === "" || value === undefined ? "—" : String(value);
+  }
+
+  /**
+   * @param {Array} tabs
+   * @returns {number}
+   */
+  countGames(tabs) {
+    return tabs.reduce((total, tab) => total + tab.games.length, 0);
+  }
+}
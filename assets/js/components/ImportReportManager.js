@@ -0,0 +1,367 @@
+// assets/js/components/ImportReportManager.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) do relatório de validação da importação
+ * de JSON: lista cada jogo inválido (aba, linha e erro de cada campo) e permite
+ * descartá-lo, substituir os campos inválidos pelos valores padrão ou corrigi-los.
+ *
+ * Nada é gravado aqui: o Controller só prossegue com a importação quando
+ * `getResolution` indica que não há linhas pendentes.
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+import { GameFieldLabels, GameNote } from "../utils/EnumOptionsTable.js";
+import { getTabConfig } from "../utils/TabConfig.js";
+import { GameRow } from "../models/GameRow.js";
+
+// Ações possíveis para cada linha inválida
+const ROW_ACTIONS = [
+  { value: "fix", label: "Corrigir" },
+  { value: "coerce", label: "Usar valores padrão" },
+  { value: "drop", label: "Descartar" },
+];
+
+/**
+ * Gerencia o conteúdo do modal de relatório de validação.
+ */
+export class ImportReportManager {
+  /**
+   * @param {HTMLElement} domContainer Elemento (dentro do modal) onde o conteúdo é renderizado.
+   */
+  constructor(domContainer) {
+    this.domContainer = domContainer;
+    this.reset();
+  }
+
+  /** Limpa o estado do relatório atual. */
+  reset() {
+    this.fileName = "";
+    this.tabs = [];
+    this.entries = [];
+  }
+
+  /**
+   * Valida todos os jogos das abas importadas e monta o relatório.
+   * @param {object} params
+   * @param {string} params.fileName Nome do arquivo importado.
+   * @param {Array} params.tabs Abas do arquivo (já migradas para o schema atual).
+   * @returns {number} Quantidade de jogos inválidos (0 = nada a resolver).
+   */
+  open({ fileName, tabs }) {
+    this.reset();
+    this.fileName = fileName;
+    this.tabs = tabs;
+
+    tabs.forEach((tab, tabIndex) => {
+      const config = getTabConfig(tab);
+      tab.games.forEach((game, gameIndex) => {
+        const { fieldErrors } = GameRow.fromJSON(game, config).validate();
+        if (fieldErrors.length === 0) return;
+
+        this.entries.push({
+          tabIndex,
+          gameIndex,
+          tabName: tab.name,
+          line: gameIndex + 1,
+          config,
+          originalTitle: game.title || "",
+          originalErrors: fieldErrors,
+          // Campos editáveis na correção (fixos, para os inputs não sumirem durante a edição)
+          fields: [...new Set(fieldErrors.map((error) => error.field))],
+          data: { ...game },
+          action: "fix",
+        });
+      });
+    });
+
+    this.render();
+    return this.entries.length;
+  }
+
+  /**
+   * Estado atual de uma linha: o jogo resultante e os erros que ainda restam.
+   * @param {Object} entry
+   * @returns {{game: Object | null, fieldErrors: Array<{field: string, message: string}>}}
+   */
+  evaluateEntry(entry) {
+    if (entry.action === "drop") return { game: null, fieldErrors: [] };
+
+    const gameRow = GameRow.fromJSON(entry.data, entry.config);
+    if (entry.action === "coerce") gameRow.coerceInvalidFields();
+    return { game: gameRow.toJSON(), fieldErrors: gameRow.validate().fieldErrors };
+  }
+
+  /**
+   * Resultado do relatório para o Controller.
+   * @returns {{pendingCount: number, droppedCount: number, tabs: Array}} `tabs` são as abas
+   *   importadas com as correções aplicadas e as linhas descartadas removidas
+   *   (válidas somente quando `pendingCount` é 0).
+   */
+  getResolution() {
+    const results = new Map(
+      this.entries.map((entry) => [entry, this.evaluateEntry(entry)])
+    );
+
+    const tabs = this.tabs.map((tab, tabIndex) => ({
+      ...tab,
+      games: tab.games
+        .map((game, gameIndex) => {
+          const entry = this.entries.find(
+            (e) => e.tabIndex === tabIndex && e.gameIndex === gameIndex
+          );
+          return entry ? results.get(entry).game : game;
+        })
+        .filter(Boolean),
+    }));
+
+    return {
+      pendingCount: this.entries.filter(
+        (entry) => results.get(entry).fieldErrors.length > 0
+      ).length,
+      droppedCount: this.entries.filter((entry) => entry.action === "drop")
+        .length,
+      tabs,
+    };
+  }
+
+  /**
+   * Relatório serializável (para download em JSON).
+   * @returns {Object}
+   */
+  getReport() {
+    return {
+      fileName: this.fileName,
+      generatedAt: new Date().toISOString(),
+      invalidRows: this.entries.length,
+      rows: this.entries.map((entry) => {
+        const { game, fieldErrors } = this.evaluateEntry(entry);
+        return {
+          tab: entry.tabName,
+          line: entry.line,
+          title: entry.originalTitle,
+          errors: entry.originalErrors,
+          action: entry.action,
+          resolved: fieldErrors.length === 0,
+          remainingErrors: fieldErrors,
+          result: game,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Aplica a mesma ação a todas as linhas.
+   * @param {"fix" | "coerce" | "drop"} action
+   */
+  setAllActions(action) {
+    this.entries.forEach((entry) => {
+      entry.action = action;
+    });
+    this.render();
+  }
+
+  /**
+   * Renderiza o resumo, as ações em massa e uma caixa por linha inválida.
+   */
+  render() {
+    this.domContainer.innerHTML = "";
+
+    const intro = document.createElement("p");
+    intro.className = "config-hint";
+    intro.textContent =
+      `${this.entries.length} jogos de "${this.fileName}" não passaram na validação. ` +
+      "Resolva cada linha para continuar a importação.";
+    this.domContainer.appendChild(intro);
+
+    const bulkActions = document.createElement("div");
+    bulkActions.className = "import-modes";
+    ROW_ACTIONS.filter(({ value }) => value !== "fix").forEach(
+      ({ value, label }) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "secondary-btn";
+        button.textContent = `${label} (todas)`;
+        button.onclick = () => this.setAllActions(value);
+        bulkActions.appendChild(button);
+      }
+    );
+    this.domContainer.appendChild(bulkActions);
+
+    this.summaryElement = document.createElement("p");
+    this.summaryElement.className = "csv-summary";
+    this.domContainer.appendChild(this.summaryElement);
+
+    this.entries.forEach((entry, index) =>
+      this.domContainer.appendChild(this.renderEntry(entry, index))
+    );
+    this.updateSummary();
+  }
+
+  /** Atualiza o contador de linhas pendentes (sem recriar o DOM). */
+  updateSummary() {
+    const { pendingCount } = this.getResolution();
+    this.summaryElement.textContent = pendingCount
+      ? `${pendingCount} de ${this.entries.length} linhas pendentes.`
+      : "✅ Todas as linhas foram resolvidas.";
+  }
+
+  /**
+   * Renderiza uma linha inválida: erros originais, ação escolhida e, na correção, os campos.
+   * @param {Object} entry
+   * @param {number} index Posição no relatório (usada no nome dos radios).
+   * @returns {HTMLDivElement}
+   */
+  renderEntry(entry, index) {
+    const box = document.createElement("div");
+    box.className = "import-conflict report-entry";
+
+    const heading = document.createElement("strong");
+    heading.textContent = `Aba "${entry.tabName}" · linha ${entry.line} · ${
+      entry.originalTitle || "(sem título)"
+    }`;
+    box.appendChild(heading);
+
+    const errorList = document.createElement("ul");
+    errorList.className = "import-list";
+    entry.originalErrors.forEach(({ field, message }) => {
+      const li = document.createElement("li");
+      li.textContent = `${GameFieldLabels[field]}: ${message}`;
+      errorList.appendChild(li);
+    });
+    box.appendChild(errorList);
+
+    const actions = document.createElement("div");
+    actions.className = "import-modes";
+    ROW_ACTIONS.forEach(({ value, label }) => {
+      const option = document.createElement("label");
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = `report-action-${index}`;
+      radio.value = value;
+      radio.checked = entry.action === value;
+      radio.addEventListener("change", () => {
+        entry.action = value;
+        this.render();
+      });
+      option.append(radio, ` ${label}`);
+      actions.appendChild(option);
+    });
+    box.appendChild(actions);
+
+    const status = document.createElement("p");
+    status.className = "report-status";
+
+    if (entry.action === "fix") {
+      const fieldsGrid = document.createElement("div");
+      fieldsGrid.className = "csv-options";
+      entry.fields.forEach((field) =>
+        fieldsGrid.appendChild(
+          this.createFieldInput(entry, field, () =>
+            this.updateEntryStatus(entry, status)
+          )
+        )
+      );
+      box.appendChild(fieldsGrid);
+    }
+
+    box.appendChild(status);
+    this.updateEntryStatus(entry, status);
+    return box;
+  }
+
+  /**
+   * Atualiza a mensagem de status de uma linha e o resumo geral.
+   * @param {Object} entry
+   * @param {HTMLElement} statusElement
+   */
+  updateEntryStatus(entry, statusElement) {
+    const { fieldErrors } = this.evaluateEntry(entry);
+    statusElement.classList.toggle("pending", fieldErrors.length > 0);
+    if (entry.action === "drop") {
+      statusElement.textContent = "🗑️ Será descartada.";
+    } else if (fieldErrors.length > 0) {
+      statusElement.textContent = `❌ ${fieldErrors
+        .map((error) => error.message)
+        .join("; ")}`;
+    } else {
+      statusElement.textContent = "✅ Resolvida.";
+    }
+    if (this.summaryElement) this.updateSummary();
+  }
+
+  /**
+   * Cria o controle de correção de um campo (select para enumerações, texto para o resto).
+   * @param {Object} entry
+   * @param {string} field
+   * @param {Function} onChange Chamado após cada alteração.
+   * @returns {HTMLLabelElement}
+   */
+  createFieldInput(entry, field, onChange) {
+    const label = document.createElement("label");
+    label.className = "csv-field";
+    label.textContent = GameFieldLabels[field];
+
+    const enumOptions = {
+      status: entry.config.statuses,
+      note: GameNote,
+      difficulty: entry.config.difficulties,
+    }[field];
+
+    let control;
+    if (enumOptions) {
+      control = document.createElement("select");
+      control.className = "select-input";
+      const current = String(entry.data[field] ?? "");
+      if (!enumOptions.includes(current)) {
+        const invalid = document.createElement("option");
+        invalid.value = current;
+        invalid.textContent = `${current || "(vazio)"} (Inválido)`;
+        control.appendChild(invalid);
+      }
+      enumOptions.forEach((value) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = value;
+        control.appendChild(option);
+      });
+      control.value = current;
+    } else {
+      control = document.createElement("input");
+      control.type = "text";
+      control.className = "text-input";
+      control.value =
+        field === "tags"
+          ? (entry.data.tags || []).join(", ")
+          : String(entry.data[field] ?? "");
+      if (field === "startDate" || field === "finishDate") {
+        control.placeholder = "AAAA-MM-DD";
+      }
+    }
+
+    control.addEventListener(enumOptions ? "change" : "input", () => {
+      entry.data[field] = this.parseFieldValue(field, control.value);
+      onChange();
+    });
+
+    label.appendChild(control);
+    return label;
+  }
+
+  /**
+   * Converte o texto digitado para o tipo do campo.
+   * @param {string} field
+   * @param {string} value
+   * @returns {any}
+   */
+  parseFieldValue(field, value) {
+    if (field === "tags") {
+      return value.split(",").map((tag) => tag.trim()).filter(Boolean);
+    }
+    if (field === "hoursPlayed") {
+      const hours = Number(value.replace(",", "."));
+      return value.trim() === "" || Number.isNaN(hours) ? value : hours;
+    }
+    return value;
+  }
+}
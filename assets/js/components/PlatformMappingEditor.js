@@ -0,0 +1,217 @@
+// assets/js/components/PlatformMappingEditor.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) que edita a tabela de plataformas do
+ * Processador (ver PlatformMapping.js): para cada plataforma, os nomes de pasta e as
+ * extensões que a identificam. Linhas podem ser editadas, reordenadas (a ordem decide
+ * extensões compartilhadas), removidas e adicionadas, e a tabela padrão restaurada.
+ *
+ * Um campo de teste mostra a plataforma inferida para um caminho digitado (atualizado a
+ * cada tecla). As alterações são enviadas ao Controller (processor.js), que grava a
+ * tabela, ao concluir a edição de um campo e a cada ação estrutural.
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+import {
+  MAX_PLATFORM_NAME_LENGTH,
+  createDefaultPlatformMappings,
+  createPlatformResolver,
+  normalizePlatformMappings,
+  parseMappingList,
+} from "../utils/PlatformMapping.js";
+
+/**
+ * Editor da tabela de plataformas, renderizado no painel "Plataformas".
+ */
+export class PlatformMappingEditor {
+  /**
+   * @param {HTMLElement} domContainer Elemento onde o editor será renderizado.
+   * @param {Function} onChange Chamado com a tabela (normalizada) a cada alteração concluída.
+   */
+  constructor(domContainer, onChange) {
+    this.domContainer = domContainer;
+    this.onChange = onChange;
+    this.mappings = [];
+    this.testPath = "";
+    this.testResult = null;
+  }
+
+  /**
+   * Define a tabela (sem notificar o Controller).
+   * @param {Array<{platform: string, folders: Array<string>, extensions: Array<string>}>} mappings
+   */
+  setState(mappings) {
+    this.mappings = mappings.map((mapping) => ({
+      platform: mapping.platform,
+      folders: [...mapping.folders],
+      extensions: [...mapping.extensions],
+    }));
+    this.render();
+  }
+
+  /** Notifica o Controller e atualiza o teste de caminho. */
+  notifyChange() {
+    this.renderTestResult();
+    this.onChange(normalizePlatformMappings(this.mappings));
+  }
+
+  /**
+   * Move uma linha para cima/baixo.
+   * @param {number} index Índice atual.
+   * @param {number} offset -1 (subir) ou +1 (descer).
+   */
+  moveMapping(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.mappings.length) return;
+    [this.mappings[index], this.mappings[target]] = [
+      this.mappings[target],
+      this.mappings[index],
+    ];
+    this.render();
+    this.notifyChange();
+  }
+
+  /**
+   * Renderiza as linhas da tabela, as ações e o teste de caminho.
+   * Os campos de texto não recriam o DOM (o foco é preservado).
+   */
+  render() {
+    this.domContainer.innerHTML = "";
+
+    const list = document.createElement("ol");
+    list.className = "config-list platform-mappings";
+    this.mappings.forEach((mapping, index) =>
+      list.appendChild(this.renderMapping(mapping, index))
+    );
+    if (this.mappings.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "config-hint";
+      empty.textContent = "Nenhuma plataforma: os jogos ficam sem plataforma.";
+      list.appendChild(empty);
+    }
+    this.domContainer.appendChild(list);
+
+    const actions = document.createElement("div");
+    actions.className = "cleaning-rules-actions";
+
+    const addBtn = document.createElement("button");
+    addBtn.type = "button";
+    addBtn.className = "secondary-btn";
+    addBtn.textContent = "➕ Adicionar plataforma";
+    addBtn.onclick = () => {
+      this.mappings.push({ platform: "", folders: [], extensions: [] });
+      this.render();
+      this.notifyChange();
+      // Foca o nome da nova plataforma (o DOM foi recriado pelo render)
+      this.domContainer
+        .querySelector(".platform-mappings > li:last-child .mapping-platform")
+        .focus();
+    };
+
+    const resetBtn = document.createElement("button");
+    resetBtn.type = "button";
+    resetBtn.className = "secondary-btn";
+    resetBtn.textContent = "↺ Restaurar padrão";
+    resetBtn.onclick = () => {
+      if (!confirm("Substituir todas as plataformas pela tabela padrão?")) return;
+      this.mappings = createDefaultPlatformMappings();
+      this.render();
+      this.notifyChange();
+    };
+
+    actions.append(addBtn, resetBtn);
+    this.domContainer.appendChild(actions);
+
+    const testLabel = document.createElement("label");
+    testLabel.className = "config-label";
+    testLabel.textContent = "Testar um caminho";
+    const testInput = document.createElement("input");
+    testInput.type = "text";
+    testInput.className = "text-input platform-test-input";
+    testInput.placeholder = "Ex: Roms/SNES/Super Mario World (USA).sfc";
+    testInput.value = this.testPath;
+    testInput.addEventListener("input", () => {
+      this.testPath = testInput.value;
+      this.renderTestResult();
+    });
+    this.testResult = document.createElement("span");
+    this.testResult.className = "release-meta platform-test-result";
+    testLabel.append(testInput, this.testResult);
+    this.domContainer.appendChild(testLabel);
+    this.renderTestResult();
+  }
+
+  /**
+   * Renderiza uma linha (plataforma, pastas, extensões, mover e remover).
+   * @param {Object} mapping
+   * @param {number} index
+   * @returns {HTMLLIElement}
+   */
+  renderMapping(mapping, index) {
+    const li = document.createElement("li");
+    li.className = "config-row platform-mapping";
+
+    [
+      { field: "platform", placeholder: "Plataforma" },
+      { field: "folders", placeholder: "Nomes de pasta (separados por vírgula)" },
+      { field: "extensions", placeholder: "Extensões (ex: .iso, .chd)" },
+    ].forEach(({ field, placeholder }) => {
+      const isList = field !== "platform";
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = `text-input mapping-${field}`;
+      input.value = isList ? mapping[field].join(", ") : mapping[field];
+      input.placeholder = placeholder;
+      input.title = placeholder;
+      input.setAttribute("aria-label", placeholder);
+      if (!isList) input.maxLength = MAX_PLATFORM_NAME_LENGTH;
+      input.addEventListener("input", () => {
+        // O valor digitado não é reescrito (vírgulas e espaços são preservados)
+        mapping[field] = isList ? parseMappingList(input.value) : input.value;
+        this.renderTestResult();
+      });
+      // Ao concluir a edição (sair do campo ou Enter): grava e reprocessa a pasta
+      input.addEventListener("change", () => this.notifyChange());
+      li.appendChild(input);
+    });
+
+    li.append(
+      this.createIconButton("▲", "Mover para cima", () => this.moveMapping(index, -1)),
+      this.createIconButton("▼", "Mover para baixo", () => this.moveMapping(index, 1)),
+      this.createIconButton("🗑️", "Remover plataforma", () => {
+        this.mappings.splice(index, 1);
+        this.render();
+        this.notifyChange();
+      })
+    );
+    return li;
+  }
+
+  /** Mostra a plataforma inferida para o caminho de teste. */
+  renderTestResult() {
+    if (!this.testResult) return;
+    const path = this.testPath.trim().replace(/\\/g, "/");
+    if (!path) {
+      this.testResult.textContent = "";
+      return;
+    }
+    const platform = createPlatformResolver(normalizePlatformMappings(this.mappings))(path);
+    this.testResult.textContent = platform
+      ? `🕹️ ${platform}`
+      : "Nenhuma plataforma reconhecida";
+  }
+
+  /**
+   * @returns {HTMLButtonElement}
+   */
+  createIconButton(text, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "icon-btn";
+    button.textContent = text;
+    button.title = title;
+    button.onclick = onClick;
+    return button;
+  }
+}
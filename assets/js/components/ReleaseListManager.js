@@ -0,0 +1,310 @@
+// assets/js/components/ReleaseListManager.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) da lista de resultados do Processador:
+ * um item por jogo (ver ReleaseGroups.js), com a plataforma, as etiquetas (região,
+ * idiomas, revisão, marcações do dump), a contagem de discos e de arquivos e o tamanho
+ * total. Cada item pode ser expandido para exibir os arquivos do grupo.
+ *
+ * Acima da lista, os filtros por região e por plataforma restringem os jogos exibidos
+ * (e, pelo Controller, os que são copiados ou enviados ao tracker). A lista também pode
+ * ser agrupada por plataforma.
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+import { formatFileSize } from "../utils/ReleaseGroups.js";
+import { NO_REGION } from "../utils/ReleaseTags.js";
+
+// Valor que representa, no filtro, os jogos sem plataforma inferida
+const NO_PLATFORM = "";
+
+/**
+ * Gerencia a lista de jogos processados.
+ */
+export class ReleaseListManager {
+  /**
+   * @param {HTMLElement} domList Lista (ul) onde os grupos são renderizados.
+   * @param {HTMLElement} domFilters Elemento onde os filtros são renderizados.
+   */
+  constructor(domList, domFilters) {
+    this.domList = domList;
+    this.domFilters = domFilters;
+    this.groups = [];
+    this.regionFilter = new Set(); // Regiões marcadas (vazio: sem filtro)
+    this.platformFilter = new Set(); // Plataformas marcadas (vazio: sem filtro)
+    this.groupByPlatform = false;
+  }
+
+  /**
+   * Atualiza os grupos exibidos. Valores dos filtros que não existem mais são desmarcados.
+   * @param {Array} groups Grupos de groupReleases.
+   */
+  setState(groups) {
+    this.groups = groups;
+    const regions = this.getAvailableRegions();
+    this.regionFilter.forEach((region) => {
+      if (!regions.includes(region)) this.regionFilter.delete(region);
+    });
+    const platforms = this.getAvailablePlatforms();
+    this.platformFilter.forEach((platform) => {
+      if (!platforms.includes(platform)) this.platformFilter.delete(platform);
+    });
+    this.render();
+  }
+
+  /**
+   * Regiões presentes nos grupos (em ordem alfabética), mais "sem região" se houver.
+   * @returns {Array<string>}
+   */
+  getAvailableRegions() {
+    const regions = new Set();
+    this.groups.forEach((group) => {
+      if (group.tags.regions.length === 0) regions.add(NO_REGION);
+      group.tags.regions.forEach((region) => regions.add(region));
+    });
+    return [...regions].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Plataformas presentes nos grupos (em ordem alfabética), mais "sem plataforma" se houver.
+   * @returns {Array<string>}
+   */
+  getAvailablePlatforms() {
+    const platforms = new Set(this.groups.map((group) => group.platform));
+    return [...platforms].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Grupos que passam pelos filtros por região e por plataforma (um filtro sem valores
+   * marcados não restringe nada).
+   * @returns {Array}
+   */
+  getVisibleGroups() {
+    if (this.regionFilter.size === 0 && this.platformFilter.size === 0) {
+      return this.groups;
+    }
+    return this.groups.filter(
+      (group) =>
+        (this.regionFilter.size === 0 ||
+          (group.tags.regions.length === 0
+            ? this.regionFilter.has(NO_REGION)
+            : group.tags.regions.some((region) => this.regionFilter.has(region)))) &&
+        (this.platformFilter.size === 0 || this.platformFilter.has(group.platform))
+    );
+  }
+
+  /**
+   * Renderiza os filtros e a lista (grupos recolhidos). Agrupada por plataforma, a lista
+   * ganha um título antes dos jogos de cada plataforma.
+   */
+  render() {
+    this.renderFilters();
+
+    this.domList.innerHTML = "";
+    const fragment = document.createDocumentFragment();
+    const groups = this.getVisibleGroups();
+
+    if (!this.groupByPlatform) {
+      groups.forEach((group) => fragment.appendChild(this.createGroupItem(group)));
+    } else {
+      const groupsByPlatform = new Map();
+      groups.forEach((group) => {
+        if (!groupsByPlatform.has(group.platform)) {
+          groupsByPlatform.set(group.platform, []);
+        }
+        groupsByPlatform.get(group.platform).push(group);
+      });
+      [...groupsByPlatform.keys()]
+        .sort((a, b) => (a === NO_PLATFORM) - (b === NO_PLATFORM) || a.localeCompare(b))
+        .forEach((platform) => {
+          const platformGroups = groupsByPlatform.get(platform);
+          const heading = document.createElement("li");
+          heading.className = "release-platform-heading";
+          heading.textContent = `${platform === NO_PLATFORM ? "Sem plataforma" : `🕹️ ${platform}`} (${platformGroups.length})`;
+          fragment.appendChild(heading);
+          platformGroups.forEach((group) =>
+            fragment.appendChild(this.createGroupItem(group))
+          );
+        });
+    }
+    this.domList.appendChild(fragment);
+  }
+
+  /**
+   * Filtros: uma caixa de seleção por região e por plataforma encontradas, e a opção
+   * de agrupar por plataforma (só quando alguma plataforma foi inferida).
+   */
+  renderFilters() {
+    this.domFilters.innerHTML = "";
+
+    this.renderFilterOptions(
+      "🌎 Filtrar por região:",
+      this.getAvailableRegions(),
+      this.regionFilter,
+      "Sem região"
+    );
+
+    const platforms = this.getAvailablePlatforms();
+    if (platforms.some((platform) => platform !== NO_PLATFORM)) {
+      const filterRow = this.renderFilterOptions(
+        "🕹️ Filtrar por plataforma:",
+        platforms,
+        this.platformFilter,
+        "Sem plataforma"
+      );
+
+      const option = document.createElement("label");
+      option.className = "release-filter-option release-group-option";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = this.groupByPlatform;
+      checkbox.addEventListener("change", () => {
+        this.groupByPlatform = checkbox.checked;
+        this.render();
+      });
+      option.append(checkbox, "Agrupar por plataforma");
+      filterRow.appendChild(option);
+    }
+
+    if (this.regionFilter.size > 0 || this.platformFilter.size > 0) {
+      const count = document.createElement("span");
+      count.className = "release-meta";
+      count.textContent = `Exibindo ${this.getVisibleGroups().length} de ${this.groups.length} jogos`;
+      this.domFilters.appendChild(count);
+    }
+  }
+
+  /**
+   * Uma linha de filtro: o rótulo e uma caixa de seleção por valor.
+   * @param {string} labelText
+   * @param {Array<string>} values Valores encontrados ("" = sem valor).
+   * @param {Set<string>} selected Valores marcados (alterado pelas caixas).
+   * @param {string} emptyLabel Texto exibido para "".
+   * @returns {HTMLDivElement | null} A linha (null se não houver valores).
+   */
+  renderFilterOptions(labelText, values, selected, emptyLabel) {
+    if (values.length === 0) return null;
+
+    const row = document.createElement("div");
+    row.className = "release-filter-row";
+
+    const label = document.createElement("span");
+    label.className = "config-label";
+    label.textContent = labelText;
+    row.appendChild(label);
+
+    values.forEach((value) => {
+      const option = document.createElement("label");
+      option.className = "release-filter-option";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = selected.has(value);
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) selected.add(value);
+        else selected.delete(value);
+        this.render();
+      });
+      option.append(checkbox, value === "" ? emptyLabel : value);
+      row.appendChild(option);
+    });
+
+    this.domFilters.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Item de um grupo: nome e resumo; ao expandir, os arquivos (caminho e tamanho).
+   * @param {Object} group
+   * @returns {HTMLLIElement}
+   */
+  createGroupItem(group) {
+    const li = document.createElement("li");
+    li.className = "release-item";
+
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+
+    const name = document.createElement("span");
+    name.className = "release-name";
+    name.textContent = group.name;
+
+    const meta = document.createElement("span");
+    meta.className = "release-meta";
+    meta.textContent = [
+      group.discCount > 1 ? `${group.discCount} discos` : null,
+      group.files.length === 1 ? "1 arquivo" : `${group.files.length} arquivos`,
+      formatFileSize(group.totalSize),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    summary.append(name);
+    if (group.platform) {
+      const platform = document.createElement("span");
+      platform.className = "release-tag release-tag-platform";
+      platform.title = "Plataforma";
+      platform.textContent = group.platform;
+      summary.appendChild(platform);
+    }
+    summary.append(...this.createTagBadges(group.tags), meta);
+    details.appendChild(summary);
+
+    // Os arquivos só são criados ao expandir (pastas grandes têm milhares de arquivos)
+    details.addEventListener(
+      "toggle",
+      () => details.appendChild(this.createFileList(group)),
+      { once: true }
+    );
+
+    li.appendChild(details);
+    return li;
+  }
+
+  /**
+   * Etiquetas exibidas ao lado do nome: regiões, idiomas, revisões e marcações do dump.
+   * @param {{regions: Array<string>, languages: Array<string>, revisions: Array<string>, flags: Array<string>}} tags
+   * @returns {Array<HTMLSpanElement>}
+   */
+  createTagBadges(tags) {
+    return [
+      { values: tags.regions, className: "region", title: "Região" },
+      { values: tags.languages, className: "language", title: "Idiomas" },
+      { values: tags.revisions, className: "revision", title: "Revisão" },
+      {
+        values: tags.flags.map((flag) => `[${flag}]`),
+        className: "flag",
+        title: "Marcações do dump",
+      },
+    ]
+      .filter(({ values }) => values.length > 0)
+      .map(({ values, className, title }) => {
+        const badge = document.createElement("span");
+        badge.className = `release-tag release-tag-${className}`;
+        badge.title = title;
+        badge.textContent = values.join(", ");
+        return badge;
+      });
+  }
+
+  /**
+   * Lista dos arquivos de um grupo.
+   * @param {Object} group
+   * @returns {HTMLUListElement}
+   */
+  createFileList(group) {
+    const list = document.createElement("ul");
+    list.className = "release-files";
+    group.files.forEach((file) => {
+      const item = document.createElement("li");
+      const path = document.createElement("span");
+      path.textContent = file.path;
+      const size = document.createElement("span");
+      size.className = "release-meta";
+      size.textContent = formatFileSize(file.size || 0);
+      item.append(path, size);
+      list.appendChild(item);
+    });
+    return list;
+  }
+}
@@ -0,0 +1,376 @@
+// assets/js/components/StatsManager.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) do painel de estatísticas: conclusão,
+ * contagem por status, distribuição das notas e nota média por dificuldade, da aba
+ * ativa ou de todas as abas, além de um resumo por aba.
+ *
+ * Os números vêm de CollectionStats.js; os gráficos são SVG/CSS simples (sem bibliotecas).
+ * O painel é recolhível e só é renderizado enquanto está aberto.
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+import { computeStats, computeCollectionStats } from "../utils/CollectionStats.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const MAX_NOTE = 10;
+
+/**
+ * Cria um elemento SVG com atributos.
+ * @param {string} tag
+ * @param {Object<string, string|number>} attributes
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) =>
+    element.setAttribute(name, value)
+  );
+  return element;
+}
+
+/**
+ * Formata um número com uma casa decimal no padrão brasileiro ("—" para vazio).
+ * @param {number | null} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return value === null ? "—" : value.toLocaleString("pt-BR");
+}
+
+/**
+ * Gerencia o painel de estatísticas abaixo da tabela.
+ */
+export class StatsManager {
+  /**
+   * @param {HTMLElement} domContainer Elemento onde o painel é renderizado.
+   */
+  constructor(domContainer) {
+    this.domContainer = domContainer;
+    this.tabs = [];
+    this.activeTabId = null;
+    this.scope = "active"; // "active" (aba ativa) ou "all" (todas as abas)
+
+    this.details = document.createElement("details");
+    this.details.className = "stats-panel";
+    const summary = document.createElement("summary");
+    summary.textContent = "📊 Estatísticas";
+    this.body = document.createElement("div");
+    this.details.append(summary, this.body);
+    this.details.addEventListener("toggle", () => this.render());
+    this.domContainer.appendChild(this.details);
+  }
+
+  /**
+   * Atualiza os dados (chamado pelo Controller a cada updateUI).
+   * @param {Array} tabs - Todas as abas.
+   * @param {string | null} activeTabId
+   */
+  setState(tabs, activeTabId) {
+    this.tabs = tabs;
+    this.activeTabId = activeTabId;
+    this.render();
+  }
+
+  /** Renderiza o conteúdo do painel (somente se estiver aberto). */
+  render() {
+    this.body.innerHTML = "";
+    if (!this.details.open) return;
+
+    if (this.tabs.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "config-hint";
+      empty.textContent = "Nenhuma aba para exibir.";
+      this.body.appendChild(empty);
+      return;
+    }
+
+    const activeTab = this.tabs.find((tab) => tab.id === this.activeTabId);
+    const scopeTabs =
+      this.scope === "all" || !activeTab ? this.tabs : [activeTab];
+    const stats = computeStats(scopeTabs);
+
+    this.body.appendChild(this.createScopeSelect(activeTab));
+
+    const grid = document.createElement("div");
+    grid.className = "stats-grid";
+    grid.append(
+      this.createCard("Conclusão", this.createCompletionChart(stats)),
+      this.createCard("Por status", this.createBarList(stats.byStatus, stats.total)),
+      this.createCard("Distribuição das notas", this.createNoteChart(stats)),
+      this.createCard(
+        "Nota média por dificuldade",
+        this.createDifficultyList(stats.averageNoteByDifficulty)
+      )
+    );
+    this.body.appendChild(grid);
+
+    this.body.appendChild(this.createTabsTable());
+  }
+
+  /**
+   * Seletor do escopo (aba ativa ou todas as abas).
+   * @param {Object | undefined} activeTab
+   * @returns {HTMLLabelElement}
+   */
+  createScopeSelect(activeTab) {
+    const label = document.createElement("label");
+    label.className = "stats-scope";
+    label.textContent = "Exibir: ";
+
+    const select = document.createElement("select");
+    select.className = "select-input";
+    [
+      { value: "active", text: activeTab ? `Aba "${activeTab.name}"` : "Aba ativa" },
+      { value: "all", text: "Todas as abas" },
+    ].forEach(({ value, text }) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      option.selected = value === this.scope;
+      select.appendChild(option);
+    });
+    select.addEventListener("change", () => {
+      this.scope = select.value;
+      this.render();
+    });
+
+    label.appendChild(select);
+    return label;
+  }
+
+  /**
+   * Cartão com título.
+   * @param {string} title
+   * @param {HTMLElement} content
+   * @returns {HTMLElement}
+   */
+  createCard(title, content) {
+    const card = document.createElement("section");
+    card.className = "stats-card";
+    const heading = document.createElement("h3");
+    heading.textContent = title;
+    card.append(heading, content);
+    return card;
+  }
+
+  /**
+   * Anel (SVG) com o percentual de conclusão e a nota média.
+   * O raio faz a circunferência medir 100, então o traço é o próprio percentual.
+   * @param {Object} stats
+   * @returns {HTMLDivElement}
+   */
+  createCompletionChart(stats) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "stats-completion";
+
+    const svg = createSvgElement("svg", {
+      viewBox: "0 0 42 42",
+      class: "stats-donut",
+      role: "img",
+      "aria-label": `${formatNumber(stats.completionPercent)}% concluído`,
+    });
+    const circle = { cx: 21, cy: 21, r: 15.9155, fill: "none", "stroke-width": 5 };
+    svg.appendChild(createSvgElement("circle", { ...circle, class: "stats-donut-track" }));
+    svg.appendChild(
+      createSvgElement("circle", {
+        ...circle,
+        class: "stats-donut-value",
+        "stroke-dasharray": `${stats.completionPercent} ${100 - stats.completionPercent}`,
+        "stroke-dashoffset": 25, // Começa no topo
+      })
+    );
+    const text = createSvgElement("text", {
+      x: 21,
+      y: 21,
+      class: "stats-donut-text",
+      "text-anchor": "middle",
+      "dominant-baseline": "central",
+    });
+    text.textContent = `${Math.round(stats.completionPercent)}%`;
+    svg.appendChild(text);
+
+    const details = document.createElement("p");
+    details.textContent =
+      `${stats.completed} de ${stats.total} jogos concluídos. ` +
+      `Nota média: ${formatNumber(stats.averageNote)} (${stats.rated} jogos com nota)`;
+
+    wrapper.append(svg, details);
+    return wrapper;
+  }
+
+  /**
+   * Lista de barras horizontais (CSS) com a contagem de cada valor.
+   * @param {Array<{value: string, count: number}>} items
+   * @param {number} total
+   * @returns {HTMLUListElement}
+   */
+  createBarList(items, total) {
+    const list = document.createElement("ul");
+    list.className = "stats-bars";
+    items.forEach(({ value, count }) => {
+      const percent = total ? (count / total) * 100 : 0;
+      list.appendChild(
+        this.createBar(value, percent, `${count} (${formatNumber(Math.round(percent))}%)`)
+      );
+    });
+    return list;
+  }
+
+  /**
+   * Barras horizontais com a nota média de cada dificuldade (escala de 0 a 10).
+   * Jogos sem nota ficam fora da média.
+   * @param {Array<{value: string, count: number, rated: number, average: number | null}>} items
+   * @returns {HTMLUListElement}
+   */
+  createDifficultyList(items) {
+    const list = document.createElement("ul");
+    list.className = "stats-bars";
+    items.forEach(({ value, count, rated, average }) => {
+      list.appendChild(
+        this.createBar(
+          value,
+          ((average || 0) / MAX_NOTE) * 100,
+          rated ? `${formatNumber(average)} (${rated} de ${count} jogos com nota)` : "—"
+        )
+      );
+    });
+    return list;
+  }
+
+  /**
+   * Uma barra horizontal: rótulo, barra proporcional e valor.
+   * @param {string} label
+   * @param {number} percent - Largura da barra (0 a 100).
+   * @param {string} valueText
+   * @returns {HTMLLIElement}
+   */
+  createBar(label, percent, valueText) {
+    const item = document.createElement("li");
+    const name = document.createElement("span");
+    name.className = "stats-bar-label";
+    name.textContent = label;
+
+    const track = document.createElement("span");
+    track.className = "stats-bar-track";
+    const fill = document.createElement("span");
+    fill.className = "stats-bar-fill";
+    fill.style.width = `${percent}%`;
+    track.appendChild(fill);
+
+    const value = document.createElement("span");
+    value.className = "stats-bar-value";
+    value.textContent = valueText;
+
+    item.append(name, track, value);
+    return item;
+  }
+
+  /**
+   * Gráfico de colunas (SVG) com a quantidade de jogos por nota.
+   * @param {Object} stats
+   * @returns {SVGElement}
+   */
+  createNoteChart(stats) {
+    const columnWidth = 20;
+    const chartHeight = 100;
+    const labelHeight = 14;
+    const max = Math.max(1, ...stats.noteDistribution.map(({ count }) => count));
+
+    const svg = createSvgElement("svg", {
+      viewBox: `0 0 ${stats.noteDistribution.length * columnWidth} ${chartHeight + labelHeight}`,
+      class: "stats-columns",
+      role: "img",
+      "aria-label": stats.noteDistribution
+        .map(({ value, count }) => `nota ${value}: ${count}`)
+        .join(", "),
+    });
+
+    stats.noteDistribution.forEach(({ value, count }, index) => {
+      const height = (count / max) * (chartHeight - labelHeight);
+      const x = index * columnWidth;
+      const bar = createSvgElement("rect", {
+        x: x + 3,
+        y: chartHeight - height,
+        width: columnWidth - 6,
+        height,
+        class: "stats-column",
+      });
+      const title = createSvgElement("title");
+      title.textContent = `Nota ${value}: ${count} jogos`;
+      bar.appendChild(title);
+      svg.appendChild(bar);
+
+      if (count > 0) {
+        const countText = createSvgElement("text", {
+          x: x + columnWidth / 2,
+          y: chartHeight - height - 3,
+          "text-anchor": "middle",
+          class: "stats-column-count",
+        });
+        countText.textContent = count;
+        svg.appendChild(countText);
+      }
+
+      const label = createSvgElement("text", {
+        x: x + columnWidth / 2,
+        y: chartHeight + labelHeight - 3,
+        "text-anchor": "middle",
+        class: "stats-column-label",
+      });
+      label.textContent = value;
+      svg.appendChild(label);
+    });
+
+    return svg;
+  }
+
+  /**
+   * Tabela com o resumo de cada aba e o total da coleção.
+   * @returns {HTMLDivElement}
+   */
+  createTabsTable() {
+    const { global, tabs } = computeCollectionStats(this.tabs);
+
+    const container = document.createElement("div");
+    container.className = "data-table-container";
+    const table = document.createElement("table");
+    table.className = "data-table csv-preview stats-table";
+
+    const headerRow = table.createTHead().insertRow();
+    ["Aba", "Jogos", "Concluídos", "Conclusão", "Nota média", "Por status"].forEach(
+      (label) => {
+        const th = document.createElement("th");
+        th.textContent = label;
+        headerRow.appendChild(th);
+      }
+    );
+
+    const tbody = table.createTBody();
+    const addRow = (name, stats, className) => {
+      const tr = tbody.insertRow();
+      if (className) tr.className = className;
+      [
+        name,
+        stats.total,
+        stats.completed,
+        `${formatNumber(stats.completionPercent)}%`,
+        formatNumber(stats.averageNote),
+        stats.byStatus
+          .filter(({ count }) => count > 0)
+          .map(({ value, count }) => `${value}: ${count}`)
+          .join(" · ") || "—",
+      ].forEach((value) => {
+        tr.insertCell().textContent = value;
+      });
+    };
+    tabs.forEach((tab) =>
+      addRow(tab.name, tab.stats, tab.id === this.activeTabId ? "stats-active-row" : "")
+    );
+    addRow("Todas as abas", global, "stats-total-row");
+
+    container.appendChild(table);
+    return container;
+  }
+}
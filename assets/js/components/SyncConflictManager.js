@@ -0,0 +1,96 @@
+// assets/js/components/SyncConflictManager.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) que lista os conflitos de sincronização
+ * entre janelas (o mesmo jogo alterado em duas janelas) e permite escolher qual versão fica.
+ *
+ * O aviso não bloqueia a edição: enquanto o conflito não é resolvido, a versão desta
+ * janela é mantida e não é enviada à outra.
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+import { GameFieldLabels } from "../utils/EnumOptionsTable.js";
+import { diffGameFields } from "../utils/ImportMerge.js";
+
+/**
+ * Gerencia o aviso de conflitos de sincronização.
+ */
+export class SyncConflictManager {
+  /**
+   * @param {HTMLElement} domContainer Elemento onde o aviso é renderizado.
+   * @param {Function} onResolve Recebe (idDoRegistro, "local" | "remote").
+   */
+  constructor(domContainer, onResolve) {
+    this.domContainer = domContainer;
+    this.onResolve = onResolve;
+  }
+
+  /**
+   * Renderiza os conflitos pendentes (oculta o aviso quando não há nenhum).
+   * @param {Array<{id: string, local: Object | null, remote: Object | null}>} conflicts
+   */
+  render(conflicts) {
+    this.domContainer.innerHTML = "";
+    this.domContainer.hidden = conflicts.length === 0;
+    if (conflicts.length === 0) return;
+
+    const heading = document.createElement("strong");
+    heading.textContent = `⚠️ ${conflicts.length} jogo(s) alterado(s) nesta e em outra janela ao mesmo tempo:`;
+    this.domContainer.appendChild(heading);
+
+    const list = document.createElement("ul");
+    list.className = "import-list";
+    conflicts.forEach((conflict) => list.appendChild(this.renderConflict(conflict)));
+    this.domContainer.appendChild(list);
+  }
+
+  /**
+   * @param {{id: string, local: Object | null, remote: Object | null}} conflict
+   * @returns {HTMLLIElement}
+   */
+  renderConflict({ id, local, remote }) {
+    const li = document.createElement("li");
+    const title = (local || remote).title;
+
+    let description;
+    if (!local) description = "excluído nesta janela, alterado na outra";
+    else if (!remote) description = "alterado nesta janela, excluído na outra";
+    else {
+      description = diffGameFields(local, remote)
+        .map(
+          (field) =>
+            `${GameFieldLabels[field]}: "${this.formatValue(local[field])}" × "${this.formatValue(remote[field])}"`
+        )
+        .join("; ");
+    }
+    li.textContent = `${title} — ${description} `;
+
+    li.append(
+      this.createButton("Manter esta janela", () => this.onResolve(id, "local")),
+      " ",
+      this.createButton("Usar a outra janela", () => this.onResolve(id, "remote"))
+    );
+    return li;
+  }
+
+  /**
+   * @param {any} value
+   * @returns {string}
+   */
+  formatValue(value) {
+    return Array.isArray(value) ? value.join(", ") : String(value ?? "");
+  }
+
+  /**
+   * @returns {HTMLButtonElement}
+   */
+  createButton(text, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "secondary-btn";
+    button.textContent = text;
+    button.onclick = onClick;
+    return button;
+  }
+}
@@ -0,0 +1,294 @@
+// assets/js/components/TabConfigEditor.js
+
+/**
+ * @fileoverview Componente de UI (View Layer) que edita a configuração de uma aba:
+ * a lista ordenada de status (e quais contam como concluídos nas estatísticas) e a
+ * escala de dificuldade.
+ *
+ * Além dos novos valores, o componente acompanha a ORIGEM de cada linha, para que
+ * o Controller possa remapear os jogos quando um valor é renomeado ou removido.
+ *
+ * Implementa o Component Pattern dentro da Camada Componente.
+ */
+
+// Listas editáveis (chave em tab.config -> rótulo exibido)
+const EDITABLE_LISTS = [
+  { key: "statuses", label: "Status (na ordem de exibição e ordenação)" },
+  { key: "difficulties", label: "Dificuldades (da mais fácil para a mais difícil)" },
+];
+
+/**
+ * Editor das enumerações de uma aba, renderizado dentro do modal de configuração.
+ */
+export class TabConfigEditor {
+  /**
+   * @param {HTMLElement} domContainer Elemento onde o editor será renderizado.
+   */
+  constructor(domContainer) {
+    this.domContainer = domContainer;
+    this.lists = {}; // { statuses: [row], difficulties: [row] }
+    this.errors = [];
+    this.nextUid = 1;
+  }
+
+  /**
+   * Inicia a edição de uma configuração.
+   * Cada linha guarda o valor original (`original`) para o cálculo do remapeamento.
+   * @param {{statuses: Array<string>, completedStatuses: Array<string>, difficulties: Array<string>}} config
+   *   Configuração atual da aba.
+   */
+  open(config) {
+    this.errors = [];
+    EDITABLE_LISTS.forEach(({ key }) => {
+      this.lists[key] = config[key].map((value) => this.createRow(value, value));
+    });
+    this.lists.statuses.forEach((row) => {
+      row.completed = config.completedStatuses.includes(row.value);
+    });
+    this.render();
+  }
+
+  /**
+   * @param {string | null} original Valor original (null para linhas novas).
+   * @param {string} value Valor atual.
+   * @returns {{uid: number, original: string | null, value: string, removed: boolean, replacement: number | null, completed: boolean}}
+   */
+  createRow(original, value) {
+    return {
+      uid: this.nextUid++,
+      original,
+      value,
+      removed: false,
+      replacement: null, // uid da linha que recebe os jogos de um valor removido
+      completed: false, // Só nos status: conta como concluído nas estatísticas
+    };
+  }
+
+  /**
+   * Valida a edição e calcula a nova configuração e o remapeamento dos valores antigos.
+   * @returns {{isValid: boolean, errors: Array<string>, config: Object, remap: Object}}
+   */
+  collect() {
+    const errors = [];
+    const config = {};
+    const remap = {};
+
+    EDITABLE_LISTS.forEach(({ key, label }) => {
+      const rows = this.lists[key];
+      const activeRows = rows.filter((row) => !row.removed);
+      const values = activeRows.map((row) => row.value.trim());
+      const listName = label.split(" (")[0];
+
+      if (activeRows.length === 0) {
+        errors.push(`${listName}: pelo menos um valor deve permanecer.`);
+      }
+      if (values.some((value) => !value)) {
+        errors.push(`${listName}: valores não podem estar vazios.`);
+      }
+      const duplicates = values.filter((v, i) => v && values.indexOf(v) !== i);
+      if (duplicates.length > 0) {
+        errors.push(`${listName}: valor repetido "${duplicates[0]}".`);
+      }
+
+      config[key] = values;
+      remap[key] = {};
+
+      rows
+        .filter((row) => row.original !== null)
+        .forEach((row) => {
+          if (row.removed) {
+            const target =
+              activeRows.find((r) => r.uid === row.replacement) || activeRows[0];
+            if (target) remap[key][row.original] = target.value.trim();
+          } else if (row.value.trim() !== row.original) {
+            remap[key][row.original] = row.value.trim();
+          }
+        });
+    });
+
+    config.completedStatuses = this.lists.statuses
+      .filter((row) => !row.removed && row.completed)
+      .map((row) => row.value.trim());
+
+    this.errors = errors;
+    if (errors.length > 0) this.render();
+
+    return { isValid: errors.length === 0, errors, config, remap };
+  }
+
+  /**
+   * Move uma linha para cima/baixo (a ordem define a ordenação da tabela).
+   * @param {string} key Lista ("statuses" | "difficulties").
+   * @param {number} index Índice atual.
+   * @param {number} offset -1 (subir) ou +1 (descer).
+   */
+  moveRow(key, index, offset) {
+    const rows = this.lists[key];
+    const target = index + offset;
+    if (target < 0 || target >= rows.length) return;
+    [rows[index], rows[target]] = [rows[target], rows[index]];
+    this.render();
+  }
+
+  /**
+   * Alterna a remoção de uma linha. Linhas novas são descartadas diretamente.
+   * @param {string} key Lista ("statuses" | "difficulties").
+   * @param {number} index Índice da linha.
+   */
+  toggleRemoved(key, index) {
+    const row = this.lists[key][index];
+    if (row.original === null) {
+      this.lists[key].splice(index, 1);
+    } else {
+      row.removed = !row.removed;
+    }
+    this.render();
+  }
+
+  /**
+   * Renderiza as listas editáveis e as mensagens de erro.
+   */
+  render() {
+    this.domContainer.innerHTML = "";
+
+    EDITABLE_LISTS.forEach(({ key, label }, listIndex) => {
+      const section = document.createElement("section");
+      section.className = "config-section";
+
+      const heading = document.createElement("h3");
+      heading.textContent = label;
+      section.appendChild(heading);
+
+      const list = document.createElement("ol");
+      list.className = "config-list";
+      const rows = this.lists[key];
+      const activeRows = rows.filter((row) => !row.removed);
+
+      rows.forEach((row, index) => {
+        list.appendChild(this.renderRow(key, row, index, activeRows));
+      });
+      section.appendChild(list);
+
+      const addBtn = document.createElement("button");
+      addBtn.type = "button";
+      addBtn.className = "secondary-btn";
+      addBtn.textContent = "➕ Adicionar valor";
+      addBtn.onclick = () => {
+        rows.push(this.createRow(null, ""));
+        this.render();
+        // Foca o input da nova linha (o DOM foi recriado pelo render)
+        this.domContainer
+          .querySelectorAll(".config-list")
+          [listIndex].querySelector("li:last-child input")
+          .focus();
+      };
+      section.appendChild(addBtn);
+
+      this.domContainer.appendChild(section);
+    });
+
+    if (this.errors.length > 0) {
+      const errorList = document.createElement("ul");
+      errorList.className = "modal-errors";
+      this.errors.forEach((error) => {
+        const li = document.createElement("li");
+        li.textContent = error;
+        errorList.appendChild(li);
+      });
+      this.domContainer.appendChild(errorList);
+    }
+  }
+
+  /**
+   * Renderiza uma linha da lista (valor, mover, remover e, se removida, o destino dos jogos).
+   * @returns {HTMLLIElement}
+   */
+  renderRow(key, row, index, activeRows) {
+    const li = document.createElement("li");
+    li.className = `config-row ${row.removed ? "removed" : ""}`;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "text-input";
+    input.value = row.value;
+    input.maxLength = 30;
+    input.disabled = row.removed;
+    input.placeholder = "Novo valor";
+    input.addEventListener("input", () => {
+      row.value = input.value;
+    });
+    // Re-renderiza no "change" para atualizar os destinos exibidos nas linhas removidas
+    input.addEventListener("change", () => this.render());
+    li.appendChild(input);
+
+    const upBtn = this.createIconButton("▲", "Mover para cima", () =>
+      this.moveRow(key, index, -1)
+    );
+    const downBtn = this.createIconButton("▼", "Mover para baixo", () =>
+      this.moveRow(key, index, 1)
+    );
+    const removeBtn = this.createIconButton(
+      row.removed ? "↩" : "🗑️",
+      row.removed ? "Restaurar valor" : "Remover valor",
+      () => this.toggleRemoved(key, index)
+    );
+    li.append(upBtn, downBtn, removeBtn);
+
+    if (key === "statuses") {
+      const completedLabel = document.createElement("label");
+      completedLabel.className = "config-completed";
+      completedLabel.title = "Jogos com este status contam como concluídos nas estatísticas";
+      const completedInput = document.createElement("input");
+      completedInput.type = "checkbox";
+      completedInput.checked = row.completed;
+      completedInput.disabled = row.removed;
+      completedInput.addEventListener("change", () => {
+        row.completed = completedInput.checked;
+      });
+      completedLabel.append(completedInput, "Concluído");
+      li.appendChild(completedLabel);
+    }
+
+    if (row.removed) {
+      const remapLabel = document.createElement("label");
+      remapLabel.className = "config-remap";
+      remapLabel.textContent = `Jogos com "${row.original}" passam para: `;
+
+      // Destino padrão (ou destino que foi removido depois): primeiro valor da lista
+      if (!activeRows.some((activeRow) => activeRow.uid === row.replacement)) {
+        row.replacement = activeRows[0] ? activeRows[0].uid : null;
+      }
+
+      const select = document.createElement("select");
+      select.className = "select-input";
+      activeRows.forEach((activeRow) => {
+        const option = document.createElement("option");
+        option.value = String(activeRow.uid);
+        option.textContent = activeRow.value || "(vazio)";
+        option.selected = activeRow.uid === row.replacement;
+        select.appendChild(option);
+      });
+      select.addEventListener("change", () => {
+        row.replacement = Number(select.value);
+      });
+
+      remapLabel.appendChild(select);
+      li.appendChild(remapLabel);
+    }
+
+    return li;
+  }
+
+  /**
+   * @returns {HTMLButtonElement}
+   */
+  createIconButton(text, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "icon-btn";
+    button.textContent = text;
+    button.title = title;
+    button.onclick = onClick;
+    return button;
+  }
+}
@@ -7,6 +7,11 @@
  * Implementa o Component Pattern dentro da Camada Componente.
  */
 
+import { GAME_DRAG_TYPE } from "../utils/EnumOptionsTable.js";
+
+// Tipo (MIME) dos dados arrastados ao reordenar as abas (conteúdo: ID da aba)
+const TAB_DRAG_TYPE = "application/x-game-tracker-tab";
+
 /**
  * Componente de UI responsável pela renderização e eventos das abas.
  * Encapsula a lógica de como as abas são desenhadas e como os eventos de clique
@@ -24,6 +29,11 @@ export class TabManager {
     this.addTab = callbacks.addTab;
     this.openRenameModal = callbacks.openRenameModal;
     this.openDeleteModal = callbacks.openDeleteModal;
+    this.transferGames = callbacks.transferGames;
+    this.moveTab = callbacks.moveTab;
+    this.focusTabId = null; // Aba que recebe o foco no próximo render (Alt+←/→, aba focada)
+    this.tabButtons = new Map(); // ID da aba -> botão (reaproveitado entre os renders)
+    this.addTabButton = null;
   }
 
   /**
@@ -40,66 +50,207 @@ export class TabManager {
   }
 
   /**
-   * Renderiza (desenha) todas as abas e o botão de adicionar no DOM.
-   * Utiliza a limpeza total (`innerHTML = ""`) seguida de re-renderização completa (padrão comum em Vanilla JS para Views simples).
+   * Renderiza (desenha) as abas e o botão de adicionar no DOM.
+   * Os botões são indexados pelo ID da aba e reaproveitados: a cada render só são criadas
+   * as abas novas, removidas as excluídas, atualizados nome/estado e movidas as que
+   * mudaram de posição.
    */
   render() {
-    this.domList.innerHTML = ""; // Limpa a lista existente
+    // A aba focada (ex: ativada pelo teclado) continua focada após o render
+    const focused = document.activeElement;
+    if (!this.focusTabId && focused && this.domList.contains(focused)) {
+      this.focusTabId = focused.closest(".tab-button")?.dataset.tabId || null;
+    }
+
+    // Primeiro render (ou a lista foi limpa por fora)
+    if (!this.addTabButton || !this.domList.contains(this.addTabButton)) {
+      this.domList.innerHTML = "";
+      this.tabButtons.clear();
+      this.addTabButton = this.createAddTabButton();
+      this.domList.appendChild(this.addTabButton);
+    }
 
+    const ids = new Set(this.tabsData.map((tab) => tab.id));
+    this.tabButtons.forEach((button, id) => {
+      if (!ids.has(id)) {
+        button.remove();
+        this.tabButtons.delete(id);
+      }
+    });
+
+    let cursor = this.domList.firstChild;
     this.tabsData.forEach((tab) => {
-      const tabButton = document.createElement("button");
+      let tabButton = this.tabButtons.get(tab.id);
+      if (!tabButton) {
+        tabButton = this.createTabButton(tab.id);
+        this.tabButtons.set(tab.id, tabButton);
+      }
       // Define a classe 'active' com base no estado fornecido pelo Controller
-      tabButton.className = `tab-button ${
-        tab.id === this.activeTabId ? "active" : ""
-      }`;
-
-      const tabText = document.createElement("span");
-      tabText.textContent = tab.name;
-      tabButton.appendChild(tabText);
-
-      // --- Bindings de Eventos para Delegação ao Controller ---
-
-      // Evento: Duplo clique (Renomear)
-      tabButton.addEventListener("dblclick", (e) => {
-        e.stopPropagation();
-        // Chama o callback do Controller, delegando a responsabilidade de abrir o modal
-        this.openRenameModal(tab.id, tab.name);
-      });
-
-      // Evento: Clique (Ativar Aba)
-      tabButton.addEventListener("click", () => {
-        // Só chama o Controller se o clique for em uma aba diferente da ativa (otimização)
-        if (tab.id !== this.activeTabId) {
-          this.activateTab(tab.id); // Chama o callback do Controller
-        }
-      });
-
-      // Botão de Excluir
-      const deleteBtn = document.createElement("button");
-      deleteBtn.innerHTML = '<span class="icon delete-icon">❌</span>';
-      deleteBtn.className = "icon-btn delete-icon-btn";
-      deleteBtn.title = "Excluir Aba";
-      // Evento: Clique no 'X' (Excluir)
-      deleteBtn.addEventListener("click", (e) => {
-        e.stopPropagation(); // Previne o acionamento do evento de clique da aba pai
-        if (this.tabsData.length > 1) {
-          this.openDeleteModal(tab.id, tab.name); // Chama o callback do Controller
-        } else {
-          // Lógica de feedback simples (alerta) quando a regra de negócio é violada
-          alert("Pelo menos uma aba deve permanecer!");
-        }
-      });
-      tabButton.appendChild(deleteBtn);
-
-      this.domList.appendChild(tabButton);
+      tabButton.classList.toggle("active", tab.id === this.activeTabId);
+      tabButton.firstChild.textContent = tab.name;
+
+      if (tabButton === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        this.domList.insertBefore(tabButton, cursor);
+      }
+    });
+
+    const focusButton = this.tabButtons.get(this.focusTabId);
+    this.focusTabId = null;
+    if (focusButton && focusButton !== document.activeElement) focusButton.focus();
+  }
+
+  /**
+   * Cria o botão de uma aba. Os eventos buscam os dados atuais da aba pelo ID, pois o
+   * botão é reaproveitado entre os renders.
+   * @param {string} tabId
+   * @returns {HTMLButtonElement}
+   */
+  createTabButton(tabId) {
+    const getTab = () => this.tabsData.find((tab) => tab.id === tabId);
+
+    const tabButton = document.createElement("button");
+    tabButton.className = "tab-button";
+
+    const tabText = document.createElement("span");
+    tabButton.appendChild(tabText);
+
+    // --- Bindings de Eventos para Delegação ao Controller ---
+
+    // Evento: Duplo clique (Renomear)
+    tabButton.addEventListener("dblclick", (e) => {
+      e.stopPropagation();
+      // Chama o callback do Controller, delegando a responsabilidade de abrir o modal
+      this.openRenameModal(tabId, getTab().name);
+    });
+
+    // Evento: Clique (Ativar Aba)
+    tabButton.addEventListener("click", () => {
+      // Só chama o Controller se o clique for em uma aba diferente da ativa (otimização)
+      if (tabId !== this.activeTabId) {
+        this.activateTab(tabId); // Chama o callback do Controller
+      }
     });
 
-    // Botão para Adicionar Nova Aba
+    // Botão de Excluir
+    const deleteBtn = document.createElement("button");
+    deleteBtn.innerHTML = '<span class="icon delete-icon">❌</span>';
+    deleteBtn.className = "icon-btn delete-icon-btn";
+    deleteBtn.title = "Excluir Aba";
+    // Evento: Clique no 'X' (Excluir)
+    deleteBtn.addEventListener("click", (e) => {
+      e.stopPropagation(); // Previne o acionamento do evento de clique da aba pai
+      if (this.tabsData.length > 1) {
+        this.openDeleteModal(tabId, getTab().name); // Chama o callback do Controller
+      } else {
+        // Lógica de feedback simples (alerta) quando a regra de negócio é violada
+        alert("Pelo menos uma aba deve permanecer!");
+      }
+    });
+    tabButton.appendChild(deleteBtn);
+
+    this.bindGameDrop(tabButton, tabId);
+    this.bindTabReorder(tabButton, tabId);
+
+    return tabButton;
+  }
+
+  /**
+   * Botão para Adicionar Nova Aba (sempre o último da lista).
+   * @returns {HTMLButtonElement}
+   */
+  createAddTabButton() {
     const addTabButton = document.createElement("button");
     addTabButton.className = "tab-button tab-add-btn";
     addTabButton.title = "Adicionar Nova Aba";
     addTabButton.innerHTML = '<span class="icon">➕ Nova Aba</span>';
     addTabButton.onclick = () => this.addTab(); // Chama o callback do Controller
-    this.domList.appendChild(addTabButton);
+    return addTabButton;
+  }
+
+  /**
+   * Reordenação das abas: arrastar até outra aba (antes ou depois dela, conforme o lado)
+   * ou Alt+← / Alt+→ com a aba focada.
+   * @param {HTMLButtonElement} tabButton
+   * @param {string} tabId
+   */
+  bindTabReorder(tabButton, tabId) {
+    tabButton.draggable = true;
+    tabButton.dataset.tabId = tabId;
+    tabButton.title = "Arraste (ou Alt+← / Alt+→) para reordenar";
+
+    const isAfter = (e) => {
+      const rect = tabButton.getBoundingClientRect();
+      return e.clientX > rect.left + rect.width / 2;
+    };
+    const clearIndicator = () =>
+      tabButton.classList.remove("drop-before", "drop-after");
+
+    tabButton.addEventListener("dragstart", (e) => {
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData(TAB_DRAG_TYPE, tabId);
+    });
+
+    tabButton.addEventListener("dragover", (e) => {
+      if (![...e.dataTransfer.types].includes(TAB_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+      const after = isAfter(e);
+      tabButton.classList.toggle("drop-before", !after);
+      tabButton.classList.toggle("drop-after", after);
+    });
+    tabButton.addEventListener("dragleave", clearIndicator);
+    tabButton.addEventListener("drop", (e) => {
+      clearIndicator();
+      const draggedId = e.dataTransfer.getData(TAB_DRAG_TYPE);
+      if (!draggedId) return;
+      e.preventDefault();
+      if (draggedId !== tabId) this.moveTab(draggedId, tabId, isAfter(e));
+    });
+
+    tabButton.addEventListener("keydown", (e) => {
+      if (!e.altKey || (e.key !== "ArrowLeft" && e.key !== "ArrowRight")) {
+        return;
+      }
+      e.preventDefault();
+      const index = this.tabsData.findIndex((t) => t.id === tabId);
+      const neighbor = this.tabsData[index + (e.key === "ArrowLeft" ? -1 : 1)];
+      if (!neighbor) return;
+      this.focusTabId = tabId;
+      this.moveTab(tabId, neighbor.id, e.key === "ArrowRight");
+    });
+  }
+
+  /**
+   * Permite soltar linhas da tabela (ver TableManager.createDragHandle) sobre a aba:
+   * move os jogos para ela; com Ctrl ou Alt pressionado, copia.
+   * @param {HTMLButtonElement} tabButton
+   * @param {string} tabId ID da aba de destino.
+   */
+  bindGameDrop(tabButton, tabId) {
+    const isCopy = (e) => e.ctrlKey || e.altKey || e.metaKey;
+    const acceptsDrop = (e) =>
+      tabId !== this.activeTabId &&
+      [...e.dataTransfer.types].includes(GAME_DRAG_TYPE);
+
+    tabButton.addEventListener("dragover", (e) => {
+      if (!acceptsDrop(e)) return;
+      e.preventDefault(); // Indica que a aba aceita o drop
+      e.dataTransfer.dropEffect = isCopy(e) ? "copy" : "move";
+      tabButton.classList.add("drop-target");
+    });
+
+    tabButton.addEventListener("dragleave", () => {
+      tabButton.classList.remove("drop-target");
+    });
+
+    tabButton.addEventListener("drop", (e) => {
+      tabButton.classList.remove("drop-target");
+      if (!acceptsDrop(e)) return;
+      e.preventDefault();
+      const ids = JSON.parse(e.dataTransfer.getData(GAME_DRAG_TYPE) || "[]");
+      if (ids.length > 0) this.transferGames(ids, tabId, isCopy(e));
+    });
   }
 }
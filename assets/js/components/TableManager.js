@@ -4,18 +4,121 @@
  * @fileoverview Componente de UI (View Layer) responsável pela renderização e gestão
  * dos eventos da tabela principal de jogos, incluindo a lógica de paginação e ORDENAÇÃO.
  *
+ * A renderização é incremental: a estrutura (pesquisa, tabela, botões) é criada uma vez
+ * e cada render só atualiza o que mudou. As linhas são indexadas pelo ID do jogo e cada
+ * célula guarda a assinatura dos dados com que foi desenhada; células iguais não são
+ * tocadas, então o campo em edição mantém o foco, o cursor e o valor digitado.
+ *
  * Implementa o Component Pattern dentro da Camada Componente.
  */
 
 // Importa os arrays de enumeração (opções) para preenchimento dos campos <select>
-import {
-  GameStatus,
-  GameNote,
-  GameDifficulty,
-} from "../utils/EnumOptionsTable.js";
+import { GameNote, GAME_DRAG_TYPE } from "../utils/EnumOptionsTable.js";
+// Status e dificuldades vêm da configuração da aba ativa
+import { getTabConfig, getOrdinal } from "../utils/TabConfig.js";
+import { GameRow } from "../models/GameRow.js";
+import { parseQuery, compileQuery, QueryParseError } from "../utils/QueryParser.js";
+import { findPossibleDuplicates } from "../utils/DuplicateDetector.js";
+
+// Tamanhos de página disponíveis; "all" mostra todos os jogos com rolagem virtualizada
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+const SHOW_ALL = "all";
+const DEFAULT_PAGE_SIZE = PAGE_SIZE_OPTIONS[0];
+// Rolagem virtualizada: altura estimada de uma linha (corrigida pela medição das linhas
+// renderizadas) e quantidade de linhas extras renderizadas acima e abaixo da área visível
+const VIRTUAL_ROW_HEIGHT = 64;
+const VIRTUAL_OVERSCAN = 10;
+// Linhas puladas por PageUp/PageDown no modo "mostrar todos" (na paginação, uma página)
+const KEYBOARD_PAGE_STEP = 10;
+
+// Elementos que podem receber o foco (controles das células, paginação, barra de ações)
+const FOCUSABLE_SELECTOR = "input, select, textarea, button, summary, [tabindex]";
+
+/**
+ * Definição das colunas editáveis da tabela (ordem de exibição).
+ * `type` define o controle renderizado: input de texto/data/número ou <select> com `options`.
+ * `configKey` indica que as opções vêm da configuração da aba (ver TabConfig.js).
+ */
+const TABLE_COLUMNS = [
+  { key: "title", label: "Título", type: "text" },
+  { key: "status", label: "Status", type: "select", configKey: "statuses" },
+  { key: "note", label: "Nota", type: "select", options: GameNote },
+  {
+    key: "difficulty",
+    label: "Dificuldade",
+    type: "select",
+    configKey: "difficulties",
+  },
+  { key: "platform", label: "Plataforma", type: "platform" },
+  { key: "tags", label: "Tags", type: "tags", sortable: false },
+  { key: "startDate", label: "Início", type: "date" },
+  { key: "finishDate", label: "Término", type: "date" },
+  { key: "hoursPlayed", label: "Horas", type: "number" },
+];
+const ACTION_LABEL = "Ação";
+
+// IDs dos <datalist> de autocomplete (compartilhados por todas as linhas)
+const TAGS_DATALIST_ID = "known-tags-list";
+const PLATFORMS_DATALIST_ID = "known-platforms-list";
+
+/**
+ * Assinatura de um controle (tag e classes), usada para reencontrá-lo depois do render.
+ * @param {Element} element
+ * @returns {string}
+ */
+function getControlSignature(element) {
+  return `${element.tagName}.${element.className}`;
+}
+
+/**
+ * Identifica um controle dentro de um contêiner pela assinatura e pela posição entre os
+ * controles de mesma assinatura (ex: o input de tags continua sendo encontrado mesmo
+ * que um chip tenha sido adicionado antes dele).
+ * @param {Element} container
+ * @param {Element} element
+ * @returns {{signature: string, index: number}}
+ */
+function describeControl(container, element) {
+  const signature = getControlSignature(element);
+  const sameControls = [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(
+    (control) => getControlSignature(control) === signature
+  );
+  return { signature, index: Math.max(0, sameControls.indexOf(element)) };
+}
 
-const ROWS_PER_PAGE = 10;
-const TABLE_LABELS = ["Título", "Status", "Nota", "Dificuldade", "Ação"];
+/**
+ * Reencontra um controle descrito por describeControl. Se ele estiver desabilitado
+ * (ex: "Próximo" na última página), usa o controle habilitado mais próximo.
+ * @param {Element} container
+ * @param {{signature: string, index: number}} description
+ * @returns {Element | null}
+ */
+function findControl(container, { signature, index }) {
+  const sameControls = [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(
+    (control) => getControlSignature(control) === signature
+  );
+  const start = Math.min(index, sameControls.length - 1);
+  return (
+    [...sameControls.slice(start), ...sameControls.slice(0, start).reverse()].find(
+      (control) => !control.disabled
+    ) || null
+  );
+}
+
+/**
+ * Posição do cursor/seleção de um campo de texto.
+ * @param {Element} element
+ * @returns {[number, number] | null}
+ */
+function getTextSelection(element) {
+  try {
+    return typeof element.selectionStart === "number"
+      ? [element.selectionStart, element.selectionEnd]
+      : null;
+  } catch {
+    return null; // Alguns tipos de input não têm seleção
+  }
+}
 
 /**
  * Utilitário: Cria um elemento <select> dinâmico com base em um array de opções.
@@ -23,7 +126,21 @@ const TABLE_LABELS = ["Título", "Status", "Nota", "Dificuldade", "Ação"];
 function createSelectElement(options, defaultValue, onChangeCallback) {
   const select = document.createElement("select");
   select.className = "select-input";
+  fillSelectOptions(select, options, defaultValue);
+
+  if (onChangeCallback) {
+    select.addEventListener("change", onChangeCallback);
+  }
+
+  return select;
+}
 
+/**
+ * Utilitário: (Re)preenche as opções de um <select>, selecionando `defaultValue`.
+ * O próprio elemento é mantido (um <select> focado continua focado).
+ */
+function fillSelectOptions(select, options, defaultValue) {
+  select.replaceChildren();
   const normalizedDefault = String(defaultValue || "").trim();
   let defaultExists = false;
 
@@ -32,7 +149,7 @@ function createSelectElement(options, defaultValue, onChangeCallback) {
     option.value = String(optionText);
     option.textContent = String(optionText);
     if (option.value.trim() === normalizedDefault) {
-      option.selected = true;
+      option.defaultSelected = true; // Também seleciona; Esc na tabela volta a esta opção
       defaultExists = true;
     }
     select.appendChild(option);
@@ -42,15 +159,98 @@ function createSelectElement(options, defaultValue, onChangeCallback) {
     const missingOption = document.createElement("option");
     missingOption.value = normalizedDefault;
     missingOption.textContent = normalizedDefault + " (Inválido)";
-    missingOption.selected = true;
+    missingOption.defaultSelected = true;
     select.appendChild(missingOption);
   }
+}
 
-  if (onChangeCallback) {
-    select.addEventListener("change", onChangeCallback);
-  }
+/**
+ * Utilitário: Tira os controles de um elemento da ordem do Tab (na grade, eles só
+ * recebem o foco pela célula, com Enter/F2, ou pelo mouse).
+ */
+function removeTabStops(element) {
+  element.querySelectorAll(FOCUSABLE_SELECTOR).forEach((control) => {
+    control.tabIndex = -1;
+  });
+}
 
-  return select;
+/**
+ * Utilitário: Cria um <datalist> com as sugestões de autocomplete.
+ */
+function createDatalistElement(id, values) {
+  const datalist = document.createElement("datalist");
+  datalist.id = id;
+  values.forEach((value) => {
+    const option = document.createElement("option");
+    option.value = value;
+    datalist.appendChild(option);
+  });
+  return datalist;
+}
+
+/**
+ * Utilitário: Cria um editor de "chips" (valores exibidos como etiquetas removíveis)
+ * com um input para adicionar novos valores (Enter ou vírgula confirmam).
+ *
+ * @param {Array<string>} values - Valores atuais.
+ * @param {object} options
+ * @param {boolean} [options.single=false] - Se true, aceita apenas um valor (o input some quando preenchido).
+ * @param {string} options.placeholder - Placeholder do input de adição.
+ * @param {string} options.datalistId - ID do <datalist> de sugestões.
+ * @param {Function} options.onChange - Recebe o novo array de valores.
+ * @returns {HTMLDivElement}
+ */
+function createChipEditor(values, { single = false, placeholder, datalistId, onChange }) {
+  const container = document.createElement("div");
+  container.className = "chip-editor";
+
+  values.forEach((value, index) => {
+    const chip = document.createElement("span");
+    chip.className = "chip";
+    chip.textContent = value;
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "chip-remove";
+    removeBtn.title = `Remover "${value}"`;
+    removeBtn.textContent = "×";
+    removeBtn.addEventListener("click", () =>
+      onChange(values.filter((_, i) => i !== index))
+    );
+
+    chip.appendChild(removeBtn);
+    container.appendChild(chip);
+  });
+
+  if (single && values.length > 0) return container;
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "chip-input";
+  input.placeholder = placeholder;
+  input.setAttribute("list", datalistId);
+
+  const commit = () => {
+    const newValue = input.value.replace(/,/g, " ").trim();
+    input.value = ""; // Evita confirmar o mesmo valor duas vezes (keydown + change)
+    if (!newValue) return;
+    onChange(single ? [newValue] : [...values, newValue]);
+  };
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      commit();
+    } else if (e.key === "Backspace" && !input.value && values.length > 0) {
+      // Backspace com o input vazio remove o último chip (comportamento comum em editores de tags)
+      onChange(values.slice(0, -1));
+    }
+  });
+  // "change" cobre a seleção de uma sugestão do <datalist> e a perda de foco
+  input.addEventListener("change", commit);
+
+  container.appendChild(input);
+  return container;
 }
 
 /**
@@ -66,23 +266,92 @@ export class TableManager {
     this.updateGame = callbacks.updateGame;
     this.deleteGame = callbacks.deleteGame;
     this.addRow = callbacks.addRow;
+    this.openConfigModal = callbacks.openConfigModal;
+    this.savePageSize = callbacks.savePageSize;
+    this.bulkUpdateGames = callbacks.bulkUpdateGames;
+    this.transferGames = callbacks.transferGames;
+    this.bulkDeleteGames = callbacks.bulkDeleteGames;
+    this.reorderGames = callbacks.reorderGames;
+    this.revealGame = callbacks.revealGame;
 
     this.currentPage = 1;
+    this.pageSize = DEFAULT_PAGE_SIZE; // Número de jogos por página ou SHOW_ALL
+    this.virtualScrollTop = 0; // Posição da rolagem no modo "mostrar todos" (sobrevive ao render)
+    this.virtualRowHeight = VIRTUAL_ROW_HEIGHT;
+    this.virtualRange = null; // Intervalo de linhas renderizado no modo "mostrar todos"
+    this.virtualFrame = null;
     this.activeTab = null;
     this.searchTerm = "";
+    this.queryError = null; // QueryParseError da pesquisa atual (exibido abaixo do input)
+    this.tagFilter = []; // Tags selecionadas no filtro (o jogo precisa ter todas)
+    this.knownTags = []; // Tags conhecidas em todas as abas (autocomplete)
+    this.knownPlatforms = []; // Plataformas conhecidas em todas as abas (autocomplete)
+    this.tabs = []; // Todas as abas ({ id, name }), destinos de mover/copiar
+    this.duplicateIndex = new Map(); // Títulos de todas as abas (ver DuplicateDetector.js)
 
-    // Estado de ordenação
-    this.sortConfig = {
-      column: null, // Coluna atual ordenada (title, status, note, difficulty)
-      direction: "asc", // Direção: 'asc' ou 'desc'
-    };
+    // Seleção de linhas (ações em massa)
+    this.selectedIds = new Set();
+    this.selectionAnchorId = null; // Última linha clicada (início do intervalo com Shift)
+    this.visibleGames = []; // Jogos filtrados e ordenados do último render (todas as páginas)
+    this.bulkTargetTabId = ""; // Aba escolhida para mover/copiar
+    this.highlightGameId = null; // Jogo destacado no próximo render (link de duplicado)
+
+    // Foco e navegação pelo teclado (grade ARIA). O foco é descrito por describeFocus
+    // antes de cada render e restaurado no elemento equivalente da tabela recriada.
+    this.pendingFocus = null; // Foco pedido para o próximo render (ex: Alt+↑/↓, linha nova)
+    this.pointerFocus = null; // Controle clicado (mousedown) enquanto outro grava a edição
+    this.activeCell = null; // Célula ativa da grade ({ gameId, column }), a única com tabIndex 0
+
+    // Pilha de ordenação: o primeiro item é o critério principal, os seguintes desempatam.
+    // Cada item: { column: chave de TABLE_COLUMNS, direction: 'asc' | 'desc' }
+    this.sortStack = [];
+
+    // Renderização incremental (ver createView e renderRows)
+    this.view = null; // Estrutura fixa da tabela da aba ativa
+    this.rowEntries = new Map(); // ID do jogo -> { row, checkbox, handle, cells } renderizados
+
+    // Eventos delegados: valem para todas as linhas, inclusive as criadas depois
+    this.domContent.addEventListener("keydown", (e) => this.handleGridKeydown(e));
+    this.domContent.addEventListener("focusin", (e) => this.handleGridFocus(e));
+    // Clicar em um controle enquanto outro perde o foco pode re-renderizar a tabela antes
+    // do clique terminar (blur/change gravam a edição): o clicado recebe o foco no render
+    this.domContent.addEventListener(
+      "mousedown",
+      (e) => {
+        const target = e.target.closest(FOCUSABLE_SELECTOR);
+        this.pointerFocus = target ? this.describeFocus(target) : null;
+      },
+      true
+    );
+    document.addEventListener("mouseup", () => {
+      this.pointerFocus = null;
+    });
   }
 
   /**
    * Chamado pelo Controller para atualizar o estado interno do Manager.
+   * @param {Object|null} activeTab - Aba ativa.
+   * @param {Object} [context] - Dados derivados de todas as abas.
+   * @param {Array<string>} [context.knownTags] - Tags usadas em qualquer aba.
+   * @param {Array<string>} [context.knownPlatforms] - Plataformas usadas em qualquer aba.
+   * @param {number|string} [context.pageSize] - Tamanho de página salvo para a aba ativa.
+   * @param {Array<{id: string, name: string}>} [context.tabs] - Todas as abas.
+   * @param {Map} [context.duplicateIndex] - Índice de títulos (DuplicateDetector.createDuplicateIndex).
    */
-  setState(activeTab) {
+  setState(activeTab, context = {}) {
+    if (!activeTab || !this.activeTab || activeTab.id !== this.activeTab.id) {
+      // Outra aba: começa do topo e sem seleção
+      this.virtualScrollTop = 0;
+      this.clearSelection();
+    }
     this.activeTab = activeTab;
+    this.knownTags = context.knownTags || [];
+    this.knownPlatforms = context.knownPlatforms || [];
+    this.tabs = context.tabs || [];
+    this.duplicateIndex = context.duplicateIndex || new Map();
+    this.pageSize = [...PAGE_SIZE_OPTIONS, SHOW_ALL].includes(context.pageSize)
+      ? context.pageSize
+      : DEFAULT_PAGE_SIZE;
     if (activeTab && this.currentPage > this.getTotalPages()) {
       this.currentPage = 1;
     }
@@ -93,88 +362,101 @@ export class TableManager {
    * Calcula o número total de páginas.
    */
   getTotalPages() {
-    if (!this.activeTab || !this.activeTab.games) return 1;
-    return Math.ceil(this.activeTab.games.length / ROWS_PER_PAGE);
+    if (!this.activeTab || !this.activeTab.games || this.pageSize === SHOW_ALL) {
+      return 1;
+    }
+    return Math.ceil(this.activeTab.games.length / this.pageSize);
   }
 
   /**
-   * Ordena os jogos com base na configuração atual.
+   * Valor comparável de um jogo para a coluna de ordenação.
+   * @param {Object} game - Dados do jogo
+   * @param {string} column - Chave da coluna
+   * @param {{statuses: Array<string>, difficulties: Array<string>}} config - Configuração da aba
+   * @returns {string|number}
+   */
+  getSortValue(game, column, config) {
+    const value = game[column];
+
+    switch (column) {
+      case "title":
+      case "platform":
+        return (value || "").toLowerCase();
+      case "note":
+        return getOrdinal(GameNote, String(value));
+      case "hoursPlayed":
+        return parseFloat(value) || 0;
+      case "startDate":
+      case "finishDate":
+        // Datas ISO são comparáveis como string; datas vazias vão para o final (asc)
+        return value || "9999-99-99";
+      case "difficulty":
+        return getOrdinal(config.difficulties, value);
+      case "status":
+        return getOrdinal(config.statuses, value);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Ordena os jogos pela pilha de ordenação. Empates em todos os critérios
+   * mantêm a ordem original da aba.
    * @param {Array} games - Array de jogos a serem ordenados
    * @returns {Array} Array ordenado
    */
   sortGames(games) {
-    if (!this.sortConfig.column) return games;
-
-    const sorted = [...games].sort((a, b) => {
-      let aValue = a[this.sortConfig.column];
-      let bValue = b[this.sortConfig.column];
-
-      // Normalização para comparação
-      if (this.sortConfig.column === "title") {
-        aValue = (aValue || "").toLowerCase();
-        bValue = (bValue || "").toLowerCase();
-      } else if (this.sortConfig.column === "note") {
-        aValue = parseInt(aValue) || 0;
-        bValue = parseInt(bValue) || 0;
-      } else if (this.sortConfig.column === "difficulty") {
-        // Ordem de dificuldade
-        const difficultyOrder = [
-          "F",
-          "E-",
-          "E",
-          "E+",
-          "D-",
-          "D",
-          "D+",
-          "C-",
-          "C",
-          "C+",
-          "B-",
-          "B",
-          "B+",
-          "A-",
-          "A",
-          "A+",
-          "S",
-          "S+",
-        ];
-        aValue = difficultyOrder.indexOf(aValue);
-        bValue = difficultyOrder.indexOf(bValue);
-      } else if (this.sortConfig.column === "status") {
-        // Ordem de status
-        const statusOrder = [
-          "Não Iniciado",
-          "Jogando",
-          "Pausado",
-          "Zerado",
-          "Abandonado",
-        ];
-        aValue = statusOrder.indexOf(aValue);
-        bValue = statusOrder.indexOf(bValue);
-      }
+    if (this.sortStack.length === 0) return games;
 
-      // Comparação
-      if (aValue < bValue) return this.sortConfig.direction === "asc" ? -1 : 1;
-      if (aValue > bValue) return this.sortConfig.direction === "asc" ? 1 : -1;
-      return 0;
-    });
+    // Ordem de status e dificuldade definida pela configuração da aba
+    // (por padrão, as listas de EnumOptionsTable)
+    const config = getTabConfig(this.activeTab);
 
-    return sorted;
+    return games
+      .map((game, index) => ({
+        game,
+        index,
+        keys: this.sortStack.map(({ column }) =>
+          this.getSortValue(game, column, config)
+        ),
+      }))
+      .sort((a, b) => {
+        for (let i = 0; i < this.sortStack.length; i++) {
+          const factor = this.sortStack[i].direction === "asc" ? 1 : -1;
+          if (a.keys[i] < b.keys[i]) return -factor;
+          if (a.keys[i] > b.keys[i]) return factor;
+        }
+        return a.index - b.index;
+      })
+      .map(({ game }) => game);
   }
 
   /**
    * Manipula o clique em um cabeçalho para ordenar.
+   * Clique simples: ordena somente por esta coluna (ou inverte a direção se ela já é a única).
+   * Shift+clique: adiciona a coluna como critério de desempate; se ela já está na pilha,
+   * alterna asc -> desc -> removida.
    * @param {string} column - Nome da coluna clicada
+   * @param {boolean} [additive=false] - Se o Shift estava pressionado
    */
-  handleSort(column) {
-    // Se clicar na mesma coluna, inverte a direção
-    if (this.sortConfig.column === column) {
-      this.sortConfig.direction =
-        this.sortConfig.direction === "asc" ? "desc" : "asc";
+  handleSort(column, additive = false) {
+    const position = this.sortStack.findIndex((item) => item.column === column);
+
+    if (additive) {
+      if (position === -1) {
+        this.sortStack.push({ column, direction: "asc" });
+      } else if (this.sortStack[position].direction === "asc") {
+        this.sortStack[position].direction = "desc";
+      } else {
+        this.sortStack.splice(position, 1);
+      }
+    } else if (this.sortStack.length === 1 && position === 0) {
+      // Mesma coluna: inverte a direção
+      this.sortStack[0].direction =
+        this.sortStack[0].direction === "asc" ? "desc" : "asc";
     } else {
-      // Nova coluna, começa com ascendente
-      this.sortConfig.column = column;
-      this.sortConfig.direction = "asc";
+      // Nova coluna (ou pilha com vários critérios): começa com ascendente
+      this.sortStack = [{ column, direction: "asc" }];
     }
 
     // Volta para a primeira página ao ordenar
@@ -183,87 +465,410 @@ export class TableManager {
   }
 
   /**
-   * Cria uma célula de tabela (TD) com um input de texto ou select.
+   * Cria uma célula de tabela (TD) com o controle adequado ao tipo da coluna
+   * (input de texto, data, número ou select). Os valores são preenchidos por updateGameCell.
+   * @param {HTMLTableRowElement} row - Linha onde a célula será inserida
+   * @param {string} gameId - ID do jogo da linha
+   * @param {Object} column - Definição da coluna (ver TABLE_COLUMNS)
+   * @returns {{cell: HTMLTableCellElement, signature: string | null}}
    */
-  createGameCell(row, game, propertyName, options, isInput = false) {
-    const cellIndex = TABLE_LABELS.findIndex((l) =>
-      l.toLowerCase().includes(propertyName.toLowerCase())
-    );
-    const cell = row.insertCell();
-    if (cellIndex !== -1)
-      cell.setAttribute("data-label", TABLE_LABELS[cellIndex]);
+  createGameCell(row, gameId, column) {
+    const cell = this.createGridCell(row, column.key);
+    cell.setAttribute("data-label", column.label);
 
-    const handler = (e) =>
-      this.updateGame(game.id, propertyName, e.target.value);
+    // Depois da edição, a célula volta a exibir o valor gravado (o Model pode ter
+    // rejeitado ou normalizado o texto, ex: data de término antes da de início)
+    const handler = (e) => {
+      this.updateGame(gameId, column.key, e.target.value);
+      this.repaintGameCell(gameId, column);
+    };
 
-    if (isInput) {
+    if (column.type === "select") {
+      cell.appendChild(createSelectElement([], "", handler));
+    } else if (column.type !== "tags" && column.type !== "platform") {
       const input = document.createElement("input");
-      input.type = "text";
+      input.type = column.type;
       input.className = "text-input";
-      input.value = game[propertyName] || "";
-      input.placeholder = TABLE_LABELS[cellIndex];
+      input.placeholder = column.label;
+      if (column.type === "number") {
+        input.min = "0";
+        input.step = "0.5";
+      }
       input.addEventListener("change", handler);
-      input.addEventListener("blur", handler);
+      if (column.type === "text") {
+        input.addEventListener("blur", handler);
+      }
       cell.appendChild(input);
-    } else {
-      const select = createSelectElement(options, game[propertyName], handler);
-      cell.appendChild(select);
+    }
+
+    return { cell, signature: null };
+  }
+
+  /**
+   * Atualiza o conteúdo de uma célula, somente se os dados exibidos nela mudaram.
+   * @param {{cell: HTMLTableCellElement, signature: string | null}} entry - Ver createGameCell.
+   * @param {Object} game - Dados do jogo
+   * @param {Object} column - Definição da coluna (ver TABLE_COLUMNS)
+   * @param {{statuses: Array<string>, difficulties: Array<string>}} config - Configuração da aba
+   * @param {boolean} [force=false] - Repinta mesmo sem mudança e descarta o texto digitado.
+   */
+  updateGameCell(entry, game, column, config, force = false) {
+    if (force) {
+      entry.signature = null;
+      entry.duplicateIndex = null;
+    }
+    const { cell } = entry;
+    const value = game[column.key];
+
+    if (column.type === "select") {
+      const options = column.configKey ? config[column.configKey] : column.options;
+      const signature = JSON.stringify([value, options]);
+      if (signature === entry.signature) return;
+      entry.signature = signature;
+      fillSelectOptions(cell.firstChild, options, value);
+      return;
+    }
+
+    if (column.type === "tags" || column.type === "platform") {
+      const isPlatform = column.type === "platform";
+      const values = isPlatform ? [value].filter(Boolean) : value || [];
+      const signature = JSON.stringify(values);
+      if (signature === entry.signature) return;
+      entry.signature = signature;
+
+      const editor = createChipEditor(values, {
+        single: isPlatform,
+        placeholder: isPlatform ? "+ Plataforma" : "+ Tag",
+        datalistId: isPlatform ? PLATFORMS_DATALIST_ID : TAGS_DATALIST_ID,
+        onChange: (newValues) =>
+          this.updateGame(
+            game.id,
+            column.key,
+            isPlatform ? newValues[0] || "" : newValues
+          ),
+      });
+      removeTabStops(editor);
+      cell.replaceChildren(editor);
+      return;
+    }
+
+    // Título e índice iguais aos do último render: os duplicados também são os mesmos
+    if (entry.duplicateIndex === this.duplicateIndex && entry.value === value) return;
+    entry.duplicateIndex = this.duplicateIndex;
+    entry.value = value;
+
+    const duplicates =
+      column.key === "title"
+        ? findPossibleDuplicates(this.duplicateIndex, game.title, game.id)
+        : [];
+    const signature = JSON.stringify([
+      value,
+      duplicates.map((duplicate) => [
+        duplicate.tabId,
+        duplicate.tabName,
+        duplicate.game.id,
+        duplicate.game.title,
+      ]),
+    ]);
+    if (signature === entry.signature) return;
+    entry.signature = signature;
+
+    const input = cell.firstChild;
+    // O campo em edição mantém o texto digitado (ainda não gravado); os demais exibem o valor salvo
+    const isTyping =
+      !force &&
+      input === document.activeElement &&
+      input.value !== input.defaultValue;
+    input.defaultValue = value ?? ""; // Esc volta a este valor
+    if (!isTyping && input.value !== input.defaultValue) input.value = input.defaultValue;
+
+    cell.querySelector(".duplicate-badge")?.remove();
+    if (duplicates.length > 0) {
+      const badge = this.createDuplicateBadge(duplicates);
+      removeTabStops(badge);
+      cell.appendChild(badge);
+    }
+  }
+
+  /**
+   * Repinta uma célula com o valor gravado na aba ativa, descartando o texto digitado.
+   * @param {string} gameId
+   * @param {Object} column - Definição da coluna (ver TABLE_COLUMNS)
+   */
+  repaintGameCell(gameId, column) {
+    const entry = this.rowEntries.get(gameId);
+    const game = this.activeTab?.games.find((g) => g.id === gameId);
+    if (!entry || !game) return;
+    this.updateGameCell(
+      entry.cells.get(column.key),
+      game,
+      column,
+      getTabConfig(this.activeTab),
+      true
+    );
+  }
+
+  /**
+   * Aviso de possível duplicado, com links para os outros jogos de título equivalente.
+   * @param {Array<{tabId: string, tabName: string, game: Object}>} duplicates
+   * @returns {HTMLDetailsElement}
+   */
+  createDuplicateBadge(duplicates) {
+    const badge = document.createElement("details");
+    badge.className = "duplicate-badge";
+
+    const summary = document.createElement("summary");
+    summary.textContent = `⚠️ ${duplicates.length}`;
+    summary.title = "Possível duplicado";
+    badge.appendChild(summary);
+
+    const list = document.createElement("ul");
+    duplicates.forEach(({ tabId, tabName, game }) => {
+      const item = document.createElement("li");
+      const link = document.createElement("button");
+      link.type = "button";
+      link.className = "link-btn";
+      link.textContent =
+        tabId === this.activeTab.id
+          ? `${game.title} (nesta aba)`
+          : `${game.title} (${tabName})`;
+      link.onclick = () => this.revealGame(tabId, game.id);
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    badge.appendChild(list);
+
+    return badge;
+  }
+
+  /**
+   * Exibe e destaca um jogo no próximo render (página correta e filtros limpos, se
+   * necessário). Usado pelo Controller nos links de duplicados.
+   * @param {string} gameId
+   */
+  showGame(gameId) {
+    this.focusCell(gameId, "title");
+    this.highlightGameId = gameId;
+  }
+
+  /**
+   * Foca a célula de um jogo no próximo render, exibindo a página em que ele está
+   * (e limpando a pesquisa e o filtro de tags, se eles o esconderem).
+   * @param {string} gameId
+   * @param {string} column - Chave da coluna (ver TABLE_COLUMNS).
+   * @param {boolean} [edit=false] - Foca o controle da célula e seleciona o texto
+   *   (ex: título de uma linha nova).
+   */
+  focusCell(gameId, column, edit = false) {
+    this.pendingFocus = { gameId, column, edit, followPage: true };
+  }
+
+  /** Foca a pesquisa (atalho "/"). */
+  focusSearch() {
+    const searchInput = this.domContent.querySelector(".search-input");
+    if (searchInput) {
+      searchInput.focus();
+      searchInput.select();
     }
   }
 
   /**
-   * Filtra os jogos com base no termo de pesquisa atual (this.searchTerm).
+   * Filtra os jogos com base na consulta da pesquisa (ver QueryParser.js) e nas tags selecionadas.
+   * Um jogo precisa conter TODAS as tags do filtro (comparação sem diferenciar maiúsculas).
+   * Consulta inválida é ignorada e o erro fica em `this.queryError`.
    * @param {Array} games - Array de jogos a serem filtrados
    * @returns {Array} Array filtrado
    */
   filterGames(games) {
-    if (!this.searchTerm) return games;
+    this.queryError = null;
+    if (!this.searchTerm && this.tagFilter.length === 0) return games;
 
-    const term = this.searchTerm.toLowerCase();
-    return games.filter((game) =>
-      (game.title || "").toLowerCase().includes(term)
-    );
+    let matchesQuery = () => true;
+    try {
+      matchesQuery = compileQuery(
+        parseQuery(this.searchTerm),
+        getTabConfig(this.activeTab)
+      );
+    } catch (error) {
+      if (!(error instanceof QueryParseError)) throw error;
+      this.queryError = error;
+    }
+    const requiredTags = this.tagFilter.map((tag) => tag.toLowerCase());
+
+    return games.filter((game) => {
+      if (!matchesQuery(game)) return false;
+      const gameTags = (game.tags || []).map((tag) => tag.toLowerCase());
+      return requiredTags.every((tag) => gameTags.includes(tag));
+    });
+  }
+
+  /**
+   * Define as tags do filtro e volta para a primeira página.
+   * @param {Array<string>} tags - Novas tags do filtro
+   */
+  setTagFilter(tags) {
+    this.tagFilter = tags;
+    this.currentPage = 1;
+    this.render();
   }
 
   /**
    * Renderiza a tabela principal, os botões de ação e a paginação.
+   * A estrutura é criada uma vez (createView); aqui só é atualizado o que mudou.
    */
   render() {
     const tab = this.activeTab;
-    this.domContent.innerHTML = "";
+    // Foco a restaurar caso o elemento focado seja substituído ou removido abaixo
+    const focusTarget =
+      this.pendingFocus ||
+      this.pointerFocus ||
+      this.describeFocus(document.activeElement);
+    this.pendingFocus = null;
 
-    if (!tab) return;
+    if (!tab) {
+      this.domContent.innerHTML = "";
+      this.view = null;
+      this.rowEntries.clear();
+      return;
+    }
+    // Primeiro render (ou o conteúdo foi substituído, ex: erro de carregamento)
+    if (!this.view || !this.domContent.contains(this.view.container)) {
+      this.createView();
+    }
 
     // Filtra os jogos de acordo com o que é pesquisado
-    const filteredGames = this.filterGames(tab.games);
+    let filteredGames = this.filterGames(tab.games);
+
+    // Jogo a destacar ou a focar (ex: linha nova) escondido pela pesquisa ou pelo filtro
+    // de tags: limpa os filtros para exibi-lo, em vez de descartar o foco pedido
+    const revealGameId =
+      this.highlightGameId ||
+      (focusTarget && focusTarget.followPage ? focusTarget.gameId : null);
+    if (
+      revealGameId &&
+      tab.games.some((game) => game.id === revealGameId) &&
+      !filteredGames.some((game) => game.id === revealGameId)
+    ) {
+      this.searchTerm = "";
+      this.tagFilter = [];
+      filteredGames = this.filterGames(tab.games);
+    }
 
     // Ordena os jogos antes de paginar
     const sortedGames = this.sortGames(filteredGames);
 
-    const totalPages = Math.ceil(sortedGames.length / ROWS_PER_PAGE);
+    // A seleção só mantém jogos que existem e passam pelo filtro atual
+    this.visibleGames = sortedGames;
+    const visibleIds = new Set(sortedGames.map((game) => game.id));
+    this.selectedIds.forEach((id) => {
+      if (!visibleIds.has(id)) this.selectedIds.delete(id);
+    });
+
+    const showAll = this.pageSize === SHOW_ALL;
+    const totalPages = showAll
+      ? 1
+      : Math.ceil(sortedGames.length / this.pageSize);
     // Se a página atual estiver fora do limite após a filtragem/ordenação, volta para a primeira
     if (this.currentPage > totalPages) {
       this.currentPage = 1;
     }
 
-    const startIndex = (this.currentPage - 1) * ROWS_PER_PAGE;
-    const endIndex = startIndex + ROWS_PER_PAGE;
-    const gamesToDisplay = sortedGames.slice(startIndex, endIndex);
+    // Foco pedido em um jogo (ex: movido pelo teclado): exibe a página em que ele está
+    const focusIndex =
+      focusTarget && focusTarget.followPage
+        ? sortedGames.findIndex((game) => game.id === focusTarget.gameId)
+        : -1;
+    const [renderedFirst, renderedLast] = (this.virtualRange || "0-0")
+      .split("-")
+      .map(Number);
+    if (focusIndex !== -1 && !showAll) {
+      this.currentPage = Math.floor(focusIndex / this.pageSize) + 1;
+    } else if (
+      focusIndex !== -1 &&
+      (focusIndex < renderedFirst || focusIndex >= renderedLast)
+    ) {
+      // "Mostrar todos": rola até o jogo (com duas linhas de margem acima)
+      this.virtualScrollTop = Math.max(0, (focusIndex - 2) * this.virtualRowHeight);
+    }
+
+    const { table, scroller, manualOrderButton } = this.view;
+
+    this.renderSearch();
+    this.patchPart(
+      "bulkActions",
+      this.selectedIds.size > 0 ? this.getBulkActionsSignature() : null,
+      () => this.createBulkActionsBar(),
+      (bar) => this.view.searchContainer.after(bar)
+    );
+
+    table.setAttribute("aria-label", `Jogos da aba ${tab.name}`);
+    table.setAttribute("aria-rowcount", sortedGames.length + 1);
+    this.updateHeader(sortedGames);
+
+    // "Mostrar todos": só as linhas próximas da área visível existem no DOM
+    scroller.classList.toggle("virtual-scroll", showAll);
+    this.virtualRange = null;
+    if (showAll) {
+      this.renderVirtualRows(scroller);
+      scroller.scrollTop = this.virtualScrollTop;
+    } else {
+      const startIndex = (this.currentPage - 1) * this.pageSize;
+      this.renderRows(
+        sortedGames.slice(startIndex, startIndex + this.pageSize),
+        startIndex
+      );
+    }
+
+    // Ordem manual: sem ordenação por colunas, as linhas podem ser reordenadas
+    manualOrderButton.classList.toggle("active", this.isManualOrder());
+    manualOrderButton.title = this.isManualOrder()
+      ? "Ordem manual ativa: arraste as linhas pela alça ⠿ ou use Alt+↑ / Alt+↓"
+      : "Remover a ordenação por colunas e voltar à ordem manual";
+
+    // Renderiza Controles de Paginação (tamanho da página sempre disponível quando há jogos)
+    this.patchPart(
+      "pagination",
+      sortedGames.length > 0
+        ? JSON.stringify([this.pageSize, this.currentPage, totalPages, sortedGames.length])
+        : null,
+      () => this.createPagination(totalPages, sortedGames.length),
+      (pagination) => this.domContent.appendChild(pagination)
+    );
+
+    this.highlightGameId = null;
+    this.syncActiveCell();
+    this.restoreFocus(focusTarget);
+  }
+
+  /**
+   * Cria a estrutura fixa da tabela: pesquisa, tabela (cabeçalho e corpo vazio), botões
+   * de ação. As partes que dependem dos dados são preenchidas por render().
+   */
+  createView() {
+    this.domContent.innerHTML = "";
+    this.rowEntries.clear();
 
     // Estrutura da Tabela e pesquisa
-    const tableContainer = document.createElement("div");
-    tableContainer.className = "data-table-container";
+    const container = document.createElement("div");
+    container.className = "data-table-container";
     const searchContainer = document.createElement("div");
     const searchInput = document.createElement("input");
 
     searchContainer.setAttribute("class", "search-container");
+    searchContainer.dataset.focusRegion = "search";
 
     searchInput.setAttribute("type", "text");
     searchInput.setAttribute("id", "search");
     searchInput.setAttribute("name", "search");
     searchInput.setAttribute("class", "search-input");
-    searchInput.setAttribute("placeholder", "Ex: Final Fantasy");
-    searchInput.value = this.searchTerm;
+    searchInput.setAttribute(
+      "placeholder",
+      'Ex: status:Jogando note>=8 "final fantasy"'
+    );
+    searchInput.title =
+      'Texto livre busca no título. Campos: status, note, diff, platform, tag, start, finish, hours ' +
+      '(ex: diff:A..S+, hours<10, start:2024). Use -campo:valor para negar, OR ou | para alternativas ' +
+      "e parênteses para agrupar.";
 
     searchInput.addEventListener("input", () => {
       const newSearchTerm = searchInput.value.trim();
@@ -276,149 +881,1179 @@ export class TableManager {
       }
     });
 
-    searchContainer.appendChild(searchInput);
-    tableContainer.appendChild(searchContainer);
+    const queryError = document.createElement("p");
+    queryError.className = "query-error";
+    queryError.setAttribute("role", "alert");
+    queryError.hidden = true;
+
+    searchContainer.append(searchInput, queryError);
+    container.appendChild(searchContainer);
 
+    // Grade ARIA: setas movem entre células, Enter/F2 editam e Esc cancela (ver handleGridKeydown)
     const table = document.createElement("table");
-    table.className = "data-table";
+    table.className = "data-table game-grid";
+    table.setAttribute("role", "grid");
 
     // 1. Cabeçalho (Thead) - COM ORDENAÇÃO
     const thead = table.createTHead();
     const headerRow = thead.insertRow();
+    headerRow.setAttribute("aria-rowindex", 1);
+    const selectAllCheckbox = this.createSelectAllHeader(headerRow);
+    const sortIcons = new Map();
+    [...TABLE_COLUMNS, { label: ACTION_LABEL, key: null }].forEach((col) => {
+      const th = this.createColumnHeader(col);
+      headerRow.appendChild(th);
+      const sortIcon = th.querySelector(".sort-icon");
+      if (sortIcon) sortIcons.set(col.key, { th, sortIcon });
+    });
+
+    // 2. Corpo da Tabela (Tbody): as linhas ficam entre os espaçadores da rolagem virtualizada
+    const tbody = table.createTBody();
+    const topSpacer = this.createSpacerRow();
+    const bottomSpacer = this.createSpacerRow();
+    tbody.append(topSpacer, bottomSpacer);
+    // A linha reaproveitada precisa perder a classe para o destaque poder se repetir
+    tbody.addEventListener("animationend", (e) =>
+      e.target.closest("tr")?.classList.remove("highlight-row")
+    );
+
+    // Contêiner de rolagem (usado somente no modo "mostrar todos")
+    const scroller = document.createElement("div");
+    scroller.appendChild(table);
+    scroller.addEventListener("scroll", () => {
+      if (this.pageSize !== SHOW_ALL) return;
+      this.virtualScrollTop = scroller.scrollTop;
+      if (this.virtualFrame) return;
+      this.virtualFrame = requestAnimationFrame(() => {
+        this.virtualFrame = null;
+        if (this.pageSize === SHOW_ALL) this.renderVirtualRows(scroller);
+      });
+    });
+    container.appendChild(scroller);
+    this.domContent.appendChild(container);
 
-    const sortableColumns = [
-      { label: "Título", key: "title" },
-      { label: "Status", key: "status" },
-      { label: "Nota", key: "note" },
-      { label: "Dificuldade", key: "difficulty" },
-      { label: "Ação", key: null },
-    ];
-
-    sortableColumns.forEach((col) => {
-      const th = document.createElement("th");
-
-      if (col.key) {
-        // Coluna ordenável
-        th.className = "sortable-header";
-        th.style.cursor = "pointer";
-        th.style.userSelect = "none";
-        th.style.position = "relative";
-        th.style.paddingRight = "25px";
-
-        const textSpan = document.createElement("span");
-        textSpan.textContent = col.label;
-        th.appendChild(textSpan);
-
-        // Ícone de ordenação
-        const sortIcon = document.createElement("span");
-        sortIcon.className = "sort-icon";
-        sortIcon.style.position = "absolute";
-        sortIcon.style.right = "8px";
-        sortIcon.style.top = "50%";
-        sortIcon.style.transform = "translateY(-50%)";
-        sortIcon.style.fontSize = "0.8rem";
+    // Botão Adicionar Linha
+    const addRowButton = document.createElement("button");
+    addRowButton.textContent = "➕ Adicionar Nova Linha";
+    addRowButton.className = "secondary-btn";
+    addRowButton.title = "Alt+N";
+    addRowButton.dataset.focusRegion = "add-row";
+    addRowButton.onclick = () => this.addRow();
+    this.domContent.appendChild(addRowButton);
+
+    // Ordem manual (estado atualizado a cada render)
+    const manualOrderButton = document.createElement("button");
+    manualOrderButton.textContent = "↕️ Ordem manual";
+    manualOrderButton.className = "secondary-btn manual-order-btn";
+    manualOrderButton.dataset.focusRegion = "manual-order";
+    manualOrderButton.onclick = () => {
+      this.sortStack = [];
+      this.render();
+    };
+    this.domContent.appendChild(manualOrderButton);
+
+    // Botão de configuração dos status/dificuldades da aba
+    const configButton = document.createElement("button");
+    configButton.textContent = "⚙️ Status e Dificuldades";
+    configButton.className = "secondary-btn table-config-btn";
+    configButton.title = "Configurar os status e a escala de dificuldade desta aba";
+    configButton.dataset.focusRegion = "table-config";
+    configButton.onclick = () => this.openConfigModal(this.activeTab.id);
+    this.domContent.appendChild(configButton);
+
+    this.view = {
+      container,
+      searchContainer,
+      searchInput,
+      queryError,
+      table,
+      selectAllCheckbox,
+      sortIcons,
+      tbody,
+      topSpacer,
+      bottomSpacer,
+      scroller,
+      manualOrderButton,
+      parts: {}, // Partes recriadas quando os dados mudam (ver patchPart)
+    };
+  }
+
+  /**
+   * Recria uma parte da estrutura (ex: paginação) somente quando os dados usados para
+   * criá-la mudaram, comparando uma assinatura. Com `signature` null, a parte é removida.
+   * @param {string} name - Nome da parte.
+   * @param {string | null} signature
+   * @param {Function} create - Cria o elemento da parte.
+   * @param {Function} insert - Insere o elemento quando a parte ainda não existe.
+   */
+  patchPart(name, signature, create, insert) {
+    const part = this.view.parts[name];
+    if (part && part.signature === signature) return;
+
+    const element = signature === null ? null : create();
+    if (part && element) part.element.replaceWith(element);
+    else if (part) part.element.remove();
+    else if (element) insert(element);
+    this.view.parts[name] = element ? { element, signature } : null;
+  }
+
+  /**
+   * Atualiza a pesquisa: valor (se alterado fora do campo), erro da consulta, filtro de
+   * tags e as sugestões de autocomplete.
+   */
+  renderSearch() {
+    const { searchInput, queryError, searchContainer } = this.view;
+
+    // Compara sem os espaços das pontas para não mexer no texto sendo digitado
+    if (searchInput.value.trim() !== this.searchTerm) {
+      searchInput.value = this.searchTerm;
+    }
+
+    queryError.hidden = !this.queryError;
+    queryError.textContent = this.queryError
+      ? `⚠️ ${this.queryError.message} (posição ${this.queryError.position + 1}). ` +
+        "A pesquisa foi ignorada até a consulta ser corrigida."
+      : "";
+
+    // Filtro por tags (autocomplete com as tags conhecidas de todas as abas)
+    this.patchPart(
+      "tagFilter",
+      JSON.stringify(this.tagFilter),
+      () => {
+        const editor = createChipEditor(this.tagFilter, {
+          placeholder: "Filtrar por tags",
+          datalistId: TAGS_DATALIST_ID,
+          onChange: (tags) => this.setTagFilter(GameRow.normalizeTags(tags)),
+        });
+        editor.classList.add("tag-filter");
+        return editor;
+      },
+      (editor) => searchContainer.appendChild(editor)
+    );
+
+    [
+      [TAGS_DATALIST_ID, this.knownTags],
+      [PLATFORMS_DATALIST_ID, this.knownPlatforms],
+    ].forEach(([id, values]) =>
+      this.patchPart(
+        id,
+        JSON.stringify(values),
+        () => createDatalistElement(id, values),
+        (datalist) => searchContainer.appendChild(datalist)
+      )
+    );
+  }
+
+  /**
+   * Cria o cabeçalho de uma coluna (ordenável ou não). O ícone de ordenação é
+   * atualizado por updateHeader.
+   * @param {{key: string | null, label: string, sortable?: boolean}} col
+   * @returns {HTMLTableCellElement}
+   */
+  createColumnHeader(col) {
+    const th = document.createElement("th");
+    th.dataset.column = col.key || "action";
+    th.setAttribute("role", "columnheader");
+    th.tabIndex = -1;
+
+    if (!col.key || col.sortable === false) {
+      // Coluna não ordenável (Tags, Ação)
+      th.textContent = col.label;
+      return th;
+    }
+
+    // Coluna ordenável
+    th.className = "sortable-header";
+    th.style.cursor = "pointer";
+    th.style.userSelect = "none";
+    th.style.position = "relative";
+    th.style.paddingRight = "25px";
+
+    const textSpan = document.createElement("span");
+    textSpan.textContent = col.label;
+    th.appendChild(textSpan);
+
+    // Ícone de ordenação
+    const sortIcon = document.createElement("span");
+    sortIcon.className = "sort-icon";
+    sortIcon.style.position = "absolute";
+    sortIcon.style.right = "8px";
+    sortIcon.style.top = "50%";
+    sortIcon.style.transform = "translateY(-50%)";
+    sortIcon.style.fontSize = "0.8rem";
+    th.appendChild(sortIcon);
+    th.title =
+      "Clique (ou Enter) para ordenar; Shift+clique para adicionar como critério de desempate";
+
+    // Evento de clique
+    th.addEventListener("click", (e) => this.handleSort(col.key, e.shiftKey));
+
+    // Hover effect
+    th.addEventListener("mouseenter", () => {
+      th.style.backgroundColor = "rgba(139, 92, 246, 0.1)";
+    });
+    th.addEventListener("mouseleave", () => {
+      th.style.backgroundColor = "";
+    });
+
+    return th;
+  }
+
+  /**
+   * Atualiza os ícones de ordenação e o checkbox "selecionar todos" do cabeçalho.
+   * @param {Array} games - Jogos filtrados.
+   */
+  updateHeader(games) {
+    this.view.sortIcons.forEach(({ th, sortIcon }, column) => {
+      const sortPosition = this.sortStack.findIndex((item) => item.column === column);
+      if (sortPosition === -1) {
+        sortIcon.textContent = "⇅";
         sortIcon.style.opacity = "0.5";
+        sortIcon.style.color = "";
+        th.removeAttribute("aria-sort");
+        return;
+      }
+
+      const { direction } = this.sortStack[sortPosition];
+      sortIcon.textContent = direction === "asc" ? "▲" : "▼";
+      sortIcon.style.opacity = "1";
+      sortIcon.style.color = "var(--color-primary)";
+      th.setAttribute("aria-sort", direction === "asc" ? "ascending" : "descending");
+
+      // Posição na pilha (só faz sentido com mais de um critério)
+      if (this.sortStack.length > 1) {
+        const badge = document.createElement("sup");
+        badge.className = "sort-position";
+        badge.textContent = sortPosition + 1;
+        sortIcon.appendChild(badge);
+      }
+    });
+
+    const checkbox = this.view.selectAllCheckbox;
+    const selectedCount = games.filter((game) => this.selectedIds.has(game.id)).length;
+    checkbox.checked = games.length > 0 && selectedCount === games.length;
+    checkbox.indeterminate = selectedCount > 0 && selectedCount < games.length;
+    checkbox.disabled = games.length === 0;
+  }
 
-        if (this.sortConfig.column === col.key) {
-          sortIcon.textContent =
-            this.sortConfig.direction === "asc" ? "▲" : "▼";
-          sortIcon.style.opacity = "1";
-          sortIcon.style.color = "var(--color-primary)";
+  /**
+   * Renderiza as linhas dos jogos entre os espaçadores, reaproveitando as linhas já
+   * existentes (pelo ID do jogo): linhas novas são criadas, as de jogos que saíram são
+   * removidas e as demais só são movidas se a ordem mudou.
+   * @param {Array} games - Jogos a exibir, na ordem.
+   * @param {number} firstIndex - Posição do primeiro jogo em visibleGames.
+   * @param {number} [spaceAbove=0] - Altura (px) das linhas não renderizadas acima.
+   * @param {number} [spaceBelow=0] - Altura (px) das linhas não renderizadas abaixo.
+   * @returns {Array<HTMLTableRowElement>} Linhas renderizadas.
+   */
+  renderRows(games, firstIndex, spaceAbove = 0, spaceBelow = 0) {
+    const { tbody, topSpacer, bottomSpacer } = this.view;
+    const config = getTabConfig(this.activeTab);
+
+    const ids = new Set(games.map((game) => game.id));
+    this.rowEntries.forEach((entry, id) => {
+      if (!ids.has(id)) {
+        entry.row.remove();
+        this.rowEntries.delete(id);
+      }
+    });
+
+    let cursor = topSpacer.nextSibling;
+    const rows = games.map((game, index) => {
+      let entry = this.rowEntries.get(game.id);
+      if (!entry) {
+        entry = this.createGameRow(game);
+        this.rowEntries.set(game.id, entry);
+      }
+      this.updateGameRow(entry, game, firstIndex + index, config);
+
+      if (entry.row === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        tbody.insertBefore(entry.row, cursor);
+      }
+      return entry.row;
+    });
+
+    [
+      [topSpacer, spaceAbove],
+      [bottomSpacer, spaceBelow],
+    ].forEach(([spacer, height]) => {
+      spacer.style.display = height > 0 ? "" : "none";
+      spacer.cells[0].style.height = `${height}px`;
+    });
+
+    return rows;
+  }
+
+  /**
+   * Indica se a tabela está na ordem manual (nenhuma coluna ordenada), a única em
+   * que as linhas podem ser reordenadas.
+   * @returns {boolean}
+   */
+  isManualOrder() {
+    return this.sortStack.length === 0;
+  }
+
+  // --- Navegação pelo teclado (grade ARIA) e preservação do foco ---
+
+  /**
+   * Descreve o elemento focado de forma independente do DOM, para reencontrá-lo depois
+   * do render: células da grade pelo jogo e pela coluna; demais controles pela região
+   * (`data-focus-region`) e pela assinatura (ver describeControl).
+   * @param {Element | null} element
+   * @returns {Object | null}
+   */
+  describeFocus(element) {
+    if (!element || !this.domContent.contains(element) || element === this.domContent) {
+      return null;
+    }
+    const selection = getTextSelection(element);
+
+    const cell = element.closest("td[data-column], th[data-column]");
+    if (cell) {
+      const row = cell.parentElement;
+      const gameRows = [...row.parentElement.rows].filter((r) => r.dataset.gameId);
+      return {
+        gameId: row.dataset.gameId || null, // null: cabeçalho
+        rowIndex: gameRows.indexOf(row),
+        column: cell.dataset.column,
+        control: element === cell ? null : describeControl(cell, element),
+        selection,
+      };
+    }
+
+    const region = element.closest("[data-focus-region]");
+    if (!region) return null;
+    return {
+      region: region.dataset.focusRegion,
+      control: element === region ? null : describeControl(region, element),
+      selection,
+    };
+  }
+
+  /**
+   * Foca o elemento descrito por describeFocus na tabela atual.
+   * @param {Object | null} target
+   * @param {boolean} [exact=false] - Se true, não usa outra linha quando o jogo não está
+   *   renderizado (rolagem virtualizada).
+   */
+  restoreFocus(target, exact = false) {
+    if (!target) return;
+
+    let element = null;
+    if (target.region) {
+      const region = this.domContent.querySelector(
+        `[data-focus-region="${target.region}"]`
+      );
+      element = region && (target.control ? findControl(region, target.control) : region);
+    } else {
+      const cell = this.findGridCell(target, exact);
+      if (cell && target.edit) {
+        element = this.getCellControls(cell)[0] || cell;
+      } else if (cell) {
+        element = (target.control && findControl(cell, target.control)) || cell;
+      }
+    }
+    // O elemento continua focado (não foi recriado): cursor e seleção já estão certos
+    if (!element || (element === document.activeElement && !target.edit)) return;
+
+    element.focus({ preventScroll: !target.followPage });
+    if (target.edit && typeof element.select === "function") {
+      element.select();
+    } else if (target.selection) {
+      try {
+        element.setSelectionRange(...target.selection);
+      } catch {
+        // Campo sem seleção de texto
+      }
+    }
+  }
+
+  /**
+   * Foca um elemento que pode disparar um render ao tirar o foco do atual (blur/change
+   * gravando uma edição): o destino é registrado para ser restaurado na tabela recriada.
+   * @param {HTMLElement} element
+   */
+  focusElement(element) {
+    const target = this.describeFocus(element);
+    this.pendingFocus = target;
+    element.focus();
+    this.pendingFocus = null;
+    // A tabela foi recriada durante a troca de foco: foca a célula equivalente
+    if (!element.isConnected) this.restoreFocus(target);
+  }
+
+  /**
+   * Célula da grade de um jogo (ou do cabeçalho, com `gameId` null).
+   * @param {{gameId: string | null, column: string, rowIndex?: number}} target
+   * @param {boolean} [exact=false] - Sem o jogo, não usa a linha na mesma posição.
+   * @returns {HTMLTableCellElement | null}
+   */
+  findGridCell({ gameId, column, rowIndex }, exact = false) {
+    const table = this.domContent.querySelector(".game-grid");
+    if (!table) return null;
+
+    let row = table.tHead.rows[0];
+    if (gameId !== null) {
+      const rows = [...table.tBodies[0].rows].filter((r) => r.dataset.gameId);
+      row = rows.find((r) => r.dataset.gameId === gameId);
+      if (!row && !exact) {
+        // Jogo excluído ou em outra página: mesma posição (ou a última linha, ou o cabeçalho)
+        row = rows[Math.min(Math.max(rowIndex ?? 0, 0), rows.length - 1)] || table.tHead.rows[0];
+      }
+    }
+    return row ? [...row.cells].find((cell) => cell.dataset.column === column) || null : null;
+  }
+
+  /**
+   * Controles focáveis de uma célula.
+   * @param {HTMLTableCellElement} cell
+   * @returns {Array<HTMLElement>}
+   */
+  getCellControls(cell) {
+    return [...cell.querySelectorAll(FOCUSABLE_SELECTOR)].filter(
+      (control) => !control.disabled
+    );
+  }
+
+  /**
+   * Tabindex "móvel": somente a célula ativa entra na ordem do Tab, então Tab entra e sai
+   * da grade com uma tecla e as setas navegam dentro dela.
+   */
+  syncActiveCell() {
+    const table = this.domContent.querySelector(".game-grid");
+    if (!table) return;
+    const cell =
+      (this.activeCell && this.findGridCell(this.activeCell, true)) ||
+      table.querySelector("tbody td[data-column]") ||
+      table.querySelector("th[data-column]");
+    table.querySelectorAll('[data-column][tabindex="0"]').forEach((other) => {
+      other.tabIndex = -1;
+    });
+    if (cell) cell.tabIndex = 0;
+  }
+
+  /**
+   * Atualiza a célula ativa quando o foco entra em uma célula ou em um controle dela.
+   * @param {FocusEvent} e
+   */
+  handleGridFocus(e) {
+    const cell = e.target.closest("td[data-column], th[data-column]");
+    if (!cell) return;
+    this.activeCell = {
+      gameId: cell.parentElement.dataset.gameId || null,
+      column: cell.dataset.column,
+    };
+    this.syncActiveCell();
+  }
+
+  /**
+   * Teclado na grade. Com o foco na célula (navegação): setas, Home/End, PageUp/PageDown,
+   * Enter/F2 editam, Espaço seleciona a linha, Delete exclui o jogo e Alt+↑/↓ move a linha.
+   * Com o foco em um controle (edição): Esc cancela e Enter/F2 confirmam, voltando à célula.
+   * @param {KeyboardEvent} e
+   */
+  handleGridKeydown(e) {
+    if (e.defaultPrevented) return; // Já tratado pelo controle (ex: Enter no input de tags)
+    const cell = e.target.closest("td[data-column], th[data-column]");
+    if (!cell) return;
+
+    const handled =
+      e.target === cell
+        ? this.handleCellNavigation(e, cell)
+        : this.handleCellEditing(e, cell);
+    if (handled) e.preventDefault();
+  }
+
+  /**
+   * @param {KeyboardEvent} e
+   * @param {HTMLTableCellElement} cell - Célula focada.
+   * @returns {boolean} Se a tecla foi tratada.
+   */
+  handleCellNavigation(e, cell) {
+    const row = cell.parentElement;
+    const gameId = row.dataset.gameId || null;
+    const { column } = cell.dataset;
+    const modified = e.altKey || e.ctrlKey || e.metaKey;
+    const index = this.visibleGames.findIndex((game) => game.id === gameId);
+
+    switch (e.key) {
+      case "ArrowLeft":
+      case "ArrowRight": {
+        if (modified) return false;
+        const next = row.cells[cell.cellIndex + (e.key === "ArrowLeft" ? -1 : 1)];
+        if (next) next.focus();
+        return true;
+      }
+      case "ArrowUp":
+      case "ArrowDown": {
+        const offset = e.key === "ArrowUp" ? -1 : 1;
+        if (e.altKey && gameId && this.isManualOrder()) {
+          this.moveGameByKeyboard(gameId, offset);
+          return true;
+        }
+        if (modified) return false;
+        this.moveFocusToRow(row, offset, column);
+        return true;
+      }
+      case "Home":
+      case "End":
+        if (e.ctrlKey && gameId) {
+          this.focusGameIndex(e.key === "Home" ? 0 : this.visibleGames.length - 1, column);
         } else {
-          sortIcon.textContent = "⇅";
+          row.cells[e.key === "Home" ? 0 : row.cells.length - 1].focus();
+        }
+        return true;
+      case "PageUp":
+      case "PageDown": {
+        // Alt+PageUp/PageDown troca de aba (atalho do Controller)
+        if (modified || !gameId) return false;
+        const step = this.pageSize === SHOW_ALL ? KEYBOARD_PAGE_STEP : this.pageSize;
+        this.focusGameIndex(index + (e.key === "PageUp" ? -step : step), column);
+        return true;
+      }
+      case "Enter":
+      case "F2": {
+        if (modified) return false;
+        const isSortable = TABLE_COLUMNS.some(
+          (col) => col.key === column && col.sortable !== false
+        );
+        if (!gameId && isSortable && e.key === "Enter") {
+          this.handleSort(column, e.shiftKey);
+          return true;
+        }
+        const control = this.getCellControls(cell)[0];
+        if (control) {
+          control.focus();
+          if (typeof control.select === "function") control.select();
         }
+        return true;
+      }
+      case " ":
+        if (modified || !gameId) return false;
+        this.toggleSelection(gameId, !this.selectedIds.has(gameId), e.shiftKey);
+        return true;
+      case "Delete":
+        if (modified || !gameId) return false;
+        this.deleteGame(gameId); // O foco passa para a mesma coluna da linha seguinte
+        return true;
+      default:
+        return false;
+    }
+  }
 
-        th.appendChild(sortIcon);
+  /**
+   * @param {KeyboardEvent} e
+   * @param {HTMLTableCellElement} cell - Célula do controle focado.
+   * @returns {boolean} Se a tecla foi tratada.
+   */
+  handleCellEditing(e, cell) {
+    const control = e.target;
+
+    if (e.key === "Escape") {
+      // Cancela: o valor original volta antes de o controle perder o foco (blur/change não gravam)
+      if (control.tagName === "INPUT" && control.type !== "checkbox") {
+        control.value = control.defaultValue;
+      } else if (control.tagName === "SELECT") {
+        const original = [...control.options].find((option) => option.defaultSelected);
+        if (original) control.value = original.value;
+      }
+      this.focusElement(cell);
+      return true;
+    }
 
-        // Evento de clique
-        th.addEventListener("click", () => this.handleSort(col.key));
+    const isTextField =
+      control.tagName === "INPUT" && ["text", "number", "date"].includes(control.type);
+    if (e.key === "F2" || (e.key === "Enter" && isTextField)) {
+      this.focusElement(cell); // Ao perder o foco, o controle grava a edição
+      return true;
+    }
+    return false;
+  }
 
-        // Hover effect
-        th.addEventListener("mouseenter", () => {
-          th.style.backgroundColor = "rgba(139, 92, 246, 0.1)";
-        });
-        th.addEventListener("mouseleave", () => {
-          th.style.backgroundColor = "";
-        });
+  /**
+   * Setas ↑/↓: linha anterior/seguinte da página. Acima da primeira linha fica o
+   * cabeçalho; abaixo da última, a próxima página (ou as próximas linhas virtualizadas).
+   * @param {HTMLTableRowElement} row - Linha atual.
+   * @param {number} offset -1 ou 1.
+   * @param {string} column
+   */
+  moveFocusToRow(row, offset, column) {
+    const table = row.closest("table");
+    const rows = [...table.tBodies[0].rows].filter((r) => r.dataset.gameId);
+    const gameId = row.dataset.gameId || null;
+
+    if (gameId === null) {
+      if (offset > 0 && rows[0]) this.findGridCellIn(rows[0], column).focus();
+      return;
+    }
+
+    const next = rows[rows.indexOf(row) + offset];
+    const index = this.visibleGames.findIndex((game) => game.id === gameId);
+    if (next) {
+      this.findGridCellIn(next, column).focus();
+    } else if (offset < 0 && (this.pageSize !== SHOW_ALL || index === 0)) {
+      this.findGridCellIn(table.tHead.rows[0], column).focus();
+    } else {
+      this.focusGameIndex(index + offset, column);
+    }
+  }
+
+  /**
+   * @param {HTMLTableRowElement} row
+   * @param {string} column
+   * @returns {HTMLTableCellElement}
+   */
+  findGridCellIn(row, column) {
+    return [...row.cells].find((cell) => cell.dataset.column === column) || row.cells[0];
+  }
+
+  /**
+   * Foca a célula do jogo na posição `index` (limitada à lista), trocando de página ou
+   * rolando a lista virtualizada se necessário.
+   * @param {number} index - Posição em visibleGames.
+   * @param {string} column
+   */
+  focusGameIndex(index, column) {
+    const game =
+      this.visibleGames[Math.max(0, Math.min(index, this.visibleGames.length - 1))];
+    if (!game) return;
+
+    const cell = this.findGridCell({ gameId: game.id, column }, true);
+    if (cell) {
+      cell.focus();
+    } else {
+      this.focusCell(game.id, column);
+      this.render();
+    }
+  }
+
+  /**
+   * Cria a linha de um jogo (células editáveis e botão de exclusão), ainda fora do DOM.
+   * Os valores são preenchidos por updateGameRow.
+   * @param {Object} game - Dados do jogo
+   * @returns {{row: HTMLTableRowElement, checkbox: HTMLInputElement, handle: HTMLSpanElement, cells: Map}}
+   */
+  createGameRow(game) {
+    const row = document.createElement("tr");
+    row.dataset.gameId = game.id;
+
+    // Célula de seleção (Shift+clique seleciona o intervalo desde a última linha clicada)
+    const selectCell = this.createGridCell(row, "select");
+    selectCell.className = "select-cell";
+    selectCell.setAttribute("data-label", "Selecionar");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.addEventListener("click", (e) =>
+      this.toggleSelection(game.id, checkbox.checked, e.shiftKey)
+    );
+    const handle = this.createDragHandle(game);
+    selectCell.append(checkbox, handle);
+    this.bindRowDrop(row, game);
+
+    const cells = new Map(
+      TABLE_COLUMNS.map((column) => [column.key, this.createGameCell(row, game.id, column)])
+    );
+
+    // Célula de Ação (Delete)
+    const actionCell = this.createGridCell(row, "action");
+    actionCell.setAttribute("data-label", ACTION_LABEL);
+    const deleteBtn = document.createElement("button");
+    deleteBtn.innerHTML = '<span class="icon delete-icon">🗑️</span>';
+    deleteBtn.className = "icon-btn delete-icon-btn";
+    deleteBtn.title = "Excluir Jogo";
+    deleteBtn.onclick = () => this.deleteGame(game.id);
+    actionCell.appendChild(deleteBtn);
+
+    removeTabStops(row);
+    return { row, checkbox, handle, cells };
+  }
+
+  /**
+   * Atualiza uma linha com os dados atuais do jogo (somente as células que mudaram).
+   * @param {Object} entry - Ver createGameRow.
+   * @param {Object} game - Dados do jogo
+   * @param {number} index - Posição do jogo em visibleGames.
+   * @param {{statuses: Array<string>, difficulties: Array<string>}} config - Configuração da aba
+   */
+  updateGameRow({ row, checkbox, handle, cells }, game, index, config) {
+    const isSelected = this.selectedIds.has(game.id);
+    row.setAttribute("aria-rowindex", index + 2); // +1 pelo cabeçalho, +1 porque começa em 1
+    row.setAttribute("aria-selected", isSelected);
+    row.classList.toggle("selected-row", isSelected);
+    if (game.id === this.highlightGameId) {
+      row.classList.remove("highlight-row");
+      void row.offsetWidth; // Reinicia a animação se a linha já estava destacada
+      row.classList.add("highlight-row");
+    }
+
+    checkbox.checked = isSelected;
+    checkbox.setAttribute("aria-label", `Selecionar ${game.title || "jogo"}`);
+    handle.title = this.isManualOrder()
+      ? "Arraste para reordenar ou até uma aba para mover (Ctrl/Alt para copiar). Alt+↑ / Alt+↓ move a linha"
+      : "Arraste até uma aba para mover (Ctrl/Alt para copiar)";
+
+    TABLE_COLUMNS.forEach((column) =>
+      this.updateGameCell(cells.get(column.key), game, column, config)
+    );
+  }
+
+  /**
+   * Cria uma célula da grade (fora da ordem do Tab; ver syncActiveCell).
+   * @param {HTMLTableRowElement} row
+   * @param {string} column - Chave da coluna, "select" ou "action".
+   * @returns {HTMLTableCellElement}
+   */
+  createGridCell(row, column) {
+    const cell = row.insertCell();
+    cell.dataset.column = column;
+    cell.setAttribute("role", "gridcell");
+    cell.tabIndex = -1;
+    return cell;
+  }
+
+  /**
+   * Renderiza somente as linhas próximas da área visível (modo "mostrar todos"); os
+   * espaçadores acima e abaixo mantêm a altura total da tabela (e a barra de rolagem)
+   * corretas. Chamado a cada render e, no máximo uma vez por quadro, durante a rolagem.
+   * @param {HTMLElement} scroller - Contêiner com rolagem vertical.
+   */
+  renderVirtualRows(scroller) {
+    const games = this.visibleGames;
+    const rowHeight = this.virtualRowHeight;
+    const viewportHeight = scroller.clientHeight || window.innerHeight;
+    const scrollTop = Math.max(
+      0,
+      Math.min(this.virtualScrollTop, games.length * rowHeight - viewportHeight)
+    );
+
+    const first = Math.max(0, Math.floor(scrollTop / rowHeight) - VIRTUAL_OVERSCAN);
+    const last = Math.min(
+      games.length,
+      Math.ceil((scrollTop + viewportHeight) / rowHeight) + VIRTUAL_OVERSCAN
+    );
+
+    // Mesmo intervalo durante a rolagem: nada a fazer
+    const range = `${first}-${last}`;
+    if (range === this.virtualRange) return;
+    this.virtualRange = range;
+
+    // Linhas que continuam no intervalo são mantidas; se a linha focada saiu, o foco
+    // volta à mesma célula quando ela for renderizada de novo nesta passagem
+    const focusTarget = this.view.tbody.contains(document.activeElement)
+      ? this.describeFocus(document.activeElement)
+      : null;
+
+    const rows = this.renderRows(
+      games.slice(first, last),
+      first,
+      first * rowHeight,
+      (games.length - last) * rowHeight
+    );
+    this.syncActiveCell();
+    this.restoreFocus(focusTarget, true);
+
+    // A altura real das linhas depende do layout (ex: tags, tela pequena)
+    const measuredHeight =
+      rows.reduce((total, row) => total + row.offsetHeight, 0) /
+      (rows.length || 1);
+    if (measuredHeight > 0) this.virtualRowHeight = measuredHeight;
+  }
+
+  /**
+   * Cria uma linha vazia que ocupa a altura das linhas não renderizadas (ver renderRows).
+   * @returns {HTMLTableRowElement}
+   */
+  createSpacerRow() {
+    const row = document.createElement("tr");
+    row.className = "virtual-spacer";
+    row.setAttribute("aria-hidden", "true");
+    row.style.display = "none";
+    const cell = row.insertCell();
+    cell.colSpan = TABLE_COLUMNS.length + 2; // Seleção + colunas + Ação
+    return row;
+  }
+
+  /**
+   * Cabeçalho com o checkbox "selecionar todos" (todos os jogos que passam pelo filtro,
+   * em todas as páginas). Fica indeterminado quando apenas parte está selecionada
+   * (estado atualizado por updateHeader).
+   * @param {HTMLTableRowElement} headerRow
+   * @returns {HTMLInputElement} O checkbox.
+   */
+  createSelectAllHeader(headerRow) {
+    const th = document.createElement("th");
+    th.className = "select-cell";
+    th.dataset.column = "select";
+    th.setAttribute("role", "columnheader");
+    th.tabIndex = -1;
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.title = "Selecionar todos os jogos filtrados";
+    checkbox.tabIndex = -1;
+    checkbox.setAttribute("aria-label", checkbox.title);
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) {
+        this.visibleGames.forEach((game) => this.selectedIds.add(game.id));
       } else {
-        // Coluna não ordenável (Ação)
-        th.textContent = col.label;
+        this.clearSelection();
       }
+      this.render();
+    });
 
-      headerRow.appendChild(th);
+    th.appendChild(checkbox);
+    headerRow.appendChild(th);
+    return checkbox;
+  }
+
+  /**
+   * Marca/desmarca um jogo. Com `range`, aplica o mesmo estado a todos os jogos entre a
+   * última linha clicada e esta (na ordem exibida).
+   * @param {string} gameId
+   * @param {boolean} selected
+   * @param {boolean} range - Se o Shift estava pressionado.
+   */
+  toggleSelection(gameId, selected, range) {
+    const ids = this.visibleGames.map((game) => game.id);
+    const anchorIndex = ids.indexOf(this.selectionAnchorId);
+    const index = ids.indexOf(gameId);
+
+    const targetIds =
+      range && anchorIndex !== -1
+        ? ids.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        : [gameId];
+    targetIds.forEach((id) => {
+      if (selected) this.selectedIds.add(id);
+      else this.selectedIds.delete(id);
     });
 
-    // 2. Corpo da Tabela (Tbody)
-    const tbody = table.createTBody();
-    gamesToDisplay.forEach((game) => {
-      const row = tbody.insertRow();
-
-      this.createGameCell(row, game, "title", null, true);
-      this.createGameCell(row, game, "status", GameStatus);
-      this.createGameCell(row, game, "note", GameNote);
-      this.createGameCell(row, game, "difficulty", GameDifficulty);
-
-      // Célula de Ação (Delete)
-      const actionCell = row.insertCell();
-      actionCell.setAttribute("data-label", TABLE_LABELS[4]);
-      const deleteBtn = document.createElement("button");
-      deleteBtn.innerHTML = '<span class="icon delete-icon">🗑️</span>';
-      deleteBtn.className = "icon-btn delete-icon-btn";
-      deleteBtn.title = "Excluir Jogo";
-      deleteBtn.onclick = () => this.deleteGame(game.id);
-      actionCell.appendChild(deleteBtn);
+    this.selectionAnchorId = gameId;
+    this.render();
+  }
+
+  /**
+   * Alça para arrastar a linha até uma aba (TabManager). Se o jogo está selecionado,
+   * arrasta toda a seleção.
+   * @param {Object} game - Dados do jogo
+   * @returns {HTMLSpanElement}
+   */
+  createDragHandle(game) {
+    const handle = document.createElement("span");
+    handle.className = "drag-handle";
+    handle.textContent = "⠿";
+    handle.draggable = true;
+    handle.tabIndex = -1; // Focável (Alt+↑/↓), mas fora da ordem do Tab como os demais controles da grade
+    handle.dataset.gameId = game.id;
+    handle.title = this.isManualOrder()
+      ? "Arraste para reordenar ou até uma aba para mover (Ctrl/Alt para copiar). Alt+↑ / Alt+↓ move a linha"
+      : "Arraste até uma aba para mover (Ctrl/Alt para copiar)";
+
+    handle.addEventListener("dragstart", (e) => {
+      const ids = this.selectedIds.has(game.id)
+        ? [...this.selectedIds]
+        : [game.id];
+      e.dataTransfer.effectAllowed = "copyMove";
+      e.dataTransfer.setData(GAME_DRAG_TYPE, JSON.stringify(ids));
+      e.dataTransfer.setData(
+        "text/plain",
+        this.visibleGames
+          .filter((g) => ids.includes(g.id))
+          .map((g) => g.title)
+          .join("\n")
+      );
     });
 
-    tableContainer.appendChild(table);
-    this.domContent.appendChild(tableContainer);
+    // Reordenação pelo teclado (somente na ordem manual)
+    handle.addEventListener("keydown", (e) => {
+      if (!e.altKey || !this.isManualOrder()) return;
+      if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+      e.preventDefault();
+      this.moveGameByKeyboard(game.id, e.key === "ArrowUp" ? -1 : 1);
+    });
 
-    // Botão Adicionar Linha
-    const addRowButton = document.createElement("button");
-    addRowButton.textContent = "➕ Adicionar Nova Linha";
-    addRowButton.className = "secondary-btn";
-    addRowButton.onclick = () => this.addRow();
-    this.domContent.appendChild(addRowButton);
+    return handle;
+  }
 
-    // Renderiza Controles de Paginação (se houver mais de uma página)
-    if (totalPages > 1) {
-      this.renderPagination(totalPages, sortedGames.length);
-    }
+  /**
+   * Move um jogo uma posição para cima/baixo em relação aos jogos exibidos (com filtro,
+   * pula os jogos ocultos). O foco (alça ou célula) acompanha o jogo.
+   * @param {string} gameId
+   * @param {number} offset -1 (para cima) ou 1 (para baixo).
+   */
+  moveGameByKeyboard(gameId, offset) {
+    const index = this.visibleGames.findIndex((game) => game.id === gameId);
+    const neighbor = this.visibleGames[index + offset];
+    if (index === -1 || !neighbor) return;
 
-    if (document.activeElement !== searchInput) {
-      searchInput.focus();
+    const focus = this.describeFocus(document.activeElement);
+    this.pendingFocus =
+      focus && focus.gameId === gameId
+        ? { ...focus, followPage: true }
+        : { gameId, column: "select", followPage: true };
+    this.reorderGames([gameId], neighbor.id, offset > 0);
+  }
+
+  /**
+   * Permite soltar linhas arrastadas (ver createDragHandle) antes ou depois desta linha
+   * (somente na ordem manual).
+   * @param {HTMLTableRowElement} row
+   * @param {Object} game - Jogo da linha (referência da posição).
+   */
+  bindRowDrop(row, game) {
+    const isAfter = (e) => {
+      const rect = row.getBoundingClientRect();
+      return e.clientY > rect.top + rect.height / 2;
+    };
+    const clearIndicator = () =>
+      row.classList.remove("drop-before", "drop-after");
+
+    const acceptsDrop = (e) =>
+      this.isManualOrder() && [...e.dataTransfer.types].includes(GAME_DRAG_TYPE);
+
+    row.addEventListener("dragover", (e) => {
+      if (!acceptsDrop(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+      const after = isAfter(e);
+      row.classList.toggle("drop-before", !after);
+      row.classList.toggle("drop-after", after);
+    });
+    row.addEventListener("dragleave", clearIndicator);
+    row.addEventListener("drop", (e) => {
+      clearIndicator();
+      if (!acceptsDrop(e)) return;
+      const ids = JSON.parse(e.dataTransfer.getData(GAME_DRAG_TYPE) || "[]");
+      if (ids.length === 0) return;
+      e.preventDefault();
+      this.reorderGames(ids, game.id, isAfter(e));
+    });
+  }
+
+  /** Remove todos os jogos da seleção. */
+  clearSelection() {
+    this.selectedIds.clear();
+    this.selectionAnchorId = null;
+  }
+
+  /**
+   * Dados usados pela barra de ações em massa (ela é recriada quando mudam).
+   * @returns {string}
+   */
+  getBulkActionsSignature() {
+    return JSON.stringify([
+      [...this.selectedIds],
+      getTabConfig(this.activeTab),
+      this.tabs,
+      this.activeTab.id,
+      this.bulkTargetTabId,
+    ]);
+  }
+
+  /**
+   * Barra de ações em massa sobre os jogos selecionados. Cada ação é enviada ao
+   * Controller de uma vez (um único comando no histórico).
+   * @returns {HTMLDivElement}
+   */
+  createBulkActionsBar() {
+    const ids = [...this.selectedIds];
+    const { statuses, difficulties } = getTabConfig(this.activeTab);
+
+    const bar = document.createElement("div");
+    bar.className = "bulk-actions";
+    bar.dataset.focusRegion = "bulk-actions";
+
+    const count = document.createElement("strong");
+    count.textContent =
+      ids.length === 1 ? "1 selecionado" : `${ids.length} selecionados`;
+    bar.appendChild(count);
+
+    // Definir status/nota/dificuldade: aplica ao escolher uma opção
+    [
+      { property: "status", label: "Definir status…", options: statuses },
+      { property: "note", label: "Definir nota…", options: GameNote },
+      {
+        property: "difficulty",
+        label: "Definir dificuldade…",
+        options: difficulties,
+      },
+    ].forEach(({ property, label, options }) => {
+      const select = createSelectElement(["", ...options], "", () => {
+        if (!select.value) return;
+        this.bulkUpdateGames(ids, property, select.value);
+        // Volta ao rótulo: escolher o mesmo valor para outra seleção precisa gerar um "change"
+        select.value = "";
+      });
+      select.options[0].textContent = label;
+      select.setAttribute("aria-label", label);
+      bar.appendChild(select);
+    });
+
+    // Mover/copiar para outra aba
+    const otherTabs = this.tabs.filter((tab) => tab.id !== this.activeTab.id);
+    if (!otherTabs.some((tab) => tab.id === this.bulkTargetTabId)) {
+      this.bulkTargetTabId = "";
     }
+    const targetSelect = document.createElement("select");
+    targetSelect.className = "select-input";
+    targetSelect.setAttribute("aria-label", "Aba de destino");
+    [{ id: "", name: "Mover/copiar para…" }, ...otherTabs].forEach((tab) => {
+      const option = document.createElement("option");
+      option.value = tab.id;
+      option.textContent = tab.name;
+      option.selected = tab.id === this.bulkTargetTabId;
+      targetSelect.appendChild(option);
+    });
+    bar.appendChild(targetSelect);
+
+    const transferButtons = [
+      { label: "Mover", copy: false },
+      { label: "Copiar", copy: true },
+    ].map(({ label, copy }) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "secondary-btn";
+      button.textContent = label;
+      button.disabled = !this.bulkTargetTabId;
+      button.onclick = () =>
+        this.transferGames(ids, this.bulkTargetTabId, copy);
+      bar.appendChild(button);
+      return button;
+    });
+    targetSelect.addEventListener("change", () => {
+      this.bulkTargetTabId = targetSelect.value;
+      transferButtons.forEach((button) => {
+        button.disabled = !this.bulkTargetTabId;
+      });
+    });
+
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.className = "danger-btn";
+    deleteButton.textContent = "🗑️ Excluir";
+    deleteButton.onclick = () => {
+      if (window.confirm(`Excluir ${ids.length} jogo(s)? (Ctrl+Z desfaz)`)) {
+        this.bulkDeleteGames(ids);
+      }
+    };
+    bar.appendChild(deleteButton);
+
+    const clearButton = document.createElement("button");
+    clearButton.type = "button";
+    clearButton.className = "secondary-btn";
+    clearButton.textContent = "Limpar seleção";
+    clearButton.onclick = () => {
+      this.clearSelection();
+      this.render();
+    };
+    bar.appendChild(clearButton);
+
+    return bar;
   }
 
   /**
-   * Renderiza os controles de navegação de página.
+   * Cria os controles de navegação de página, o "ir para página" e o tamanho da página.
+   * @param {number} totalPages - Total de páginas (após o filtro).
+   * @param {number} totalItems - Total de jogos (após o filtro).
+   * @returns {HTMLDivElement}
    */
-  renderPagination(totalPages, totalItems) {
+  createPagination(totalPages, totalItems) {
     const paginationControls = document.createElement("div");
     paginationControls.className = "pagination-controls";
+    paginationControls.dataset.focusRegion = "pagination";
 
-    // Botão Anterior
-    const prevBtn = document.createElement("button");
-    prevBtn.textContent = "◀ Anterior";
-    prevBtn.className = "pagination-btn";
-    prevBtn.disabled = this.currentPage === 1;
-    prevBtn.onclick = () => this.setPage(this.currentPage - 1);
-    paginationControls.appendChild(prevBtn);
-
-    // Informação de Página
     const info = document.createElement("span");
     info.className = "pagination-info";
-    info.textContent = `Página ${this.currentPage} de ${totalPages} (${totalItems} jogos)`;
-    paginationControls.appendChild(info);
-
-    // Botão Próximo
-    const nextBtn = document.createElement("button");
-    nextBtn.textContent = "Próximo ▶";
-    nextBtn.className = "pagination-btn";
-    nextBtn.disabled = this.currentPage === totalPages;
-    nextBtn.onclick = () => this.setPage(this.currentPage + 1);
-    paginationControls.appendChild(nextBtn);
-
-    this.domContent.appendChild(paginationControls);
+
+    if (this.pageSize === SHOW_ALL) {
+      info.textContent = `Mostrando todos (${totalItems} jogos)`;
+      paginationControls.appendChild(info);
+    } else if (totalPages > 1) {
+      // Botão Anterior
+      const prevBtn = document.createElement("button");
+      prevBtn.textContent = "◀ Anterior";
+      prevBtn.className = "pagination-btn";
+      prevBtn.disabled = this.currentPage === 1;
+      prevBtn.onclick = () => this.setPage(this.currentPage - 1);
+      paginationControls.appendChild(prevBtn);
+
+      // Informação de Página
+      info.textContent = `Página ${this.currentPage} de ${totalPages} (${totalItems} jogos)`;
+      paginationControls.appendChild(info);
+
+      // Botão Próximo
+      const nextBtn = document.createElement("button");
+      nextBtn.textContent = "Próximo ▶";
+      nextBtn.className = "pagination-btn";
+      nextBtn.disabled = this.currentPage === totalPages;
+      nextBtn.onclick = () => this.setPage(this.currentPage + 1);
+      paginationControls.appendChild(nextBtn);
+
+      // Ir para a página (Enter ou ao sair do campo)
+      const jumpLabel = document.createElement("label");
+      jumpLabel.className = "pagination-option";
+      jumpLabel.textContent = "Ir para";
+      const jumpInput = document.createElement("input");
+      jumpInput.type = "number";
+      jumpInput.className = "text-input pagination-input";
+      jumpInput.min = 1;
+      jumpInput.max = totalPages;
+      jumpInput.value = this.currentPage;
+      jumpInput.addEventListener("change", () => {
+        const page = parseInt(jumpInput.value, 10);
+        if (page >= 1 && page <= totalPages) {
+          this.setPage(page);
+        } else {
+          jumpInput.value = this.currentPage;
+        }
+      });
+      jumpLabel.appendChild(jumpInput);
+      paginationControls.appendChild(jumpLabel);
+    } else {
+      info.textContent = `${totalItems} jogos`;
+      paginationControls.appendChild(info);
+    }
+
+    // Tamanho da página (salvo por aba pelo Controller)
+    const sizeLabel = document.createElement("label");
+    sizeLabel.className = "pagination-option";
+    sizeLabel.textContent = "Por página";
+    const sizeSelect = document.createElement("select");
+    sizeSelect.className = "select-input pagination-input";
+    [...PAGE_SIZE_OPTIONS, SHOW_ALL].forEach((size) => {
+      const option = document.createElement("option");
+      option.value = String(size);
+      option.textContent = size === SHOW_ALL ? "Todos" : String(size);
+      option.selected = size === this.pageSize;
+      sizeSelect.appendChild(option);
+    });
+    sizeSelect.addEventListener("change", () =>
+      this.changePageSize(
+        sizeSelect.value === SHOW_ALL ? SHOW_ALL : Number(sizeSelect.value)
+      )
+    );
+    sizeLabel.appendChild(sizeSelect);
+    paginationControls.appendChild(sizeLabel);
+
+    return paginationControls;
+  }
+
+  /**
+   * Altera o tamanho da página mantendo visível o primeiro jogo da página atual.
+   * @param {number|string} pageSize - Um de PAGE_SIZE_OPTIONS ou SHOW_ALL.
+   */
+  changePageSize(pageSize) {
+    if (this.pageSize !== SHOW_ALL && pageSize !== SHOW_ALL) {
+      const firstIndex = (this.currentPage - 1) * this.pageSize;
+      this.currentPage = Math.floor(firstIndex / pageSize) + 1;
+    } else {
+      this.currentPage = 1;
+    }
+    this.pageSize = pageSize;
+    this.virtualScrollTop = 0;
+    this.savePageSize(this.activeTab.id, pageSize);
+    this.render();
   }
 
   /**
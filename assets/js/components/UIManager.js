@@ -20,6 +20,17 @@ export class UIManager {
   constructor(domElements) {
     // O UIManager depende do Controller para fornecer as referências do DOM (Inversão de Dependência)
     this.dom = domElements;
+    // Todos os modais controlados por este componente (fechamento pelo backdrop e closeAllModals)
+    this.modals = [
+      this.dom.renameModal,
+      this.dom.deleteModal,
+      this.dom.configModal,
+      this.dom.csvModal,
+      this.dom.importModal,
+      this.dom.reportModal,
+      this.dom.duplicatesModal,
+      this.dom.trackerModal,
+    ].filter(Boolean);
     this.setupModalClosing();
   }
 
@@ -30,12 +41,11 @@ export class UIManager {
   setupModalClosing() {
     document.addEventListener("click", (e) => {
       // Se o alvo do clique for o próprio elemento modal (o backdrop)
-      if (e.target === this.dom.renameModal) {
-        this.dom.renameModal.style.display = "none";
-      }
-      if (e.target === this.dom.deleteModal) {
-        this.dom.deleteModal.style.display = "none";
-      }
+      this.modals.forEach((modal) => {
+        if (e.target === modal) {
+          modal.style.display = "none";
+        }
+      });
     });
   }
 
@@ -45,7 +55,7 @@ export class UIManager {
    *
    * O Controller (game_tracker.js) chama este método para mudar o estado da View.
    *
-   * @param {'rename' | 'delete'} type Tipo de modal a ser aberto.
+   * @param {'rename' | 'delete' | 'config' | 'csv' | 'import' | 'report' | 'duplicates' | 'tracker'} type Tipo de modal a ser aberto.
    * @param {string} tabName Nome da aba (necessário para o modal de delete/rename).
    */
   openModal(type, tabName = null) {
@@ -56,15 +66,42 @@ export class UIManager {
     } else if (type === "delete") {
       this.dom.deleteTabNameDisplay.textContent = tabName; // Exibe o nome da aba a ser deletada
       this.dom.deleteModal.style.display = "flex";
+    } else if (type === "config") {
+      // O conteúdo do modal é renderizado pelo TabConfigEditor
+      this.dom.configModal.style.display = "flex";
+    } else if (type === "csv") {
+      // O conteúdo do modal é renderizado pelo CsvImportManager
+      this.dom.csvModal.style.display = "flex";
+    } else if (type === "import") {
+      // O conteúdo do modal é renderizado pelo ImportMergeManager
+      this.dom.importModal.style.display = "flex";
+    } else if (type === "report") {
+      // O conteúdo do modal é renderizado pelo ImportReportManager
+      this.dom.reportModal.style.display = "flex";
+    } else if (type === "duplicates") {
+      // O conteúdo do modal é renderizado pelo DuplicatesManager
+      this.dom.duplicatesModal.style.display = "flex";
+    } else if (type === "tracker") {
+      // O conteúdo do modal é renderizado pelo AddToTrackerManager (página do Processador)
+      this.dom.trackerModal.style.display = "flex";
     }
   }
 
+  /**
+   * Indica se algum modal está aberto (atalhos de teclado da página ficam desativados).
+   * @returns {boolean}
+   */
+  isModalOpen() {
+    return this.modals.some((modal) => modal.style.display === "flex");
+  }
+
   /**
    * Fecha todos os modais, limpando o estado da View relacionado a eles.
    * Usado como parte da resposta do Controller após o tratamento de uma ação (cancelar ou confirmar).
    */
   closeAllModals() {
-    this.dom.renameModal.style.display = "none";
-    this.dom.deleteModal.style.display = "none";
+    this.modals.forEach((modal) => {
+      modal.style.display = "none";
+    });
   }
 }
@@ -4,7 +4,7 @@
  * @fileoverview Módulo principal (Controller/Mediator) da aplicação Game Tracker.
  * Este módulo gerencia o estado global, coordena a comunicação entre os componentes
  * (TabManager, TableManager) e a lógica de negócio (GameRow), e lida com a
- * persistência de dados (LocalStorageService).
+ * persistência de dados (IndexedDbStorageService, com LocalStorageService como alternativa).
  *
  * Implementa o padrão Controller/Mediator e Single Source of Truth.
  */
@@ -13,8 +13,42 @@
 import { TabManager } from "../components/TabManager.js"; // Componente da View (abas)
 import { TableManager } from "../components/TableManager.js"; // Componente da View (tabela de jogos)
 import { UIManager } from "../components/UIManager.js"; // Componente da View (modais/interações gerais)
-import { LocalStorageService } from "../utils/LocalStorageService.js"; // Service para persistência
+import { TabConfigEditor } from "../components/TabConfigEditor.js"; // Componente da View (configuração da aba)
+import { CsvImportManager } from "../components/CsvImportManager.js"; // Componente da View (importação de CSV)
+import { ImportMergeManager } from "../components/ImportMergeManager.js"; // Componente da View (importação de JSON)
+import { ImportReportManager } from "../components/ImportReportManager.js"; // Componente da View (relatório de validação)
+import { SyncConflictManager } from "../components/SyncConflictManager.js"; // Componente da View (conflitos entre janelas)
+import { DuplicatesManager } from "../components/DuplicatesManager.js"; // Componente da View (jogos duplicados)
+import { StatsManager } from "../components/StatsManager.js"; // Componente da View (estatísticas)
+import { LocalStorageService } from "../utils/LocalStorageService.js"; // Persistência alternativa (sem IndexedDB)
+import {
+  IndexedDbStorageService,
+  isIndexedDbAvailable,
+} from "../utils/IndexedDbStorageService.js"; // Service para persistência
+import { StorageQuotaError } from "../utils/StorageErrors.js"; // Erros tipados de persistência
+import { LiveSync } from "../utils/LiveSync.js"; // Sincronização entre janelas abertas
+import { HistoryManager } from "../utils/HistoryManager.js"; // Histórico de Desfazer/Refazer
+import { generateId } from "../utils/IdGenerator.js"; // IDs únicos para abas e jogos
+import { tabsToCsv } from "../utils/CsvService.js"; // Exportação de CSV
+import { applyMerge } from "../utils/ImportMerge.js"; // Mesclagem da importação de JSON
+import {
+  createDuplicateIndex,
+  findDuplicateGroups,
+  findPossibleDuplicates,
+  mergeDuplicateGames,
+} from "../utils/DuplicateDetector.js"; // Jogos com títulos equivalentes em todas as abas
+import {
+  getTabConfig,
+  applyTabConfig,
+  createDefaultTabConfig,
+} from "../utils/TabConfig.js"; // Status/dificuldades configuráveis por aba
 import { GameRow } from "../models/GameRow.js"; // Model Layer (entidade e validação)
+import {
+  migratePayload,
+  createEnvelope,
+  SchemaVersionError,
+  SchemaFormatError,
+} from "../utils/SchemaMigrations.js"; // Versionamento e migrações do formato persistido
 
 document.addEventListener("DOMContentLoaded", () => {
   // --- 1. Mapeamento de Elementos do DOM ---
@@ -22,9 +56,19 @@ document.addEventListener("DOMContentLoaded", () => {
   const DOM = {
     tabList: document.getElementById("tab-list"),
     tabContent: document.getElementById("tab-content"),
+    statsContainer: document.getElementById("stats-container"),
     exportJsonBtn: document.getElementById("export-json-btn"),
     importJsonBtn: document.getElementById("import-json-btn"),
     importJsonInput: document.getElementById("import-json-input"),
+    exportCsvTabBtn: document.getElementById("export-csv-tab-btn"),
+    exportCsvAllBtn: document.getElementById("export-csv-all-btn"),
+    importCsvBtn: document.getElementById("import-csv-btn"),
+    importCsvInput: document.getElementById("import-csv-input"),
+    findDuplicatesBtn: document.getElementById("find-duplicates-btn"),
+    undoBtn: document.getElementById("undo-btn"),
+    redoBtn: document.getElementById("redo-btn"),
+    storageStatus: document.getElementById("storage-status"),
+    syncConflicts: document.getElementById("sync-conflicts"),
     // Mapeamento dos elementos do Modal para uso pelo UIManager
     renameModal: document.getElementById("rename-modal"),
     renameInput: document.getElementById("rename-input"),
@@ -34,20 +78,65 @@ document.addEventListener("DOMContentLoaded", () => {
     deleteTabNameDisplay: document.getElementById("delete-tab-name"),
     confirmDeleteBtn: document.getElementById("confirm-delete-btn"),
     cancelDeleteBtn: document.getElementById("cancel-delete-btn"),
+    configModal: document.getElementById("config-modal"),
+    configEditor: document.getElementById("config-editor"),
+    confirmConfigBtn: document.getElementById("confirm-config-btn"),
+    cancelConfigBtn: document.getElementById("cancel-config-btn"),
+    csvModal: document.getElementById("csv-modal"),
+    csvImportBody: document.getElementById("csv-import-body"),
+    confirmCsvBtn: document.getElementById("confirm-csv-btn"),
+    cancelCsvBtn: document.getElementById("cancel-csv-btn"),
+    importModal: document.getElementById("import-modal"),
+    importMergeBody: document.getElementById("import-merge-body"),
+    confirmImportBtn: document.getElementById("confirm-import-btn"),
+    cancelImportBtn: document.getElementById("cancel-import-btn"),
+    reportModal: document.getElementById("report-modal"),
+    importReportBody: document.getElementById("import-report-body"),
+    downloadReportBtn: document.getElementById("download-report-btn"),
+    confirmReportBtn: document.getElementById("confirm-report-btn"),
+    cancelReportBtn: document.getElementById("cancel-report-btn"),
+    duplicatesModal: document.getElementById("duplicates-modal"),
+    duplicatesBody: document.getElementById("duplicates-body"),
+    closeDuplicatesBtn: document.getElementById("close-duplicates-btn"),
   };
 
   // --- 2. Estado Global (Source of Truth) ---
   // O Controller é o único responsável por armazenar e modificar este estado.
   const STORAGE_KEY = "gameTrackerTabs";
-  let tabsData = []; // Array principal: [{ id, name, games: [GameRow.toJSON(), ...] }]
+  const VIEW_PREFS_KEY = "gameTrackerViewPrefs"; // Preferências de exibição (sempre no localStorage)
+  // IndexedDB (assíncrono, grava só o que mudou); localStorage se o navegador não o oferecer
+  let storage = isIndexedDbAvailable()
+    ? IndexedDbStorageService
+    : LocalStorageService;
+  let tabsData = []; // Array principal: [{ id, name, config, games: [GameRow.toJSON(), ...] }]
   let activeTabId = null; // ID da aba atualmente ativa
   let modalState = {
     tabToRenameId: null, // ID da aba sendo renomeada
     tabToDeleteId: null, // ID da aba sendo deletada
+    tabToConfigureId: null, // ID da aba com status/dificuldades em edição
   };
+  const history = new HistoryManager(); // Histórico global (sobrevive à troca de abas)
+  let commandDepth = 0; // > 0 enquanto um comando está em execução (agrupa comandos aninhados)
+  let liveSync = null; // Criado após o carregamento (ver initialize)
+  // Preferências de exibição por aba: { [tabId]: { pageSize } }. Não entram no histórico,
+  // na sincronização entre janelas nem na exportação.
+  let viewPrefs = {};
+  let derivedData = { signature: null }; // Cache de getDerivedData
 
   // --- 3. Instância dos Componentes ---
   const uiManager = new UIManager(DOM);
+  const tabConfigEditor = new TabConfigEditor(DOM.configEditor);
+  const csvImportManager = new CsvImportManager(DOM.csvImportBody);
+  const importMergeManager = new ImportMergeManager(DOM.importMergeBody);
+  const importReportManager = new ImportReportManager(DOM.importReportBody);
+  const syncConflictManager = new SyncConflictManager(
+    DOM.syncConflicts,
+    (id, choice) => resolveSyncConflict(id, choice)
+  );
+  const duplicatesManager = new DuplicatesManager(DOM.duplicatesBody, {
+    onMerge: (gameIds, keptGameId) => mergeDuplicates(gameIds, keptGameId),
+    onReveal: (tabId, gameId) => callbacks.revealGame(tabId, gameId),
+  });
 
   // Callbacks/Handlers para as Ações (Centralizadas no Controller/Mediator)
   // O Controller fornece estes callbacks aos Componentes (Inversão de Dependência).
@@ -58,14 +147,21 @@ document.addEventListener("DOMContentLoaded", () => {
       updateUI(); // Chama o Mediator para persistir e re-renderizar
     },
     addTab: () => {
-      const newTab = {
-        id: Date.now().toString(),
-        name: `Nova Aba ${tabsData.length + 1}`,
-        games: [], // Jogos inicializados vazios
-      };
-      tabsData.push(newTab);
-      activeTabId = newTab.id;
-      updateUI();
+      runCommand("Adicionar aba", () => {
+        const newTab = {
+          id: generateId(),
+          name: `Nova Aba ${tabsData.length + 1}`,
+          config: createDefaultTabConfig(),
+          games: [], // Jogos inicializados vazios
+        };
+        tabsData.push(newTab);
+        activeTabId = newTab.id;
+      });
+    },
+    moveTab: (tabId, targetTabId, placeAfter) => {
+      runCommand("Reordenar abas", () => {
+        tabsData = reorderItems(tabsData, [tabId], targetTabId, placeAfter);
+      });
     },
     openRenameModal: (id, name) => {
       modalState.tabToRenameId = id;
@@ -75,6 +171,13 @@ document.addEventListener("DOMContentLoaded", () => {
       modalState.tabToDeleteId = id;
       uiManager.openModal("delete", name); // Delega a abertura do modal à View (UIManager)
     },
+    openConfigModal: (id) => {
+      const tab = tabsData.find((t) => t.id === id);
+      if (!tab) return;
+      modalState.tabToConfigureId = id;
+      tabConfigEditor.open(getTabConfig(tab));
+      uiManager.openModal("config");
+    },
 
     // TableManager Callbacks: Ações que mudam o estado dos jogos na aba ativa
     updateGame: (gameId, property, value) => {
@@ -82,45 +185,144 @@ document.addEventListener("DOMContentLoaded", () => {
       const gameData = tab.games.find((g) => g.id === gameId);
 
       if (gameData) {
-        // Usa GameRow para validar a atualização (Model Layer)
-        const gameRow = GameRow.fromJSON(gameData);
+        // Usa GameRow para validar a atualização (Model Layer), com a configuração da aba
+        const gameRow = GameRow.fromJSON(gameData, getTabConfig(tab));
         const updated = gameRow.updateProperty(property, value); // Usa o setter com validação
 
+        // Valor rejeitado ou igual ao atual: nada entra no histórico (a View repinta a célula)
         if (updated) {
           // Atualiza o objeto original no estado global com os dados validados
-          Object.assign(gameData, gameRow.toJSON());
-          updateUI();
-        } else {
-          // O GameRow já emitiu um warn, aqui apenas registra um erro no fluxo
-          console.error(
-            `Falha ao atualizar propriedade "${property}" do jogo ${gameId}`
+          runCommand("Editar jogo", () =>
+            Object.assign(gameData, gameRow.toJSON())
           );
         }
       }
     },
     deleteGame: (gameId) => {
-      const tab = tabsData.find((t) => t.id === activeTabId);
-      tab.games = tab.games.filter((g) => g.id !== gameId); // Atualiza o estado
-      updateUI();
+      runCommand("Excluir jogo", () => {
+        const tab = tabsData.find((t) => t.id === activeTabId);
+        tab.games = tab.games.filter((g) => g.id !== gameId); // Atualiza o estado
+      });
     },
     addRow: () => {
       const tab = tabsData.find((t) => t.id === activeTabId);
       if (!tab) return;
 
-      // Usa o método Factory do GameRow para criar uma nova linha válida
-      const newGame = GameRow.createDefault(tab.games.length + 1);
-      tab.games.push(newGame.toJSON()); // Adiciona a versão JSON ao estado
+      runCommand("Adicionar jogo", () => {
+        // Usa o método Factory do GameRow para criar uma nova linha válida
+        const newGame = GameRow.createDefault(
+          tab.games.length + 1,
+          getTabConfig(tab)
+        );
+        tab.games.push(newGame.toJSON()); // Adiciona a versão JSON ao estado
+
+        // O render do updateUI exibe a página da linha nova, com o título em edição
+        // O TableManager precisa desta lógica de navegação, mas o Controller coordena
+        tableManager.focusCell(newGame.id, "title", true);
+      });
+    },
+    bulkUpdateGames: (gameIds, property, value) => {
+      const tab = tabsData.find((t) => t.id === activeTabId);
+      if (!tab) return;
+      const ids = new Set(gameIds);
+      const config = getTabConfig(tab);
+
+      // Um único comando (e um único updateUI) para todas as linhas
+      runCommand("Editar jogos selecionados", () => {
+        tab.games.forEach((gameData) => {
+          if (!ids.has(gameData.id)) return;
+          const gameRow = GameRow.fromJSON(gameData, config);
+          if (gameRow.updateProperty(property, value)) {
+            Object.assign(gameData, gameRow.toJSON());
+          }
+        });
+      });
+    },
+    // Mover/copiar jogos da aba ativa (ações em massa e arrastar até uma aba)
+    transferGames: (gameIds, targetTabId, copy) => {
+      const source = tabsData.find((t) => t.id === activeTabId);
+      const target = tabsData.find((t) => t.id === targetTabId);
+      if (!source || !target || source === target) return;
+      const ids = new Set(gameIds);
+      const games = source.games.filter((gameData) => ids.has(gameData.id));
+      if (games.length === 0) return;
+
+      // Títulos equivalentes aos da aba de destino (mesma comparação dos avisos de
+      // duplicados da tabela e do Processador) precisam de confirmação
+      const targetIndex = createDuplicateIndex([target]);
+      const duplicates = games
+        .map((gameData) => ({
+          gameData,
+          existing: findPossibleDuplicates(targetIndex, gameData.title, gameData.id),
+        }))
+        .filter(({ existing }) => existing.length > 0);
+      if (
+        duplicates.length > 0 &&
+        !window.confirm(
+          `A aba "${target.name}" já tem: ${duplicates
+            .map(({ gameData, existing }) =>
+              existing[0].game.title === gameData.title
+                ? gameData.title
+                : `${gameData.title} (como "${existing[0].game.title}")`
+            )
+            .join(", ")}.\n${copy ? "Copiar" : "Mover"} mesmo assim?`
+        )
+      ) {
+        return;
+      }
 
-      // Move para a última página e renderiza
-      // O TableManager precisa desta lógica de navegação, mas o Controller coordena
-      tableManager.setPage(Math.ceil(tab.games.length / 10));
+      runCommand(copy ? "Copiar jogos" : "Mover jogos", () => {
+        games.forEach((gameData) =>
+          target.games.push(adaptGameToTab(gameData, target, copy))
+        );
+        if (!copy) {
+          source.games = source.games.filter((g) => !ids.has(g.id));
+        }
+      });
+    },
+    reorderGames: (gameIds, targetGameId, placeAfter) => {
+      const tab = tabsData.find((t) => t.id === activeTabId);
+      if (!tab) return;
+      runCommand("Reordenar jogos", () => {
+        tab.games = reorderItems(tab.games, gameIds, targetGameId, placeAfter);
+      });
+    },
+    bulkDeleteGames: (gameIds) => {
+      const ids = new Set(gameIds);
+      runCommand("Excluir jogos", () => {
+        const tab = tabsData.find((t) => t.id === activeTabId);
+        tab.games = tab.games.filter((g) => !ids.has(g.id));
+      });
+    },
+    // Links de duplicados: ativa a aba do jogo e o exibe destacado
+    revealGame: (tabId, gameId) => {
+      if (!tabsData.some((t) => t.id === tabId)) return;
+      activeTabId = tabId;
+      tableManager.showGame(gameId);
+      uiManager.closeAllModals();
       updateUI();
     },
+    savePageSize: (tabId, pageSize) => {
+      // Descarta preferências de abas que não existem mais
+      viewPrefs = Object.fromEntries(
+        Object.entries(viewPrefs).filter(([id]) =>
+          tabsData.some((tab) => tab.id === id)
+        )
+      );
+      viewPrefs[tabId] = { ...viewPrefs[tabId], pageSize };
+      try {
+        LocalStorageService.save(VIEW_PREFS_KEY, viewPrefs);
+      } catch (error) {
+        // Não é crítico: a preferência vale até recarregar a página
+        console.error("Erro ao salvar as preferências de exibição:", error);
+      }
+    },
   };
 
   // Instancia os componentes, injetando as dependências do DOM e os Callbacks do Controller.
   const tableManager = new TableManager(DOM.tabContent, callbacks);
   const tabManager = new TabManager(DOM.tabList, callbacks);
+  const statsManager = new StatsManager(DOM.statsContainer);
 
   // --- 4. Funções de Ação/Persistência (Controller/Mediator) ---
 
@@ -129,14 +331,324 @@ document.addEventListener("DOMContentLoaded", () => {
    * que coordena o fluxo de dados do Model (tabsData) para a View (Components).
    */
   const updateUI = () => {
-    // 1. Persistência: Salva o estado no LocalStorage (Service Layer)
-    LocalStorageService.save(STORAGE_KEY, tabsData);
+    // 1. Persistência: Salva o estado (envelope versionado) em segundo plano (Service Layer)
+    persist();
+    // Envia às outras janelas abertas somente os registros alterados
+    if (liveSync) liveSync.publish(tabsData);
 
     const activeTab = tabsData.find((tab) => tab.id === activeTabId) || null;
+    const { knownTags, knownPlatforms, duplicateIndex } = getDerivedData();
 
     // 2. Renderização: Atualiza todos os componentes com o estado atual (View Layer)
     tabManager.setState(tabsData, activeTabId);
-    tableManager.setState(activeTab);
+    tableManager.setState(activeTab, {
+      knownTags,
+      knownPlatforms,
+      pageSize: activeTab ? viewPrefs[activeTab.id]?.pageSize : undefined,
+      tabs: tabsData.map(({ id, name }) => ({ id, name })),
+      duplicateIndex,
+    });
+    statsManager.setState(tabsData, activeTabId);
+    renderHistoryControls();
+  };
+
+  /**
+   * Grava o estado atual. Funciona com o service síncrono (localStorage) e com o
+   * assíncrono (IndexedDB); falhas chegam como erros tipados e são exibidas na página.
+   */
+  const persist = async () => {
+    try {
+      await storage.save(STORAGE_KEY, createEnvelope(tabsData));
+      renderStorageError(null);
+    } catch (error) {
+      console.error("Erro ao salvar os dados:", error);
+      renderStorageError(error);
+    }
+  };
+
+  /**
+   * Exibe (ou oculta, com `null`) o aviso de falha na gravação, sem bloquear a edição.
+   * @param {Error | null} error
+   */
+  const renderStorageError = (error) => {
+    if (!DOM.storageStatus) return;
+    DOM.storageStatus.hidden = !error;
+    if (!error) return;
+    DOM.storageStatus.textContent =
+      error instanceof StorageQuotaError
+        ? `${error.message} Exporte um backup em JSON e remova jogos ou abas que não usa mais.`
+        : error.message;
+  };
+
+  /**
+   * Reposiciona itens (abas ou jogos) antes/depois de um item de referência. A ordem dos
+   * arrays é a ordem manual, salva e exportada como está.
+   * @param {Array<{id: string}>} items Lista atual (não é alterada).
+   * @param {Array<string>} ids IDs dos itens movidos (mantêm a ordem relativa entre si).
+   * @param {string} targetId ID do item de referência.
+   * @param {boolean} placeAfter Se os itens vão depois (true) ou antes (false) da referência.
+   * @returns {Array} Nova lista (a mesma, se a referência estiver entre os itens movidos).
+   */
+  const reorderItems = (items, ids, targetId, placeAfter) => {
+    const moving = new Set(ids);
+    if (moving.has(targetId)) return items;
+
+    const rest = items.filter((item) => !moving.has(item.id));
+    const targetIndex = rest.findIndex((item) => item.id === targetId);
+    if (targetIndex === -1) return items;
+
+    rest.splice(
+      targetIndex + (placeAfter ? 1 : 0),
+      0,
+      ...items.filter((item) => moving.has(item.id))
+    );
+    return rest;
+  };
+
+  /**
+   * Prepara um jogo para entrar em outra aba (mover/copiar): valida com a configuração
+   * da aba de destino, e status/dificuldade que não existem nela passam para o padrão.
+   * @param {Object} gameData Jogo da aba de origem (não é alterado).
+   * @param {Object} targetTab Aba de destino.
+   * @param {boolean} copy Se é uma cópia (recebe um novo ID via GameRow.clone).
+   * @returns {Object} Jogo normalizado pelo Model.
+   */
+  const adaptGameToTab = (gameData, targetTab, copy) => {
+    const config = getTabConfig(targetTab);
+    const gameRow = copy
+      ? GameRow.fromJSON(gameData).clone(config)
+      : GameRow.fromJSON(gameData, config);
+    if (!gameRow.isValidStatus(gameRow.status)) {
+      gameRow.updateProperty("status", config.statuses[0]);
+    }
+    if (!gameRow.isValidDifficulty(gameRow.difficulty)) {
+      gameRow.updateProperty("difficulty", config.difficulties[0]);
+    }
+    return gameRow.toJSON();
+  };
+
+  // --- Duplicados ---
+
+  /** Abre o modal com os grupos de jogos de títulos equivalentes (todas as abas). */
+  const openDuplicates = () => {
+    duplicatesManager.render(findDuplicateGroups(tabsData));
+    uiManager.openModal("duplicates");
+  };
+
+  /**
+   * Mescla um grupo de duplicados no jogo escolhido (ver DuplicateDetector.mergeDuplicateGames)
+   * e exclui os outros, em um único comando do histórico.
+   * @param {Array<string>} gameIds IDs de todos os jogos do grupo.
+   * @param {string} keptGameId ID do jogo mantido.
+   */
+  const mergeDuplicates = (gameIds, keptGameId) => {
+    const keptTab = tabsData.find((t) =>
+      t.games.some((g) => g.id === keptGameId)
+    );
+    if (!keptTab) return;
+    const kept = keptTab.games.find((g) => g.id === keptGameId);
+    const removedIds = new Set(gameIds.filter((id) => id !== keptGameId));
+    const others = tabsData.flatMap((t) =>
+      t.games.filter((g) => removedIds.has(g.id))
+    );
+
+    runCommand("Mesclar duplicados", () => {
+      // Valida o resultado com a configuração da aba do jogo mantido (Model Layer)
+      const gameRow = GameRow.fromJSON(kept, getTabConfig(keptTab));
+      const merged = mergeDuplicateGames(kept, others);
+      ["platform", "startDate", "finishDate", "hoursPlayed", "tags"].forEach(
+        (property) => gameRow.updateProperty(property, merged[property])
+      );
+      Object.assign(kept, gameRow.toJSON());
+      tabsData.forEach((t) => {
+        t.games = t.games.filter((g) => !removedIds.has(g.id));
+      });
+    });
+
+    duplicatesManager.render(findDuplicateGroups(tabsData));
+  };
+
+  // --- Sincronização entre janelas ---
+
+  /**
+   * Aplica as alterações feitas em outra janela. Não entra no histórico: os snapshots
+   * anteriores desfariam as alterações da outra janela, então o histórico é esvaziado.
+   * @param {Object} message Mensagem recebida pelo LiveSync.
+   */
+  const handleRemoteChanges = (message) => {
+    const result = liveSync.receive(tabsData, message);
+
+    if (result.changed) {
+      tabsData = result.tabs;
+      if (!tabsData.some((t) => t.id === activeTabId)) {
+        activeTabId = tabsData.length > 0 ? tabsData[0].id : null;
+      }
+      history.clear();
+      updateUI(); // Persiste e devolve à outra janela o que foi mesclado
+    }
+    syncConflictManager.render(liveSync.getConflicts());
+  };
+
+  /**
+   * Resolve um conflito de sincronização com a versão escolhida pelo usuário.
+   * @param {string} id Id do registro (jogo) em conflito.
+   * @param {"local" | "remote"} choice
+   */
+  const resolveSyncConflict = (id, choice) => {
+    tabsData = liveSync.resolveConflict(tabsData, id, choice);
+    history.clear();
+    updateUI(); // "local" é enviado à outra janela neste publish
+    syncConflictManager.render(liveSync.getConflicts());
+  };
+
+  // --- Histórico (Desfazer/Refazer) ---
+
+  /**
+   * Captura o estado atual. `tabs` é serializado para isolar o snapshot de mutações futuras.
+   * @returns {{tabs: string, activeTabId: string | null}}
+   */
+  const takeSnapshot = () => ({
+    tabs: JSON.stringify(tabsData),
+    activeTabId,
+  });
+
+  /**
+   * Restaura um snapshot do histórico e re-renderiza.
+   * @param {{tabs: string, activeTabId: string | null}} snapshot
+   */
+  const restoreSnapshot = (snapshot) => {
+    tabsData = JSON.parse(snapshot.tabs);
+    activeTabId = tabsData.some((t) => t.id === snapshot.activeTabId)
+      ? snapshot.activeTabId
+      : tabsData[0]?.id ?? null;
+    updateUI();
+  };
+
+  /**
+   * Executa uma mutação do estado como um comando do histórico (Command Pattern),
+   * e depois persiste/re-renderiza uma única vez.
+   * Comandos executados dentro de outro comando são agrupados no comando externo,
+   * então ações compostas (ex: importação) são desfeitas em um único passo.
+   * Mutações que não alteram os dados (ex: blur sem edição) não geram entrada no histórico.
+   *
+   * @param {string} label Descrição do comando (exibida nos botões de Desfazer/Refazer).
+   * @param {Function} mutate Função que altera `tabsData`/`activeTabId`.
+   */
+  const runCommand = (label, mutate) => {
+    if (commandDepth > 0) {
+      mutate();
+      return;
+    }
+
+    const before = takeSnapshot();
+    commandDepth++;
+    try {
+      mutate();
+    } finally {
+      commandDepth--;
+    }
+
+    if (JSON.stringify(tabsData) !== before.tabs) {
+      history.record(label, before);
+    }
+    updateUI();
+  };
+
+  /** Desfaz o último comando (Ctrl+Z). */
+  const undo = () => {
+    const snapshot = history.undo(takeSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+  };
+
+  /** Refaz o último comando desfeito (Ctrl+Shift+Z / Ctrl+Y). */
+  const redo = () => {
+    const snapshot = history.redo(takeSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+  };
+
+  /** Atualiza o estado (habilitado/título) dos botões de Desfazer/Refazer. */
+  const renderHistoryControls = () => {
+    const undoLabel = history.peekUndoLabel();
+    const redoLabel = history.peekRedoLabel();
+    DOM.undoBtn.disabled = !undoLabel;
+    DOM.redoBtn.disabled = !redoLabel;
+    DOM.undoBtn.title = undoLabel
+      ? `Desfazer: ${undoLabel} (Ctrl+Z)`
+      : "Nada para desfazer";
+    DOM.redoBtn.title = redoLabel
+      ? `Refazer: ${redoLabel} (Ctrl+Shift+Z)`
+      : "Nada para refazer";
+  };
+
+  /**
+   * Atalhos globais de Desfazer/Refazer.
+   * Em campos de texto o atalho é deixado para o navegador (desfazer nativo da digitação).
+   * @param {KeyboardEvent} e
+   */
+  const handleHistoryShortcut = (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    const target = e.target;
+    const isTextField =
+      target.tagName === "TEXTAREA" ||
+      (target.tagName === "INPUT" &&
+        ["text", "number", "date", "search"].includes(target.type));
+    if (isTextField) return;
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      redo();
+    }
+  };
+
+  /**
+   * Dados derivados de todas as abas: sugestões de tags/plataformas e índice de títulos
+   * duplicados. São recalculados só quando nomes de abas, títulos, tags ou plataformas
+   * mudam (a maioria das edições, como status ou nota, reaproveita o cálculo anterior).
+   * O mesmo objeto de índice também permite ao TableManager pular as células de título.
+   * @returns {{knownTags: Array<string>, knownPlatforms: Array<string>, duplicateIndex: Map}}
+   */
+  const getDerivedData = () => {
+    const signature = JSON.stringify(
+      tabsData.map((tab) => [
+        tab.id,
+        tab.name,
+        tab.games.map((game) => [game.id, game.title, game.platform, game.tags]),
+      ])
+    );
+    if (signature !== derivedData.signature) {
+      derivedData = {
+        signature,
+        knownTags: collectKnownValues((game) => game.tags),
+        knownPlatforms: collectKnownValues((game) => [game.platform]),
+        duplicateIndex: createDuplicateIndex(tabsData),
+      };
+    }
+    return derivedData;
+  };
+
+  /**
+   * Reúne valores únicos (sem diferenciar maiúsculas) de todos os jogos de todas as abas,
+   * usados como sugestões de autocomplete (tags, plataformas).
+   * @param {Function} getValues - Recebe um jogo e retorna um array de valores.
+   * @returns {Array<string>} Valores únicos em ordem alfabética.
+   */
+  const collectKnownValues = (getValues) => {
+    const values = new Map(); // chave normalizada -> primeira grafia encontrada
+    tabsData.forEach((tab) =>
+      tab.games.forEach((game) =>
+        (getValues(game) || []).forEach((value) => {
+          if (value && !values.has(value.toLowerCase())) {
+            values.set(value.toLowerCase(), value);
+          }
+        })
+      )
+    );
+    return Array.from(values.values()).sort((a, b) => a.localeCompare(b));
   };
 
   /** Lógica para renomear uma aba a partir da ação no modal. */
@@ -149,9 +661,10 @@ document.addEventListener("DOMContentLoaded", () => {
 
     const tab = tabsData.find((t) => t.id === modalState.tabToRenameId);
     if (tab) {
-      tab.name = newName;
       uiManager.closeAllModals();
-      updateUI(); // Persiste e re-renderiza
+      runCommand("Renomear aba", () => {
+        tab.name = newName;
+      }); // Persiste e re-renderiza
     }
   };
 
@@ -167,38 +680,149 @@ document.addEventListener("DOMContentLoaded", () => {
       (t) => t.id === modalState.tabToDeleteId
     );
     if (tabIndex > -1) {
-      tabsData.splice(tabIndex, 1);
-      // Garante que a aba ativa mude se a aba deletada era a ativa
-      if (activeTabId === modalState.tabToDeleteId) {
-        activeTabId = tabsData.length > 0 ? tabsData[0].id : null;
-      }
       uiManager.closeAllModals();
-      updateUI(); // Persiste e re-renderiza
+      // A aba e todos os seus jogos são removidos (e restaurados) em um único passo
+      runCommand("Excluir aba", () => {
+        tabsData.splice(tabIndex, 1);
+        // Garante que a aba ativa mude se a aba deletada era a ativa
+        if (activeTabId === modalState.tabToDeleteId) {
+          activeTabId = tabsData.length > 0 ? tabsData[0].id : null;
+        }
+      }); // Persiste e re-renderiza
+    }
+  };
+
+  /**
+   * Salva a configuração de status/dificuldades editada no modal, remapeando
+   * os jogos da aba cujos valores foram renomeados ou removidos.
+   */
+  const handleConfigSave = () => {
+    const result = tabConfigEditor.collect();
+    if (!result.isValid) return; // O editor exibe os erros no próprio modal
+
+    const tabIndex = tabsData.findIndex(
+      (t) => t.id === modalState.tabToConfigureId
+    );
+    if (tabIndex > -1) {
+      uiManager.closeAllModals();
+      runCommand("Configurar status e dificuldades", () => {
+        tabsData[tabIndex] = applyTabConfig(
+          tabsData[tabIndex],
+          result.config,
+          result.remap
+        );
+      });
     }
   };
 
   // Funções de Importação/Exportação (I/O)
 
+  /**
+   * Dispara o download de um conteúdo de texto como arquivo (padrão de exportação).
+   * @param {string} content Conteúdo do arquivo.
+   * @param {string} fileName Nome sugerido para o download.
+   * @param {string} mimeType Tipo MIME (ex: "application/json").
+   */
+  const downloadFile = (content, fileName, mimeType) => {
+    const dataUri = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+
+    const linkElement = document.createElement("a");
+    linkElement.setAttribute("href", dataUri);
+    linkElement.setAttribute("download", fileName);
+    linkElement.click();
+  };
+
   /** Exporta o estado global (tabsData) como um arquivo JSON. */
   const exportToJson = () => {
     if (tabsData.length === 0) {
       alert("Não há dados para exportar.");
       return;
     }
-    const dataStr = JSON.stringify(tabsData, null, 2);
-    // Cria um Blob e dispara o download (padrão de exportação)
-    const dataUri =
-      "data:application/json;charset=utf-8," + encodeURIComponent(dataStr);
+    // Exporta no mesmo envelope versionado do storage, para que a importação saiba migrar
+    const dataStr = JSON.stringify(createEnvelope(tabsData), null, 2);
+    downloadFile(dataStr, "game_tracker_data.json", "application/json");
+  };
 
-    const exportFileDefaultName = "game_tracker_data.json";
+  /**
+   * Exporta jogos como CSV (separador ";" para o Excel pt-BR), com a coluna "Aba".
+   * @param {boolean} allTabs true para todas as abas, false apenas para a aba ativa.
+   */
+  const exportToCsv = (allTabs) => {
+    const tabs = allTabs
+      ? tabsData
+      : tabsData.filter((tab) => tab.id === activeTabId);
+    if (!tabs.some((tab) => tab.games.length > 0)) {
+      alert("Não há jogos para exportar.");
+      return;
+    }
 
-    const linkElement = document.createElement("a");
-    linkElement.setAttribute("href", dataUri);
-    linkElement.setAttribute("download", exportFileDefaultName);
-    linkElement.click();
+    const fileName = allTabs
+      ? "game_tracker_data.csv"
+      : `game_tracker_${tabs[0].name.replace(/[^\w-]+/g, "_")}.csv`;
+    downloadFile(tabsToCsv(tabs), fileName, "text/csv");
   };
 
-  /** Importa dados de um arquivo JSON e substitui o estado global. */
+  /** Lê o arquivo CSV selecionado e abre o modal de mapeamento/pré-visualização. */
+  const importCsv = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      csvImportManager.open({
+        fileName: file.name,
+        text: e.target.result,
+        tabs: tabsData,
+        activeTabId,
+      });
+      uiManager.openModal("csv");
+    };
+    reader.readAsText(file, "UTF-8");
+    // Limpa o input file para permitir a importação do mesmo arquivo novamente, se necessário
+    DOM.importCsvInput.value = "";
+  };
+
+  /** Aplica as linhas válidas do CSV (já validadas pelo Model) como um único comando. */
+  const handleCsvImportConfirm = () => {
+    const plan = csvImportManager.getPlan();
+    if (plan.validCount === 0) {
+      alert("Nenhuma linha válida para importar. Verifique o mapeamento das colunas.");
+      return;
+    }
+
+    uiManager.closeAllModals();
+    runCommand("Importar CSV", () => {
+      plan.groups.forEach((group) => {
+        let tab =
+          tabsData.find((t) => t.id === group.tabId) ||
+          tabsData.find(
+            (t) => t.name.toLowerCase() === group.tabName.toLowerCase()
+          );
+        if (!tab) {
+          tab = {
+            id: generateId(),
+            name: group.tabName,
+            config: createDefaultTabConfig(),
+            games: [],
+          };
+          tabsData.push(tab);
+        }
+        tab.games.push(...group.games);
+      });
+    });
+
+    alert(
+      `${plan.validCount} jogos importados.` +
+        (plan.invalidCount
+          ? ` ${plan.invalidCount} linhas com erros foram ignoradas.`
+          : "")
+    );
+  };
+
+  /**
+   * Lê um arquivo JSON, migra para o schema atual e abre o relatório de validação
+   * (se houver jogos inválidos) ou direto o modal de importação (mesclar ou substituir).
+   */
   const importJson = (event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -208,50 +832,31 @@ document.addEventListener("DOMContentLoaded", () => {
       try {
         const importedData = JSON.parse(e.target.result);
 
-        // Validação básica da estrutura esperada
-        if (
-          Array.isArray(importedData) &&
-          importedData.every((t) => t.id && t.name && Array.isArray(t.games))
-        ) {
-          if (
-            confirm(
-              `Deseja substituir seus ${tabsData.length} itens atuais por ${importedData.length} itens importados?`
-            )
-          ) {
-            // Validação e Normalização Profunda:
-            // Itera sobre os dados importados e usa GameRow.fromJSON
-            // para garantir que os objetos se conformem às regras do Model,
-            // aplicando valores padrão se necessário e limpando dados inválidos.
-            const validatedData = importedData.map((tab) => ({
-              ...tab,
-              games: tab.games.map((gameData) => {
-                const gameRow = GameRow.fromJSON(gameData);
-                const validation = gameRow.validate();
-
-                if (!validation.isValid) {
-                  // Apenas registra o problema, mas a GameRow retorna uma versão sanitizada/normalizada
-                  console.warn(
-                    `Jogo "${gameData.title}" contém dados inválidos:`,
-                    validation.errors
-                  );
-                }
-                // Salva no estado a versão sanitizada pelo Model
-                return gameRow.toJSON();
-              }),
-            }));
-
-            tabsData = validatedData;
-            activeTabId = tabsData.length > 0 ? tabsData[0].id : null;
-            alert("Dados importados e validados com sucesso!");
-            updateUI();
-          }
+        // Migra o arquivo (envelope versionado ou array legado) para o schema atual.
+        // Também valida a estrutura básica esperada (abas com ID, Nome e Array de Jogos).
+        const { tabs: importedTabs } = migratePayload(importedData);
+
+        // Jogos inválidos são listados no relatório de validação; a importação só
+        // continua (para a escolha entre mesclar e substituir) depois de resolvidos.
+        const invalidCount = importReportManager.open({
+          fileName: file.name,
+          tabs: importedTabs,
+        });
+        if (invalidCount > 0) {
+          uiManager.openModal("report");
         } else {
+          openImportMerge(file.name, importedTabs);
+        }
+      } catch (error) {
+        if (error instanceof SchemaVersionError) {
+          alert(`Erro na importação: ${error.message}`);
+        } else if (error instanceof SchemaFormatError) {
           alert(
             "Erro na importação: O arquivo JSON não está no formato esperado (Array de Abas com ID, Nome e Array de Jogos)."
           );
+        } else {
+          alert("Erro ao processar o arquivo JSON. Verifique a formatação.");
         }
-      } catch (error) {
-        alert("Erro ao processar o arquivo JSON. Verifique a formatação.");
         console.error("Erro na importação:", error);
       }
     };
@@ -260,6 +865,110 @@ document.addEventListener("DOMContentLoaded", () => {
     DOM.importJsonInput.value = "";
   };
 
+  /**
+   * Normaliza as abas importadas pelo Model e abre o modal de mesclagem/substituição.
+   * @param {string} fileName Nome do arquivo importado.
+   * @param {Array} importedTabs Abas já migradas e sem jogos inválidos.
+   */
+  const openImportMerge = (fileName, importedTabs) => {
+    // Normalização Profunda: GameRow.fromJSON aplica os valores padrão do Model
+    const normalizedTabs = importedTabs.map((tab) => ({
+      ...tab,
+      games: tab.games.map((gameData) =>
+        GameRow.fromJSON(gameData, getTabConfig(tab)).toJSON()
+      ),
+    }));
+
+    // O diff é calculado sobre o estado atual; nada é alterado até a confirmação
+    importMergeManager.open({
+      fileName,
+      localTabs: tabsData,
+      incomingTabs: normalizedTabs,
+    });
+    uiManager.openModal("import");
+  };
+
+  /** Conclui o relatório de validação e segue para a escolha do modo de importação. */
+  const handleReportConfirm = () => {
+    const { pendingCount, tabs } = importReportManager.getResolution();
+    if (pendingCount > 0) {
+      alert(
+        `Ainda há ${pendingCount} linhas inválidas. Corrija, use os valores padrão ou descarte cada uma para continuar.`
+      );
+      return;
+    }
+    uiManager.closeAllModals();
+    openImportMerge(importReportManager.fileName, tabs);
+  };
+
+  /** Baixa o relatório de validação da importação como JSON. */
+  const downloadImportReport = () => {
+    const dataStr = JSON.stringify(importReportManager.getReport(), null, 2);
+    downloadFile(dataStr, "relatorio_importacao.json", "application/json");
+  };
+
+  /** Aplica a importação de JSON confirmada no modal (mesclagem ou substituição). */
+  const handleImportConfirm = () => {
+    const { mode, plan, resolutions, incomingTabs } =
+      importMergeManager.getResult();
+    uiManager.closeAllModals();
+
+    // A importação inteira é um único passo do histórico
+    if (mode === "replace") {
+      runCommand("Importar JSON", () => {
+        tabsData = incomingTabs;
+        activeTabId = tabsData.length > 0 ? tabsData[0].id : null;
+      });
+      alert("Dados importados e validados com sucesso!");
+      return;
+    }
+
+    runCommand("Mesclar JSON", () => {
+      tabsData = applyMerge(tabsData, plan, resolutions);
+      if (!tabsData.some((t) => t.id === activeTabId)) {
+        activeTabId = tabsData.length > 0 ? tabsData[0].id : null;
+      }
+    });
+
+    const keptIncoming = Object.values(resolutions).filter(
+      (choice) => choice === "incoming"
+    ).length;
+    alert(
+      `Mesclagem concluída: ${plan.totals.added} jogos adicionados, ` +
+        `${keptIncoming} atualizados.`
+    );
+  };
+
+  /**
+   * Atalhos de navegação: "/" foca a pesquisa, Alt+N adiciona um jogo e
+   * Alt+PageUp / Alt+PageDown trocam de aba. Ignorados com um modal aberto.
+   * (Os atalhos dentro da tabela ficam no TableManager.)
+   * @param {KeyboardEvent} e
+   */
+  const handleNavigationShortcut = (e) => {
+    if (e.defaultPrevented || uiManager.isModalOpen()) return;
+
+    const target = e.target;
+    const isEditing =
+      ["INPUT", "SELECT", "TEXTAREA"].includes(target.tagName) ||
+      target.isContentEditable;
+
+    if (e.key === "/" && !isEditing && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      tableManager.focusSearch();
+    } else if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === "KeyN") {
+      // e.code: no macOS, Alt+N produz outro caractere em e.key
+      e.preventDefault();
+      callbacks.addRow();
+    } else if (e.altKey && (e.key === "PageUp" || e.key === "PageDown")) {
+      e.preventDefault();
+      const index = tabsData.findIndex((t) => t.id === activeTabId);
+      const offset = e.key === "PageDown" ? 1 : -1;
+      const next = tabsData[(index + offset + tabsData.length) % tabsData.length];
+      if (next && next.id !== activeTabId) callbacks.activateTab(next.id);
+    }
+  };
+
   // --- 5. Inicialização ---
 
   /** Configura todos os Listeners de eventos de alto nível (modais, I/O). */
@@ -278,6 +987,11 @@ document.addEventListener("DOMContentLoaded", () => {
       uiManager.closeAllModals()
     );
 
+    DOM.confirmConfigBtn.addEventListener("click", handleConfigSave);
+    DOM.cancelConfigBtn.addEventListener("click", () =>
+      uiManager.closeAllModals()
+    );
+
     // I/O (Import/Export)
     DOM.exportJsonBtn.addEventListener("click", exportToJson);
     // O botão de Importação apenas dispara o input file oculto
@@ -285,15 +999,88 @@ document.addEventListener("DOMContentLoaded", () => {
       DOM.importJsonInput.click()
     );
     DOM.importJsonInput.addEventListener("change", importJson);
+    DOM.confirmImportBtn.addEventListener("click", handleImportConfirm);
+    DOM.cancelImportBtn.addEventListener("click", () =>
+      uiManager.closeAllModals()
+    );
+    DOM.confirmReportBtn.addEventListener("click", handleReportConfirm);
+    DOM.downloadReportBtn.addEventListener("click", downloadImportReport);
+    DOM.cancelReportBtn.addEventListener("click", () =>
+      uiManager.closeAllModals()
+    );
+    DOM.exportCsvTabBtn.addEventListener("click", () => exportToCsv(false));
+    DOM.exportCsvAllBtn.addEventListener("click", () => exportToCsv(true));
+    DOM.importCsvBtn.addEventListener("click", () => DOM.importCsvInput.click());
+    DOM.importCsvInput.addEventListener("change", importCsv);
+    DOM.confirmCsvBtn.addEventListener("click", handleCsvImportConfirm);
+    DOM.cancelCsvBtn.addEventListener("click", () =>
+      uiManager.closeAllModals()
+    );
+
+    DOM.findDuplicatesBtn.addEventListener("click", openDuplicates);
+    DOM.closeDuplicatesBtn.addEventListener("click", () =>
+      uiManager.closeAllModals()
+    );
+
+    // Histórico (Desfazer/Refazer)
+    DOM.undoBtn.addEventListener("click", undo);
+    DOM.redoBtn.addEventListener("click", redo);
+    document.addEventListener("keydown", handleHistoryShortcut);
+    document.addEventListener("keydown", handleNavigationShortcut);
   }
 
-  /** Carrega o estado inicial do LocalStorage e inicializa a aplicação. */
-  function initialize() {
-    tabsData = LocalStorageService.load(STORAGE_KEY) || [];
+  /**
+   * Exibe um erro bloqueante no lugar da tabela quando os dados salvos não podem ser carregados.
+   * Nenhum listener é registrado e nada é salvo, para não sobrescrever os dados originais.
+   * @param {string} message - Mensagem explicando o motivo.
+   */
+  function renderLoadError(message) {
+    const errorBox = document.createElement("p");
+    errorBox.className = "load-error";
+    errorBox.textContent = message;
+    DOM.tabContent.innerHTML = "";
+    DOM.tabContent.appendChild(errorBox);
+  }
+
+  /** Carrega o estado inicial (IndexedDB ou LocalStorage) e inicializa a aplicação. */
+  async function initialize() {
+    let storedPayload = null;
+    try {
+      // Na primeira execução com IndexedDB, os dados do localStorage são migrados
+      storedPayload = await storage.load(STORAGE_KEY);
+    } catch (error) {
+      // IndexedDB indisponível (ex: bloqueado pelo navegador): usa o localStorage
+      console.error("Erro ao abrir o IndexedDB, usando o localStorage:", error);
+      storage = LocalStorageService;
+      storedPayload = storage.load(STORAGE_KEY);
+    }
+
+    if (storedPayload) {
+      try {
+        // Migra dados de versões anteriores (inclusive o array legado sem versão)
+        tabsData = migratePayload(storedPayload).tabs;
+      } catch (error) {
+        console.error("Erro ao carregar os dados salvos:", error);
+        // Dados de uma versão mais nova ou em formato irreconhecível: recusa a carga.
+        // Começar uma lista nova gravaria por cima (o IndexedDB apaga os registros ausentes)
+        renderLoadError(
+          error instanceof SchemaVersionError
+            ? error.message
+            : `Não foi possível ler os dados salvos: ${error.message} ` +
+                "Nada foi alterado; os dados continuam guardados no navegador."
+        );
+        return;
+      }
+    }
 
-    // Se não houver dados no localStorage, cria uma aba padrão
+    // Se não houver dados salvos, cria uma aba padrão
     if (tabsData.length === 0) {
-      const defaultTab = { id: "default_1", name: "Minha Lista", games: [] };
+      const defaultTab = {
+        id: "default_1",
+        name: "Minha Lista",
+        config: createDefaultTabConfig(),
+        games: [],
+      };
       tabsData.push(defaultTab);
     } else {
       // Normalização ao carregar: Garante que todos os objetos GameRow carregados
@@ -301,7 +1088,7 @@ document.addEventListener("DOMContentLoaded", () => {
       tabsData = tabsData.map((tab) => ({
         ...tab,
         games: tab.games.map((gameData) => {
-          const gameRow = GameRow.fromJSON(gameData);
+          const gameRow = GameRow.fromJSON(gameData, getTabConfig(tab));
           return gameRow.toJSON(); // Retorna o objeto normalizado pelo Model
         }),
       }));
@@ -312,8 +1099,14 @@ document.addEventListener("DOMContentLoaded", () => {
       activeTabId = tabsData[0].id;
     }
 
+    viewPrefs = LocalStorageService.load(VIEW_PREFS_KEY) || {};
+
+    // Sincronização com outras janelas a partir do estado carregado
+    liveSync = new LiveSync(handleRemoteChanges);
+    liveSync.start(tabsData);
+
     setupEventListeners();
-    updateUI(); // Primeira renderização da interface
+    updateUI(); // Primeira renderização da interface (e gravação no schema atual)
   }
 
   initialize();
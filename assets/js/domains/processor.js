@@ -6,122 +6,231 @@
  * processa e limpa nomes de arquivos/pastas de uma seleção de diretório
  * e renderiza o resultado final para cópia.
  *
+ * A limpeza é feita por regras editáveis (ver CleaningRules.js), gravadas no localStorage.
+ * Os arquivos com o mesmo nome limpo (discos, versões, .cue/.bin) formam um único jogo
+ * na lista de resultados (ver ReleaseGroups.js), com as etiquetas de região, idiomas e
+ * revisão extraídas dos nomes (ver ReleaseTags.js). A plataforma de cada arquivo é
+ * inferida das pastas e da extensão por uma tabela editável (ver PlatformMapping.js),
+ * também gravada no localStorage, e acompanha o jogo na cópia e no envio ao tracker.
+ *
+ * Os nomes processados também podem ser enviados a uma aba do Game Tracker: os dados
+ * são lidos e gravados no mesmo storage do tracker, e as janelas abertas do tracker
+ * recebem os jogos novos pela sincronização entre janelas (LiveSync).
+ *
  * Faz parte da arquitetura MPA como um Controller de Domínio (página separada).
  */
 
+import { UIManager } from "../components/UIManager.js"; // Componente da View (modais)
+import { AddToTrackerManager } from "../components/AddToTrackerManager.js"; // Componente da View (envio ao tracker)
+import { CleaningRulesEditor } from "../components/CleaningRulesEditor.js"; // Componente da View (regras de limpeza)
+import { ReleaseListManager } from "../components/ReleaseListManager.js"; // Componente da View (lista de resultados)
+import { PlatformMappingEditor } from "../components/PlatformMappingEditor.js"; // Componente da View (tabela de plataformas)
+import { LocalStorageService } from "../utils/LocalStorageService.js"; // Persistência alternativa (sem IndexedDB)
+import {
+  IndexedDbStorageService,
+  isIndexedDbAvailable,
+} from "../utils/IndexedDbStorageService.js"; // Persistência do tracker
+import { LiveSync } from "../utils/LiveSync.js"; // Avisa as janelas abertas do tracker
+import { generateId } from "../utils/IdGenerator.js"; // ID da aba nova
+import { getTabConfig, createDefaultTabConfig } from "../utils/TabConfig.js"; // Status/dificuldades da aba
+import { GameRow } from "../models/GameRow.js"; // Model Layer (entidade e validação)
+import { migratePayload, createEnvelope } from "../utils/SchemaMigrations.js"; // Formato persistido do tracker
+import {
+  normalizeCleaningRules,
+  createFileNameCleaner,
+} from "../utils/CleaningRules.js"; // Regras de limpeza dos nomes
+import {
+  groupReleases,
+  applyRegionPreference,
+} from "../utils/ReleaseGroups.js"; // Agrupamento dos arquivos por jogo
+import { parseRegionList } from "../utils/ReleaseTags.js"; // Etiquetas de região/idioma/revisão
+import {
+  normalizePlatformMappings,
+  createPlatformResolver,
+} from "../utils/PlatformMapping.js"; // Inferência da plataforma (pastas/extensões)
+
 document.addEventListener("DOMContentLoaded", () => {
   // 1. Referências de Elementos do DOM (View Layer)
   const DOM = {
     folderPicker: document.getElementById("folder-picker"), // Input oculto do tipo directory/webkitdirectory
     loadFolderBtn: document.getElementById("load-folder-btn"), // Botão que dispara o folderPicker
     resultsArea: document.getElementById("results-area"), // Container para os resultados
-    nameList: document.getElementById("name-list"), // Lista (ul) onde os nomes limpos são renderizados
+    nameList: document.getElementById("name-list"), // Lista (ul) onde os jogos (grupos de arquivos) são renderizados
     fileCountSpan: document.getElementById("file-count"), // Span que exibe a contagem de arquivos processados
     copyBtn: document.getElementById("copy-btn"), // Botão para copiar a lista para a área de transferência
     feedbackMessage: document.getElementById("feedback-message"), // Mensagens de status (Processando/Concluído)
     ignoreFolderInput: document.getElementById("ignore-folder-input"), // Input para listar pastas a serem ignoradas
+    preferredRegionsInput: document.getElementById("preferred-regions-input"), // Regiões preferidas (em ordem)
+    releaseFilters: document.getElementById("release-filters"), // Filtros por região/plataforma dos resultados
+    cleaningRulesEditor: document.getElementById("cleaning-rules-editor"), // Editor das regras de limpeza
+    platformMappingEditor: document.getElementById("platform-mapping-editor"), // Editor da tabela de plataformas
+    addToTrackerBtn: document.getElementById("add-to-tracker-btn"), // Botão que abre o envio ao Game Tracker
+    trackerModal: document.getElementById("tracker-modal"), // Modal de envio ao Game Tracker
+    addToTrackerBody: document.getElementById("add-to-tracker-body"), // Conteúdo do modal (AddToTrackerManager)
+    confirmTrackerBtn: document.getElementById("confirm-tracker-btn"),
+    cancelTrackerBtn: document.getElementById("cancel-tracker-btn"),
   };
 
-  // 2. Lógica de Limpeza de Nomes (Business Logic)
-  /**
-   * Aplica uma série de regras de limpeza ao nome do arquivo.
-   * Esta função centraliza a lógica de negócio para normalização de títulos.
-   * @param {string} rawName - O nome original do arquivo.
-   * @returns {string} O nome do arquivo limpo e normalizado.
-   */
-  function cleanFileName(rawName) {
-    let cleanedName = rawName;
-
-    // 0. Remove a substring "versão escrita" (case-insensitive)
-    cleanedName = cleanedName.replace(/\s*versão escrita\s*/gi, " ").trim();
+  const uiManager = new UIManager(DOM);
+  const addToTrackerManager = new AddToTrackerManager(DOM.addToTrackerBody);
+  const releaseListManager = new ReleaseListManager(
+    DOM.nameList,
+    DOM.releaseFilters
+  );
+  let folderName = ""; // Pasta selecionada (nome sugerido para a aba nova no tracker)
+  let selectedFiles = []; // Arquivos da última pasta (reprocessados quando as regras mudam)
+  let releaseGroups = []; // Resultado: [{ name, platform, files, discCount, totalSize, tags }]
 
-    // 1. Remove a extensão (ex: .zip, .rar, .exe)
-    cleanedName = cleanedName.replace(/\.[^/.]+$/, "");
+  // 2. Regras de Limpeza de Nomes (Business Logic)
+  const CLEANING_RULES_KEY = "processorCleaningRules"; // { rules, samples } no localStorage
+  const DEFAULT_SAMPLES = [
+    "Chrono Trigger (USA) [!] - Disc 1.sfc",
+    "Final Fantasy VII versão escrita v1.1.zip",
+    "Super   Metroid [SNES] (1994).smc",
+  ];
+  const storedRules = LocalStorageService.load(CLEANING_RULES_KEY) || {};
+  let cleaningRules = normalizeCleaningRules(storedRules.rules);
 
-    // 2. Remove padrões comuns de disco/versão no final do nome
-    // Ex: (v1.0), - Disc 1, (CD2), Parte A, v2, v3.1, etc.
-    const multiDiscVersionRegex =
-      /\s*[-–]?\s*(v\d+(\.\d+)*|\b(Disc|CD|Disk|Parte)\s*[\dA-Z]+)\s*$/i;
-    cleanedName = cleanedName.replace(multiDiscVersionRegex, "").trim();
-
-    // 3. Remove patterns entre colchetes [] ou parênteses ()
-    // Ex: [PC], (v1.0), [Raridades], (2020)
-    cleanedName = cleanedName.replace(/(\[[^\]]+\]|\([^)]+\))/g, "").trim();
+  const cleaningRulesEditor = new CleaningRulesEditor(
+    DOM.cleaningRulesEditor,
+    ({ rules, samples }) => {
+      const previousRules = JSON.stringify(cleaningRules);
+      cleaningRules = normalizeCleaningRules(rules);
+      try {
+        LocalStorageService.save(CLEANING_RULES_KEY, {
+          rules: cleaningRules,
+          samples,
+        });
+      } catch (error) {
+        // As regras continuam valendo até recarregar a página
+        console.error("Erro ao salvar as regras de limpeza:", error);
+        DOM.feedbackMessage.textContent = error.message;
+      }
+      // A lista exibida acompanha as regras (editar só os exemplos não reprocessa a pasta)
+      const rulesChanged = JSON.stringify(cleaningRules) !== previousRules;
+      if (rulesChanged && selectedFiles.length > 0) renderResults();
+    }
+  );
+  cleaningRulesEditor.setState({
+    rules: cleaningRules,
+    samples: Array.isArray(storedRules.samples)
+      ? storedRules.samples.map(String)
+      : DEFAULT_SAMPLES,
+  });
 
-    // 4. Limpa espaços múltiplos e remove espaços em branco extras nas pontas
-    cleanedName = cleanedName.replace(/\s+/g, " ").trim();
+  // Tabela de plataformas (pastas/extensões -> plataforma)
+  const PLATFORM_MAPPINGS_KEY = "processorPlatformMappings"; // Tabela no localStorage
+  let platformMappings = normalizePlatformMappings(
+    LocalStorageService.load(PLATFORM_MAPPINGS_KEY)
+  );
 
-    return cleanedName;
-  }
+  const platformMappingEditor = new PlatformMappingEditor(
+    DOM.platformMappingEditor,
+    (mappings) => {
+      const previousMappings = JSON.stringify(platformMappings);
+      platformMappings = mappings;
+      try {
+        LocalStorageService.save(PLATFORM_MAPPINGS_KEY, platformMappings);
+      } catch (error) {
+        // A tabela continua valendo até recarregar a página
+        console.error("Erro ao salvar a tabela de plataformas:", error);
+        DOM.feedbackMessage.textContent = error.message;
+      }
+      // A lista exibida acompanha a tabela (somente se ela mudou)
+      const mappingsChanged = JSON.stringify(platformMappings) !== previousMappings;
+      if (mappingsChanged && selectedFiles.length > 0) renderResults();
+    }
+  );
+  platformMappingEditor.setState(platformMappings);
 
   // 3. Processamento de Arquivos (Controller Logic)
   /**
-   * Lida com o evento 'change' do seletor de diretório, aplicando a lógica de
-   * filtragem de pastas, limpeza de nomes e renderização dos resultados.
-   *
-   * Utiliza um `Set` para garantir que apenas nomes únicos sejam listados (desduplicação).
+   * Lida com o evento 'change' do seletor de diretório: guarda os arquivos selecionados
+   * e renderiza os resultados.
    * @param {Event} event - O evento de mudança (change event) do input file.
    */
   function processFiles(event) {
     // Array.from é usado para converter o FileList em um Array
-    const files = Array.from(event.target.files);
+    selectedFiles = Array.from(event.target.files);
+    folderName =
+      selectedFiles.length > 0
+        ? selectedFiles[0].webkitRelativePath.split("/")[0]
+        : "";
+    renderResults();
+  }
+
+  /**
+   * Aplica a filtragem de pastas, a tabela de plataformas e as regras de limpeza aos
+   * arquivos selecionados, agrupa os arquivos por jogo e renderiza os resultados.
+   */
+  function renderResults() {
     // Processa a lista de pastas a serem ignoradas, separadas por vírgula
     const ignoredFolders = DOM.ignoreFolderInput.value
       .split(",")
       .map((s) => s.trim().toLowerCase())
       .filter((s) => s.length > 0);
 
-    const cleanedNames = new Set(); // Usa Set para garantir unicidade
-    let processedCount = 0;
-
-    // Limpeza e feedback inicial da View
-    DOM.nameList.innerHTML = "";
+    // Feedback inicial da View
     DOM.resultsArea.classList.remove("hidden");
     DOM.feedbackMessage.textContent = "Processando...";
 
-    files.forEach((file) => {
-      // webkitRelativePath é crucial para obter o caminho completo do arquivo dentro do diretório selecionado
-      const filePath = file.webkitRelativePath || file.name;
-      const pathParts = filePath.split("/");
-
-      // Lógica de Filtragem: Verifica se alguma parte do caminho corresponde a uma pasta ignorada
-      const shouldIgnore = ignoredFolders.some((folder) =>
-        pathParts.some((part) => part.toLowerCase().includes(folder))
-      );
+    const resolvePlatform = createPlatformResolver(platformMappings); // Tabela preparada uma vez
+    const files = selectedFiles
+      .map((file) => ({
+        name: file.name,
+        // webkitRelativePath é crucial para obter o caminho completo do arquivo dentro do diretório selecionado
+        path: file.webkitRelativePath || file.name,
+        size: file.size,
+      }))
+      .filter(({ path }) => {
+        // Lógica de Filtragem: Verifica se alguma parte do caminho corresponde a uma pasta ignorada
+        const pathParts = path.split("/");
+        return !ignoredFolders.some((folder) =>
+          pathParts.some((part) => part.toLowerCase().includes(folder))
+        );
+      })
+      .map((file) => ({ ...file, platform: resolvePlatform(file.path) }));
 
-      if (!shouldIgnore) {
-        const rawName = file.name;
-        const cleaned = cleanFileName(rawName); // Aplica a lógica de negócio
-        if (cleaned) {
-          cleanedNames.add(cleaned); // Adiciona ao Set (garantindo unicidade)
-          processedCount++; // Conta arquivos lidos (não a lista final, que é única)
-        }
-      }
-    });
+    // Aplica a lógica de negócio (regras compiladas uma vez) e agrupa por nome limpo
+    const grouped = groupReleases(files, createFileNameCleaner(cleaningRules));
+    // Dumps de várias regiões do mesmo jogo: fica só a região preferida
+    const { groups, discardedCount } = applyRegionPreference(
+      grouped,
+      parseRegionList(DOM.preferredRegionsInput.value)
+    );
+    releaseGroups = groups;
+    // Conta arquivos lidos (não a lista final, que é única)
+    const processedCount = grouped.reduce(
+      (count, group) => count + group.files.length,
+      0
+    );
 
     // Renderiza lista (View Update)
-    Array.from(cleanedNames) // Converte o Set de volta para Array
-      .sort() // Ordena alfabeticamente
-      .forEach((name) => {
-        const li = document.createElement("li");
-        li.textContent = name;
-        DOM.nameList.appendChild(li);
-      });
+    releaseListManager.setState(releaseGroups);
 
     // Atualiza o feedback final na View
     DOM.fileCountSpan.textContent = processedCount;
-    DOM.feedbackMessage.textContent = `Processamento concluído. ${processedCount} arquivos lidos e ${cleanedNames.size} nomes únicos encontrados.`;
+    DOM.feedbackMessage.textContent =
+      `Processamento concluído. ${processedCount} arquivos lidos e ${releaseGroups.length} nomes únicos encontrados.` +
+      (discardedCount
+        ? ` ${discardedCount} arquivos de outras regiões foram descartados (região preferida).`
+        : "");
   }
 
   // 4. Lógica de Copiar para Clipboard (I/O e View Feedback)
   /**
    * Copia todos os nomes de arquivos listados (cada um em uma nova linha) para a área de transferência do sistema.
+   * A plataforma, quando inferida, segue o nome separada por tabulação (colunas ao colar numa planilha).
    * Usa a API `navigator.clipboard.writeText` (assíncrona).
    */
   async function copyNamesToClipboard() {
-    // Mapeia os elementos da lista para obter o texto limpo
-    const names = Array.from(DOM.nameList.children).map((li) => li.textContent);
-    const textToCopy = names.join("\n");
+    // Um nome por jogo (grupo de arquivos) exibido pelo filtro
+    const lines = releaseListManager
+      .getVisibleGroups()
+      .map((group) =>
+        group.platform ? `${group.name}\t${group.platform}` : group.name
+      );
+    const textToCopy = lines.join("\n");
 
     if (textToCopy.length === 0) {
       alert("A lista está vazia!");
@@ -148,15 +257,134 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  // 5. Bindings de Eventos (Controller Initialization)
+  // 5. Envio ao Game Tracker (Persistência compartilhada com o tracker)
+  const TRACKER_STORAGE_KEY = "gameTrackerTabs"; // Mesma chave usada pelo game_tracker.js
+  // Mesmo service do tracker: IndexedDB; localStorage se o navegador não o oferecer
+  let trackerStorage = isIndexedDbAvailable()
+    ? IndexedDbStorageService
+    : LocalStorageService;
+  let liveSync = null; // Criado no primeiro envio
+
+  /**
+   * Lê as abas salvas pelo tracker, no formato atual e normalizadas pelo Model.
+   * Lança SchemaVersionError/SchemaFormatError se os dados não puderem ser lidos.
+   * @returns {Promise<Array>} As abas ([] se o tracker ainda não tiver dados).
+   */
+  async function loadTrackerTabs() {
+    let storedPayload = null;
+    try {
+      storedPayload = await trackerStorage.load(TRACKER_STORAGE_KEY);
+    } catch (error) {
+      console.error("Erro ao abrir o IndexedDB, usando o localStorage:", error);
+      trackerStorage = LocalStorageService;
+      storedPayload = trackerStorage.load(TRACKER_STORAGE_KEY);
+    }
+    if (!storedPayload) return [];
+
+    return migratePayload(storedPayload).tabs.map((tab) => ({
+      ...tab,
+      games: tab.games.map((gameData) =>
+        GameRow.fromJSON(gameData, getTabConfig(tab)).toJSON()
+      ),
+    }));
+  }
+
+  /** Abre o modal de envio com os jogos da lista e as abas atuais do tracker. */
+  async function openAddToTracker() {
+    const entries = releaseListManager
+      .getVisibleGroups()
+      .map(({ name, platform }) => ({ name, platform }));
+    if (entries.length === 0) {
+      alert("A lista está vazia!");
+      return;
+    }
+
+    let tabs;
+    try {
+      tabs = await loadTrackerTabs();
+    } catch (error) {
+      // Dados de outra versão ou corrompidos: não grava nada por cima deles
+      console.error("Erro ao ler os dados do Game Tracker:", error);
+      alert(`Não foi possível ler os dados do Game Tracker. ${error.message}`);
+      return;
+    }
+
+    addToTrackerManager.open({ entries, tabs, newTabName: folderName });
+    uiManager.openModal("tracker");
+  }
+
+  /**
+   * Cria um jogo (com os valores padrão da aba e a plataforma inferida) para cada nome
+   * marcado e grava os dados do tracker. As abas são lidas de novo para não sobrescrever
+   * alterações feitas no tracker enquanto o modal estava aberto.
+   */
+  async function confirmAddToTracker() {
+    const plan = addToTrackerManager.getPlan();
+    if (plan.games.length === 0) {
+      alert("Nenhum nome selecionado.");
+      return;
+    }
+
+    let tabs;
+    try {
+      tabs = await loadTrackerTabs();
+    } catch (error) {
+      console.error("Erro ao ler os dados do Game Tracker:", error);
+      alert(`Não foi possível ler os dados do Game Tracker. ${error.message}`);
+      return;
+    }
+
+    if (!liveSync) liveSync = new LiveSync(() => {}); // Só envia; não mantém estado próprio
+    liveSync.start(tabs);
+
+    let tab = plan.tabId && tabs.find((t) => t.id === plan.tabId);
+    if (!tab) {
+      tab = {
+        id: generateId(),
+        name: plan.tabName,
+        config: createDefaultTabConfig(),
+        games: [],
+      };
+      tabs.push(tab);
+    }
+
+    plan.games.forEach(({ title, platform }) => {
+      const newGame = GameRow.createDefault(tab.games.length + 1, getTabConfig(tab));
+      newGame.updateProperty("title", title);
+      if (platform) newGame.updateProperty("platform", platform);
+      tab.games.push(newGame.toJSON());
+    });
+
+    try {
+      await trackerStorage.save(TRACKER_STORAGE_KEY, createEnvelope(tabs));
+    } catch (error) {
+      console.error("Erro ao salvar os dados do Game Tracker:", error);
+      alert(error.message);
+      return;
+    }
+    liveSync.publish(tabs); // As janelas abertas do tracker recebem os jogos novos
+
+    uiManager.closeAllModals();
+    DOM.feedbackMessage.textContent = `${plan.games.length} jogos adicionados à aba "${tab.name}" do Game Tracker.`;
+  }
+
+  // 6. Bindings de Eventos (Controller Initialization)
   /** Configura os event listeners para iniciar o fluxo da aplicação. */
   function setupEventListeners() {
     // Clique no botão simula o clique no input de arquivo (hack comum para estilização)
     DOM.loadFolderBtn.addEventListener("click", () => DOM.folderPicker.click());
     // Ação principal: dispara o processamento de arquivos ao selecionar
     DOM.folderPicker.addEventListener("change", processFiles);
+    // A regra de região preferida é reaplicada à pasta já carregada
+    DOM.preferredRegionsInput.addEventListener("change", () => {
+      if (selectedFiles.length > 0) renderResults();
+    });
     // Ação secundária: copia o resultado
     DOM.copyBtn.addEventListener("click", copyNamesToClipboard);
+    // Envio dos nomes a uma aba do Game Tracker
+    DOM.addToTrackerBtn.addEventListener("click", openAddToTracker);
+    DOM.confirmTrackerBtn.addEventListener("click", confirmAddToTracker);
+    DOM.cancelTrackerBtn.addEventListener("click", () => uiManager.closeAllModals());
   }
 
   setupEventListeners();
@@ -10,10 +10,14 @@
 
 // Importa as constantes globais necessárias para a validação (Strategy Pattern)
 import {
-  GameStatus, // Array de status permitidos
   GameNote, // Array de notas permitidas
-  GameDifficulty, // Array de dificuldades permitidas
 } from "../utils/EnumOptionsTable.js";
+// Status e dificuldades permitidos são configuráveis por aba (padrão: EnumOptionsTable)
+import { getTabConfig } from "../utils/TabConfig.js";
+import { generateId } from "../utils/IdGenerator.js";
+
+const MAX_PLATFORM_LENGTH = 40;
+const MAX_TAG_LENGTH = 30;
 
 /**
  * Classe que representa uma linha de jogo na tabela.
@@ -27,16 +31,34 @@ export class GameRow {
    * @param {string} data.status - Status do jogo.
    * @param {string} data.note - Nota do jogo (0-10).
    * @param {string} data.difficulty - Dificuldade do jogo.
+   * @param {string} [data.startDate] - Data de início (YYYY-MM-DD) ou vazio.
+   * @param {string} [data.finishDate] - Data de término (YYYY-MM-DD) ou vazio.
+   * @param {number} [data.hoursPlayed] - Horas jogadas (>= 0).
+   * @param {string} [data.platform] - Plataforma (ex: "PS1", "SNES", "PC").
+   * @param {Array<string>} [data.tags] - Tags livres para classificação.
+   * @param {string} [data.updatedAt] - Data/hora ISO da última alteração (vazio em dados antigos).
+   * @param {{statuses: Array<string>, difficulties: Array<string>}} [config] - Configuração
+   * da aba (status e dificuldades permitidos). Se omitida, usa os valores padrão.
    */
-  constructor(data = {}) {
+  constructor(data = {}, config = null) {
+    // Configuração de validação da aba (não é serializada em toJSON)
+    this._config = config || getTabConfig(null);
     // 1. Construtor: Inicializa propriedades
-    // O ID é gerado automaticamente se não for fornecido (usando timestamp para unicidade simples).
-    this.id = data.id || Date.now().toString();
+    // O ID é gerado automaticamente se não for fornecido (timestamp + sequência, ver IdGenerator).
+    this.id = data.id || generateId();
     this.title = data.title || "";
     // Propriedades internas (privadas, conforme convenção _ prefixo) usam o primeiro valor padrão.
-    this._status = data.status || GameStatus[0];
+    this._status = data.status || this._config.statuses[0];
     this._note = data.note || GameNote[0];
-    this._difficulty = data.difficulty || GameDifficulty[0];
+    this._difficulty = data.difficulty || this._config.difficulties[0];
+    // Campos de acompanhamento: opcionais para manter compatibilidade com dados antigos.
+    this._startDate = data.startDate || "";
+    this._finishDate = data.finishDate || "";
+    this._hoursPlayed = data.hoursPlayed || 0;
+    this._platform = data.platform || "";
+    this._tags = Array.isArray(data.tags) ? [...data.tags] : [];
+    // Usado na mesclagem de importações ("o mais recente vence")
+    this.updatedAt = data.updatedAt || "";
   }
 
   // --- Getters e Setters com validação (Encapsulamento) ---
@@ -109,15 +131,132 @@ export class GameRow {
     }
   }
 
+  /**
+   * Getter para a data de início do jogo.
+   * @returns {string} Data no formato YYYY-MM-DD ou string vazia.
+   */
+  get startDate() {
+    return this._startDate;
+  }
+
+  /**
+   * Setter para a data de início.
+   * Rejeita datas mal formatadas ou posteriores à data de término.
+   * @param {string} value - Nova data de início (YYYY-MM-DD) ou vazio.
+   */
+  set startDate(value) {
+    const date = value || "";
+    if (this.isValidDate(date) && this.isValidDateRange(date, this._finishDate)) {
+      this._startDate = date;
+    } else {
+      console.warn(
+        `Data de início inválida: "${value}". Mantendo valor anterior: "${this._startDate}"`
+      );
+    }
+  }
+
+  /**
+   * Getter para a data de término do jogo.
+   * @returns {string} Data no formato YYYY-MM-DD ou string vazia.
+   */
+  get finishDate() {
+    return this._finishDate;
+  }
+
+  /**
+   * Setter para a data de término.
+   * Rejeita datas mal formatadas ou anteriores à data de início.
+   * @param {string} value - Nova data de término (YYYY-MM-DD) ou vazio.
+   */
+  set finishDate(value) {
+    const date = value || "";
+    if (this.isValidDate(date) && this.isValidDateRange(this._startDate, date)) {
+      this._finishDate = date;
+    } else {
+      console.warn(
+        `Data de término inválida: "${value}". Mantendo valor anterior: "${this._finishDate}"`
+      );
+    }
+  }
+
+  /**
+   * Getter para as horas jogadas.
+   * @returns {number}
+   */
+  get hoursPlayed() {
+    return this._hoursPlayed;
+  }
+
+  /**
+   * Setter para as horas jogadas. Aceita números ou strings numéricas (ex: vindas de um input).
+   * @param {number|string} value - Novo total de horas.
+   */
+  set hoursPlayed(value) {
+    if (this.isValidHoursPlayed(value)) {
+      this._hoursPlayed = Number(value);
+    } else {
+      console.warn(
+        `Horas jogadas inválidas: "${value}". Mantendo valor anterior: "${this._hoursPlayed}"`
+      );
+    }
+  }
+
+  /**
+   * Getter para a plataforma do jogo.
+   * @returns {string}
+   */
+  get platform() {
+    return this._platform;
+  }
+
+  /**
+   * Setter para a plataforma. Remove espaços extras antes de validar.
+   * @param {string} value - Nova plataforma (vazio para "não informada").
+   */
+  set platform(value) {
+    const platform = String(value ?? "").trim();
+    if (this.isValidPlatform(platform)) {
+      this._platform = platform;
+    } else {
+      console.warn(
+        `Plataforma inválida: "${value}". Mantendo valor anterior: "${this._platform}"`
+      );
+    }
+  }
+
+  /**
+   * Getter para as tags do jogo.
+   * @returns {Array<string>}
+   */
+  get tags() {
+    return this._tags;
+  }
+
+  /**
+   * Setter para as tags. Aceita um array ou uma string separada por vírgulas,
+   * normalizando via `GameRow.normalizeTags` (sem vazios e sem duplicatas).
+   * @param {Array<string>|string} value - Novas tags.
+   */
+  set tags(value) {
+    const tags = GameRow.normalizeTags(value);
+    if (this.isValidTags(tags)) {
+      this._tags = tags;
+    } else {
+      console.warn(
+        `Tags inválidas: "${value}". Mantendo valor anterior: "${this._tags.join(", ")}"`
+      );
+    }
+  }
+
   // --- Métodos de validação (Strategy Pattern) ---
 
   /**
-   * Valida se o status está na lista de valores permitidos (GameStatus).
+   * Valida se o status está na lista de valores permitidos pela configuração da aba.
    * @param {string} status - Status a validar
    * @returns {boolean}
    */
   isValidStatus(status) {
-    return GameStatus.includes(status);
+    return this._config.statuses.includes(status);
   }
 
   /**
@@ -131,54 +270,197 @@ export class GameRow {
   }
 
   /**
-   * Valida se a dificuldade está na lista de valores permitidos (GameDifficulty).
+   * Valida se a dificuldade está na escala permitida pela configuração da aba.
    * @param {string} difficulty - Dificuldade a validar
    * @returns {boolean}
    */
   isValidDifficulty(difficulty) {
-    return GameDifficulty.includes(difficulty);
+    return this._config.difficulties.includes(difficulty);
+  }
+
+  /**
+   * Valida uma data opcional no formato ISO (YYYY-MM-DD).
+   * String vazia é aceita e significa "não informada".
+   * @param {string} date - Data a validar
+   * @returns {boolean}
+   */
+  isValidDate(date) {
+    if (date === "") return true;
+    if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return false;
+    }
+    // Rejeita datas inexistentes (ex: 2024-02-31), que o Date "corrige" silenciosamente.
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return (
+      !Number.isNaN(parsed.getTime()) &&
+      parsed.toISOString().slice(0, 10) === date
+    );
+  }
+
+  /**
+   * Valida a regra de negócio: a data de término não pode ser anterior à de início.
+   * Se uma das datas não for informada, a regra não se aplica.
+   * @param {string} startDate - Data de início (YYYY-MM-DD) ou vazio
+   * @param {string} finishDate - Data de término (YYYY-MM-DD) ou vazio
+   * @returns {boolean}
+   */
+  isValidDateRange(startDate, finishDate) {
+    if (!startDate || !finishDate) return true;
+    // Datas ISO podem ser comparadas lexicograficamente.
+    return finishDate >= startDate;
+  }
+
+  /**
+   * Valida se as horas jogadas são um número finito e não negativo.
+   * @param {number|string} hours - Horas a validar
+   * @returns {boolean}
+   */
+  isValidHoursPlayed(hours) {
+    if (hours === null || hours === undefined || String(hours).trim() === "") {
+      return false;
+    }
+    const value = Number(hours);
+    return Number.isFinite(value) && value >= 0;
+  }
+
+  /**
+   * Valida a plataforma: texto livre opcional de até MAX_PLATFORM_LENGTH caracteres.
+   * @param {string} platform - Plataforma a validar
+   * @returns {boolean}
+   */
+  isValidPlatform(platform) {
+    return (
+      typeof platform === "string" && platform.length <= MAX_PLATFORM_LENGTH
+    );
+  }
+
+  /**
+   * Valida as tags: array de strings não vazias com até MAX_TAG_LENGTH caracteres.
+   * @param {Array<string>} tags - Tags a validar
+   * @returns {boolean}
+   */
+  isValidTags(tags) {
+    return (
+      Array.isArray(tags) &&
+      tags.every(
+        (tag) =>
+          typeof tag === "string" &&
+          tag.trim().length > 0 &&
+          tag.length <= MAX_TAG_LENGTH
+      )
+    );
   }
 
   /**
    * Validação completa de todos os campos do jogo.
    * Implementa o princípio de early return na arquitetura, embora esta versão retorne um objeto de erros.
-   * @returns {Object} Objeto com o estado de validade (`isValid`) e um array de mensagens de `errors`.
+   * @returns {{isValid: boolean, errors: Array<string>, fieldErrors: Array<{field: string, message: string}>}}
+   *   Estado de validade, mensagens de `errors` e as mesmas mensagens associadas ao campo
+   *   (`fieldErrors`, usado no relatório de importação).
    */
   validate() {
-    const errors = [];
+    const fieldErrors = [];
+    const addError = (field, message) => fieldErrors.push({ field, message });
 
     // Validação de presença (Título)
     if (!this.title || this.title.trim().length === 0) {
-      errors.push("Título não pode estar vazio");
+      addError("title", "Título não pode estar vazio");
     }
 
     // Validação de enumeração (usando os métodos de estratégia)
     if (!this.isValidStatus(this._status)) {
-      errors.push(`Status "${this._status}" é inválido`);
+      addError("status", `Status "${this._status}" é inválido`);
     }
 
     if (!this.isValidNote(this._note)) {
-      errors.push(`Nota "${this._note}" é inválida`);
+      addError("note", `Nota "${this._note}" é inválida`);
     }
 
     if (!this.isValidDifficulty(this._difficulty)) {
-      errors.push(`Dificuldade "${this._difficulty}" é inválida`);
+      addError("difficulty", `Dificuldade "${this._difficulty}" é inválida`);
+    }
+
+    if (!this.isValidDate(this._startDate)) {
+      addError("startDate", `Data de início "${this._startDate}" é inválida`);
+    }
+
+    if (!this.isValidDate(this._finishDate)) {
+      addError("finishDate", `Data de término "${this._finishDate}" é inválida`);
+    }
+
+    if (!this.isValidDateRange(this._startDate, this._finishDate)) {
+      addError(
+        "finishDate",
+        "Data de término não pode ser anterior à data de início"
+      );
+    }
+
+    if (!this.isValidHoursPlayed(this._hoursPlayed)) {
+      addError("hoursPlayed", `Horas jogadas "${this._hoursPlayed}" são inválidas`);
+    }
+
+    if (!this.isValidPlatform(this._platform)) {
+      addError("platform", `Plataforma "${this._platform}" é inválida`);
+    }
+
+    if (!this.isValidTags(this._tags)) {
+      addError("tags", "Tags devem ser textos não vazios");
     }
 
     return {
-      isValid: errors.length === 0,
-      errors,
+      isValid: fieldErrors.length === 0,
+      errors: fieldErrors.map((error) => error.message),
+      fieldErrors,
     };
   }
 
+  /**
+   * Substitui os campos inválidos pelos valores padrão (mesmos padrões de createDefault).
+   * Não altera `updatedAt`: é uma correção de dados importados, não uma edição do usuário.
+   * @returns {Array<string>} Campos que foram substituídos.
+   */
+  coerceInvalidFields() {
+    const defaults = {
+      title: "Sem título",
+      status: this._config.statuses[0],
+      note: GameNote[0],
+      difficulty: this._config.difficulties[0],
+      startDate: "",
+      finishDate: "",
+      hoursPlayed: 0,
+      platform: "",
+      tags: [],
+    };
+
+    const fields = [
+      ...new Set(this.validate().fieldErrors.map((error) => error.field)),
+    ];
+    fields.forEach((field) => {
+      if (field === "title") this.title = defaults.title;
+      else this[`_${field}`] = defaults[field];
+    });
+    return fields;
+  }
+
   /**
    * Atualiza uma propriedade específica do jogo, usando os setters para garantir a validação.
    * @param {string} property - Nome da propriedade (ex: 'title', 'status').
    * @param {any} value - Novo valor.
-   * @returns {boolean} True se a propriedade for válida e atualizada, False caso contrário.
+   * @returns {boolean} True se o setter aceitou um valor diferente do atual; False se a
+   *   propriedade não existe, o valor foi rejeitado pela validação ou é igual ao atual.
    */
   updateProperty(property, value) {
-    const validProperties = ["title", "status", "note", "difficulty"];
+    const validProperties = [
+      "title",
+      "status",
+      "note",
+      "difficulty",
+      "startDate",
+      "finishDate",
+      "hoursPlayed",
+      "platform",
+      "tags",
+    ];
 
     if (!validProperties.includes(property)) {
       console.warn(`Propriedade "${property}" não existe`);
@@ -186,7 +468,12 @@ export class GameRow {
     }
 
     // Usa os setters (this[property] = value) para garantir validação e lógica.
+    const previous = JSON.stringify(this[property]);
     this[property] = value;
+
+    // Registra a data da alteração somente se o setter aceitou um valor diferente
+    if (JSON.stringify(this[property]) === previous) return false;
+    this.updatedAt = new Date().toISOString();
     return true;
   }
 
@@ -201,40 +488,75 @@ export class GameRow {
       status: this._status, // Usa a propriedade privada para garantir o valor atualizado
       note: this._note,
       difficulty: this._difficulty,
+      startDate: this._startDate,
+      finishDate: this._finishDate,
+      hoursPlayed: this._hoursPlayed,
+      platform: this._platform,
+      tags: [...this._tags],
+      updatedAt: this.updatedAt,
     };
   }
 
   /**
-   * Cria uma cópia (clone) completa da instância GameRow.
+   * Cria uma cópia (clone) da instância GameRow com um NOVO ID (ex: copiar para outra aba).
+   * @param {{statuses: Array<string>, difficulties: Array<string>}} [config] - Configuração
+   * da aba da cópia. Se omitida, usa a mesma configuração do original.
    * @returns {GameRow} Nova instância GameRow.
    */
-  clone() {
-    return new GameRow(this.toJSON());
+  clone(config = null) {
+    return new GameRow({ ...this.toJSON(), id: null }, config || this._config);
   }
 
   // --- Métodos Estáticos (Factory Pattern) ---
 
+  /**
+   * Normaliza uma lista de tags: remove espaços extras, descarta vazios e
+   * elimina duplicatas sem diferenciar maiúsculas/minúsculas (mantém a primeira grafia).
+   * @param {Array<string>|string} value - Array de tags ou string separada por vírgulas.
+   * @returns {Array<string>}
+   */
+  static normalizeTags(value) {
+    const rawTags = Array.isArray(value) ? value : String(value ?? "").split(",");
+    const seen = new Set();
+
+    return rawTags
+      .map((tag) => String(tag ?? "").replace(/\s+/g, " ").trim())
+      .filter((tag) => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
   /**
    * Cria uma instância de GameRow a partir de dados brutos carregados (ex: do LocalStorageService).
    * @param {Object} data - Dados do jogo.
+   * @param {Object} [config] - Configuração da aba (ver TabConfig.getTabConfig).
    * @returns {GameRow}
    */
-  static fromJSON(data) {
-    return new GameRow(data);
+  static fromJSON(data, config = null) {
+    return new GameRow(data, config);
   }
 
   /**
    * Cria um novo GameRow com valores padrão definidos.
    * @param {number} index - Índice para criar um título padrão único (ex: "Novo Jogo 1").
+   * @param {Object} [config] - Configuração da aba (ver TabConfig.getTabConfig).
    * @returns {GameRow}
    */
-  static createDefault(index = 1) {
-    return new GameRow({
-      title: `Novo Jogo ${index}`,
-      status: GameStatus[0], // "Não Iniciado"
-      note: GameNote[0], // "0"
-      difficulty: GameDifficulty[0], // "F"
-    });
+  static createDefault(index = 1, config = null) {
+    const { statuses, difficulties } = config || getTabConfig(null);
+    return new GameRow(
+      {
+        title: `Novo Jogo ${index}`,
+        status: statuses[0], // Padrão: "Não Iniciado"
+        note: GameNote[0], // "0"
+        difficulty: difficulties[0], // Padrão: "F"
+        updatedAt: new Date().toISOString(),
+      },
+      config
+    );
   }
 
   /**
@@ -242,6 +564,6 @@ export class GameRow {
    * @returns {string}
    */
   toString() {
-    return `GameRow(id=${this.id}, title="${this.title}", status="${this._status}", note=${this._note}, difficulty="${this._difficulty}")`;
+    return `GameRow(id=${this.id}, title="${this.title}", status="${this._status}", note=${this._note}, difficulty="${this._difficulty}", startDate="${this._startDate}", finishDate="${this._finishDate}", hoursPlayed=${this._hoursPlayed}, platform="${this._platform}", tags=[${this._tags.join(", ")}])`;
   }
 }
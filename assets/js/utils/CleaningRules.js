@@ -0,0 +1,154 @@
+// assets/js/utils/CleaningRules.js
+
+/**
+ * @fileoverview Regras de limpeza dos nomes de arquivos do Processador: uma lista
+ * ordenada de regras "localizar/substituir" (expressões regulares), cada uma podendo
+ * ser ativada ou desativada. As regras ativas são aplicadas em sequência e o resultado
+ * de cada passo tem os espaços das pontas removidos.
+ *
+ * As regras embutidas (o antigo `cleanFileName`) formam o conjunto padrão.
+ *
+ * Funções puras (sem DOM/storage), usadas pelo Controller (processor.js) e pelo
+ * CleaningRulesEditor (pré-visualização).
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+/**
+ * Regras padrão, na ordem em que são aplicadas.
+ * @type {ReadonlyArray<{id: string, name: string, pattern: string, flags: string, replacement: string, enabled: boolean}>}
+ */
+const DEFAULT_CLEANING_RULES = Object.freeze([
+  {
+    id: "default-written-version",
+    name: 'Remover "versão escrita"',
+    pattern: "\\s*versão escrita\\s*",
+    flags: "gi",
+    replacement: " ",
+    enabled: true,
+  },
+  {
+    id: "default-extension",
+    name: "Remover a extensão (.zip, .rar, .exe...)",
+    pattern: "\\.[^/.]+$",
+    flags: "",
+    replacement: "",
+    enabled: true,
+  },
+  {
+    id: "default-disc-version",
+    name: "Remover disco/versão no final (v1.0, Disc 1, CD2, Parte A)",
+    pattern: "\\s*[-–]?\\s*(v\\d+(\\.\\d+)*|\\b(Disc|CD|Disk|Parte)\\s*[\\dA-Z]+)\\s*$",
+    flags: "i",
+    replacement: "",
+    enabled: true,
+  },
+  {
+    id: "default-brackets",
+    name: "Remover conteúdo entre [] e ()",
+    pattern: "(\\[[^\\]]+\\]|\\([^)]+\\))",
+    flags: "g",
+    replacement: "",
+    enabled: true,
+  },
+  {
+    id: "default-spaces",
+    name: "Juntar espaços múltiplos",
+    pattern: "\\s+",
+    flags: "g",
+    replacement: " ",
+    enabled: true,
+  },
+]);
+
+/**
+ * Cria o conjunto padrão (cópias, para que edições não alterem as regras embutidas).
+ * @returns {Array<Object>}
+ */
+export function createDefaultCleaningRules() {
+  return DEFAULT_CLEANING_RULES.map((rule) => ({ ...rule }));
+}
+
+/**
+ * Normaliza regras salvas (ou editadas): completa campos ausentes e descarta entradas
+ * que não são objetos. Sem uma lista válida, retorna o conjunto padrão.
+ * @param {any} rules
+ * @returns {Array<{id: string, name: string, pattern: string, flags: string, replacement: string, enabled: boolean}>}
+ */
+export function normalizeCleaningRules(rules) {
+  if (!Array.isArray(rules)) return createDefaultCleaningRules();
+
+  return rules
+    .filter((rule) => rule && typeof rule === "object")
+    .map((rule, index) => ({
+      id: String(rule.id || `rule-${index + 1}`),
+      name: String(rule.name ?? ""),
+      pattern: String(rule.pattern ?? ""),
+      flags: String(rule.flags ?? ""),
+      replacement: String(rule.replacement ?? ""),
+      enabled: rule.enabled !== false,
+    }));
+}
+
+/**
+ * Compila o padrão de uma regra.
+ * @param {{pattern: string, flags: string}} rule
+ * @returns {RegExp}
+ * @throws {SyntaxError} Se o padrão ou as flags forem inválidos.
+ */
+export function compileCleaningRule(rule) {
+  if (!rule.pattern) {
+    throw new SyntaxError("O padrão não pode estar vazio.");
+  }
+  return new RegExp(rule.pattern, rule.flags);
+}
+
+/**
+ * Compila as regras ativas. Regras inválidas ficam com `error` e são ignoradas na limpeza.
+ * @param {Array<Object>} rules
+ * @returns {Array<{rule: Object, regex: RegExp | null, error: string | null}>}
+ */
+function compileEnabledRules(rules) {
+  return rules
+    .filter((rule) => rule.enabled)
+    .map((rule) => {
+      try {
+        return { rule, regex: compileCleaningRule(rule), error: null };
+      } catch (error) {
+        return { rule, regex: null, error: error.message };
+      }
+    });
+}
+
+/**
+ * Cria a função de limpeza para um conjunto de regras (compiladas uma única vez,
+ * para processar pastas grandes).
+ * @param {Array<Object>} rules
+ * @returns {(rawName: string) => string}
+ */
+export function createFileNameCleaner(rules) {
+  const compiled = compileEnabledRules(rules).filter(({ regex }) => regex);
+  return (rawName) =>
+    compiled.reduce(
+      (name, { rule, regex }) => name.replace(regex, rule.replacement).trim(),
+      rawName
+    );
+}
+
+/**
+ * Aplica as regras passo a passo (pré-visualização).
+ * @param {string} rawName
+ * @param {Array<Object>} rules
+ * @returns {{steps: Array<{rule: Object, value: string, changed: boolean, error: string | null}>, result: string}}
+ */
+export function traceCleaningRules(rawName, rules) {
+  let name = rawName;
+  const steps = compileEnabledRules(rules).map(({ rule, regex, error }) => {
+    if (!regex) return { rule, value: name, changed: false, error };
+    const value = name.replace(regex, rule.replacement).trim();
+    const changed = value !== name;
+    name = value;
+    return { rule, value, changed, error: null };
+  });
+  return { steps, result: name };
+}
@@ -0,0 +1,135 @@
+// assets/js/utils/CollectionStats.js
+
+/**
+ * @fileoverview Estatísticas da coleção (por aba ou de todas as abas): contagem por
+ * status, distribuição das notas, nota média por dificuldade e percentual de conclusão.
+ *
+ * Um jogo está "concluído" quando tem um dos status marcados como concluídos na
+ * configuração da sua aba ("Zerado" no padrão). Jogos com nota "0" (padrão de um jogo
+ * novo) são considerados sem nota e ficam fora das médias. Como cada aba tem sua
+ * configuração, as estatísticas de várias abas juntam as listas de status/dificuldades
+ * na ordem em que aparecem.
+ *
+ * Funções puras (sem DOM), usadas pelo StatsManager. Faz parte da Camada Service/Utils.
+ */
+
+import { GameNote } from "./EnumOptionsTable.js";
+import { getTabConfig } from "./TabConfig.js";
+
+// Nota de um jogo ainda não avaliado (fora das médias)
+const UNRATED_NOTE = 0;
+
+/**
+ * @typedef {Object} CollectionStats
+ * @property {number} total - Quantidade de jogos.
+ * @property {number} completed - Jogos com um status concluído da aba.
+ * @property {number} completionPercent - 0 a 100 (0 sem jogos).
+ * @property {number} rated - Jogos com nota (diferente de "0").
+ * @property {number | null} averageNote - Nota média dos jogos com nota (null sem nenhum).
+ * @property {Array<{value: string, count: number}>} byStatus - Na ordem configurada.
+ * @property {Array<{value: string, count: number}>} noteDistribution - Notas de 0 a 10.
+ * @property {Array<{value: string, count: number, rated: number, average: number | null}>} averageNoteByDifficulty
+ */
+
+/**
+ * Soma 1 ao contador `value` de um Map, criando-o se necessário.
+ * @param {Map<string, number>} counts
+ * @param {string} value
+ */
+function increment(counts, value) {
+  counts.set(value, (counts.get(value) || 0) + 1);
+}
+
+/**
+ * Arredonda para uma casa decimal.
+ * @param {number} value
+ * @returns {number}
+ */
+function roundOne(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Calcula as estatísticas dos jogos de um conjunto de abas.
+ * @param {Array} tabs - Abas ({ id, name, games, config? }).
+ * @returns {CollectionStats}
+ */
+export function computeStats(tabs) {
+  const statusCounts = new Map();
+  const difficultyNotes = new Map(); // dificuldade -> { count, rated, sum }
+  const noteCounts = new Map(GameNote.map((note) => [note, 0]));
+  let total = 0;
+  let completed = 0;
+  let rated = 0;
+  let noteSum = 0;
+
+  tabs.forEach((tab) => {
+    const { statuses, completedStatuses, difficulties } = getTabConfig(tab);
+    // Valores configurados aparecem mesmo sem jogos (contagem 0)
+    statuses.forEach((status) => {
+      if (!statusCounts.has(status)) statusCounts.set(status, 0);
+    });
+    difficulties.forEach((difficulty) => {
+      if (!difficultyNotes.has(difficulty)) {
+        difficultyNotes.set(difficulty, { count: 0, rated: 0, sum: 0 });
+      }
+    });
+
+    tab.games.forEach((game) => {
+      const note = Number(game.note) || 0;
+      const isRated = note !== UNRATED_NOTE;
+      total += 1;
+      if (isRated) {
+        rated += 1;
+        noteSum += note;
+      }
+      if (completedStatuses.includes(game.status)) completed += 1;
+      increment(statusCounts, game.status);
+      if (noteCounts.has(String(game.note))) increment(noteCounts, String(game.note));
+
+      if (!difficultyNotes.has(game.difficulty)) {
+        difficultyNotes.set(game.difficulty, { count: 0, rated: 0, sum: 0 });
+      }
+      const entry = difficultyNotes.get(game.difficulty);
+      entry.count += 1;
+      if (isRated) {
+        entry.rated += 1;
+        entry.sum += note;
+      }
+    });
+  });
+
+  return {
+    total,
+    completed,
+    completionPercent: total ? roundOne((completed / total) * 100) : 0,
+    rated,
+    averageNote: rated ? roundOne(noteSum / rated) : null,
+    byStatus: [...statusCounts].map(([value, count]) => ({ value, count })),
+    noteDistribution: [...noteCounts].map(([value, count]) => ({ value, count })),
+    averageNoteByDifficulty: [...difficultyNotes].map(
+      ([value, { count, rated: ratedCount, sum }]) => ({
+        value,
+        count,
+        rated: ratedCount,
+        average: ratedCount ? roundOne(sum / ratedCount) : null,
+      })
+    ),
+  };
+}
+
+/**
+ * Estatísticas de todas as abas juntas e de cada aba.
+ * @param {Array} tabs
+ * @returns {{global: CollectionStats, tabs: Array<{id: string, name: string, stats: CollectionStats}>}}
+ */
+export function computeCollectionStats(tabs) {
+  return {
+    global: computeStats(tabs),
+    tabs: tabs.map((tab) => ({
+      id: tab.id,
+      name: tab.name,
+      stats: computeStats([tab]),
+    })),
+  };
+}
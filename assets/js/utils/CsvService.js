@@ -0,0 +1,296 @@
+// assets/js/utils/CsvService.js
+
+/**
+ * @fileoverview Leitura e escrita de CSV para importação/exportação de jogos.
+ *
+ * - Suporta aspas (inclusive aspas escapadas `""` e quebras de linha dentro de campos),
+ *   BOM UTF-8 e os separadores `;` (Excel pt-BR) e `,`.
+ * - Converte linhas CSV para o formato de dados do GameRow (datas dd/mm/aaaa,
+ *   decimais com vírgula), sem validar: a validação fica com o Model.
+ *
+ * Funções puras (sem DOM). Faz parte da Camada Service/Utils.
+ */
+
+const UTF8_BOM = "\uFEFF";
+
+/**
+ * Colunas do CSV exportado e campos aceitos na importação (ordem de exportação).
+ * `field` é a propriedade do GameRow ("tab" representa o nome da aba).
+ * `aliases` são cabeçalhos reconhecidos automaticamente (normalizados, sem acentos).
+ * @type {Array<{field: string, header: string, aliases: Array<string>}>}
+ */
+export const CSV_COLUMNS = [
+  { field: "tab", header: "Aba", aliases: ["aba", "tab", "lista", "list"] },
+  {
+    field: "title",
+    header: "Título",
+    aliases: ["titulo", "title", "nome", "name", "jogo", "game"],
+  },
+  { field: "status", header: "Status", aliases: ["status", "situacao"] },
+  {
+    field: "note",
+    header: "Nota",
+    aliases: ["nota", "note", "score", "rating"],
+  },
+  {
+    field: "difficulty",
+    header: "Dificuldade",
+    aliases: ["dificuldade", "difficulty", "diff"],
+  },
+  {
+    field: "platform",
+    header: "Plataforma",
+    aliases: ["plataforma", "platform", "console", "sistema"],
+  },
+  {
+    field: "tags",
+    header: "Tags",
+    aliases: ["tags", "tag", "etiquetas", "categorias"],
+  },
+  {
+    field: "startDate",
+    header: "Início",
+    aliases: ["inicio", "data de inicio", "start", "startdate", "started"],
+  },
+  {
+    field: "finishDate",
+    header: "Término",
+    aliases: [
+      "termino",
+      "fim",
+      "data de termino",
+      "finish",
+      "finishdate",
+      "finished",
+    ],
+  },
+  {
+    field: "hoursPlayed",
+    header: "Horas",
+    aliases: ["horas", "horas jogadas", "hours", "hoursplayed", "tempo"],
+  },
+];
+
+/**
+ * Normaliza um cabeçalho para comparação: minúsculas, sem acentos e sem espaços extras.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeHeader(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[_\s]+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Detecta o separador pela primeira linha (fora de aspas): `;` ou `,`.
+ * @param {string} text - Conteúdo CSV (sem BOM).
+ * @returns {";" | ","}
+ */
+export function detectSeparator(text) {
+  let semicolons = 0;
+  let commas = 0;
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === "\n" || char === "\r")) break;
+    else if (!inQuotes && char === ";") semicolons++;
+    else if (!inQuotes && char === ",") commas++;
+  }
+
+  return semicolons >= commas && semicolons > 0 ? ";" : ",";
+}
+
+/**
+ * Faz o parse de um texto CSV.
+ *
+ * @param {string} text - Conteúdo do arquivo.
+ * @param {";" | "," | null} [separator] - Separador; detectado automaticamente se omitido.
+ * @returns {{separator: string, headers: Array<string>, rows: Array<Array<string>>}}
+ *   A primeira linha é tratada como cabeçalho; linhas totalmente vazias são ignoradas.
+ */
+export function parseCsv(text, separator = null) {
+  const content = String(text || "").replace(/^\uFEFF/, "");
+  const sep = separator || detectSeparator(content);
+
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"'; // Aspas escapadas ("")
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === sep) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++; // CRLF
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  // Último registro (arquivo sem quebra de linha final)
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) =>
+    r.some((value) => value.trim() !== "")
+  );
+  const [headers = [], ...rows] = nonEmpty;
+
+  return { separator: sep, headers: headers.map((h) => h.trim()), rows };
+}
+
+/**
+ * Escapa um valor para CSV (aspas quando contém separador, aspas, quebra de linha
+ * ou espaços nas pontas).
+ * @param {any} value
+ * @param {string} separator
+ * @returns {string}
+ */
+function escapeCsvValue(value, separator) {
+  const text = String(value ?? "");
+  if (
+    text.includes(separator) ||
+    text.includes('"') ||
+    /[\r\n]/.test(text) ||
+    text !== text.trim()
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serializa linhas para CSV.
+ * @param {Array<Array<any>>} rows - Linhas (a primeira normalmente é o cabeçalho).
+ * @param {string} [separator=";"]
+ * @param {boolean} [withBom=true] - Prefixa o BOM UTF-8 (necessário para o Excel reconhecer acentos).
+ * @returns {string}
+ */
+export function toCsv(rows, separator = ";", withBom = true) {
+  const body = rows
+    .map((row) =>
+      row.map((value) => escapeCsvValue(value, separator)).join(separator)
+    )
+    .join("\r\n");
+  return (withBom ? UTF8_BOM : "") + body;
+}
+
+/**
+ * Converte abas em CSV (uma linha por jogo, com a coluna "Aba").
+ * Com `;` (Excel pt-BR) as horas usam vírgula decimal.
+ *
+ * @param {Array} tabs - Abas a exportar.
+ * @param {string} [separator=";"]
+ * @returns {string}
+ */
+export function tabsToCsv(tabs, separator = ";") {
+  const header = CSV_COLUMNS.map((column) => column.header);
+  const rows = [];
+
+  tabs.forEach((tab) =>
+    tab.games.forEach((game) => {
+      rows.push(
+        CSV_COLUMNS.map(({ field }) => {
+          if (field === "tab") return tab.name;
+          if (field === "tags") return (game.tags || []).join(", ");
+          if (field === "hoursPlayed") {
+            const hours = String(game.hoursPlayed ?? 0);
+            return separator === ";" ? hours.replace(".", ",") : hours;
+          }
+          return game[field] ?? "";
+        })
+      );
+    })
+  );
+
+  return toCsv([header, ...rows], separator);
+}
+
+/**
+ * Sugere o mapeamento entre colunas do CSV e campos do GameRow pelos cabeçalhos.
+ * @param {Array<string>} headers - Cabeçalhos do CSV.
+ * @returns {Object<string, number>} `campo -> índice da coluna` (-1 quando não encontrado).
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  CSV_COLUMNS.forEach(({ field, aliases }) => {
+    mapping[field] = normalized.findIndex((header) => aliases.includes(header));
+  });
+
+  return mapping;
+}
+
+/**
+ * Converte datas dd/mm/aaaa (ou dd-mm-aaaa) para o formato ISO do Model.
+ * Outros formatos são mantidos (e serão rejeitados pela validação, se inválidos).
+ * @param {string} value
+ * @returns {string}
+ */
+function toIsoDate(value) {
+  const match = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (!match) return value;
+  const [, day, month, year] = match;
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+}
+
+/**
+ * Converte uma linha do CSV para o formato de dados do GameRow, conforme o mapeamento.
+ * Campos não mapeados ou vazios ficam ausentes (o Model aplica os valores padrão).
+ *
+ * @param {Array<string>} row - Valores da linha.
+ * @param {Object<string, number>} mapping - `campo -> índice da coluna` (-1 = ignorar).
+ * @returns {{tabName: string, data: Object}}
+ */
+export function csvRowToGameData(row, mapping) {
+  const data = {};
+  let tabName = "";
+
+  Object.entries(mapping).forEach(([field, index]) => {
+    if (index < 0 || index >= row.length) return;
+    const value = String(row[index] ?? "").trim();
+    if (!value) return;
+
+    if (field === "tab") {
+      tabName = value;
+    } else if (field === "startDate" || field === "finishDate") {
+      data[field] = toIsoDate(value);
+    } else if (field === "hoursPlayed") {
+      // Aceita vírgula decimal (pt-BR); valores não numéricos seguem para a validação
+      const hours = Number(value.replace(",", "."));
+      data[field] = Number.isNaN(hours) ? value : hours;
+    } else if (field === "tags") {
+      data[field] = value.split(/[,|]/).map((tag) => tag.trim()).filter(Boolean);
+    } else {
+      data[field] = value;
+    }
+  });
+
+  return { tabName, data };
+}
@@ -0,0 +1,129 @@
+// assets/js/utils/DuplicateDetector.js
+
+/**
+ * @fileoverview Detecção de jogos possivelmente duplicados (em todas as abas).
+ *
+ * Os títulos são comparados por uma chave "aproximada": sem diferenciar maiúsculas,
+ * acentos, pontuação e espaços, e com numerais romanos convertidos para arábicos
+ * ("Final Fantasy VII" == "final fantasy 7" == "FINAL-FANTASY: 7").
+ *
+ * Funções puras (sem DOM). Faz parte da Camada Service/Utils.
+ */
+
+// Numerais romanos de 1 a 39 (sequências de jogos); palavras como "mix" ou "dim" não entram
+const ROMAN_PATTERN = /^(x{0,3})(ix|iv|v?i{0,3})$/;
+const ROMAN_VALUES = { i: 1, v: 5, x: 10 };
+// Título padrão de linhas novas (GameRow.createDefault): não conta como duplicado
+const PLACEHOLDER_PATTERN = /^novojogo\d+$/;
+
+/**
+ * Converte um numeral romano (já validado por ROMAN_PATTERN) em número.
+ * @param {string} roman - Em minúsculas.
+ * @returns {number}
+ */
+function romanToNumber(roman) {
+  let total = 0;
+  for (let i = 0; i < roman.length; i++) {
+    const value = ROMAN_VALUES[roman[i]];
+    const next = ROMAN_VALUES[roman[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+  return total;
+}
+
+/**
+ * Chave de comparação aproximada de um título.
+ * @param {string} title
+ * @returns {string} Chave ("" para títulos vazios ou padrão, que nunca são duplicados).
+ */
+export function getMatchKey(title) {
+  const key = String(title || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // Acentos
+    .toLowerCase()
+    .replace(/['’`]/g, "") // "Assassin's" == "Assassins"
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((word) =>
+      ROMAN_PATTERN.test(word)
+        ? String(romanToNumber(word))
+        : word.replace(/^0+(?=\d)/, "") // "07" == "7"
+    )
+    .join("");
+
+  return PLACEHOLDER_PATTERN.test(key) ? "" : key;
+}
+
+/**
+ * Indexa os jogos de todas as abas pela chave aproximada do título.
+ * @param {Array} tabs - Abas ({ id, name, games }).
+ * @returns {Map<string, Array<{tabId: string, tabName: string, game: Object}>>}
+ */
+export function createDuplicateIndex(tabs) {
+  const index = new Map();
+  tabs.forEach((tab) =>
+    tab.games.forEach((game) => {
+      const key = getMatchKey(game.title);
+      if (!key) return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push({ tabId: tab.id, tabName: tab.name, game });
+    })
+  );
+  return index;
+}
+
+/**
+ * Jogos do índice com título equivalente (exceto o próprio jogo).
+ * @param {Map} index - Resultado de createDuplicateIndex.
+ * @param {string} title - Título a procurar.
+ * @param {string} [ignoreGameId] - ID do jogo a desconsiderar.
+ * @returns {Array<{tabId: string, tabName: string, game: Object}>}
+ */
+export function findPossibleDuplicates(index, title, ignoreGameId = null) {
+  const key = getMatchKey(title);
+  if (!key || !index.has(key)) return [];
+  return index.get(key).filter((entry) => entry.game.id !== ignoreGameId);
+}
+
+/**
+ * Grupos de jogos possivelmente duplicados (2 ou mais com a mesma chave).
+ * @param {Array} tabs
+ * @returns {Array<{key: string, entries: Array<{tabId: string, tabName: string, game: Object}>}>}
+ */
+export function findDuplicateGroups(tabs) {
+  return [...createDuplicateIndex(tabs)]
+    .filter(([, entries]) => entries.length > 1)
+    .map(([key, entries]) => ({ key, entries }));
+}
+
+/**
+ * Junta duplicados em um jogo: os valores do jogo mantido prevalecem; campos vazios são
+ * preenchidos pelos outros (datas sempre em par, para não formar um intervalo inválido),
+ * as tags são unidas e as horas ficam com o maior valor.
+ * @param {Object} kept - Jogo mantido.
+ * @param {Array<Object>} others - Jogos que serão removidos.
+ * @returns {Object} Novo objeto de jogo (o ID é o do jogo mantido).
+ */
+export function mergeDuplicateGames(kept, others) {
+  const merged = { ...kept, tags: [...(kept.tags || [])] };
+
+  others.forEach((other) => {
+    if (!merged.platform && other.platform) merged.platform = other.platform;
+    if (!merged.startDate && !merged.finishDate) {
+      merged.startDate = other.startDate || "";
+      merged.finishDate = other.finishDate || "";
+    }
+    merged.hoursPlayed = Math.max(
+      Number(merged.hoursPlayed) || 0,
+      Number(other.hoursPlayed) || 0
+    );
+    (other.tags || []).forEach((tag) => {
+      const exists = merged.tags.some(
+        (current) => current.toLowerCase() === tag.toLowerCase()
+      );
+      if (!exists) merged.tags.push(tag);
+    });
+  });
+
+  return merged;
+}
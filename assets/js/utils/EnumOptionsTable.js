@@ -22,6 +22,13 @@ export const GameStatus = [
   "Zerado",
 ];
 
+/**
+ * Status que contam como "concluído" nas estatísticas (padrão de cada aba; a aba pode
+ * marcar outros na sua configuração).
+ * @type {Array<string>}
+ */
+export const GameCompletedStatus = ["Zerado"];
+
 // 2. Notas (0 a 10)
 /**
  * Array de strings representando as notas possíveis para um jogo (de 0 a 10).
@@ -56,3 +63,29 @@ export const GameDifficulty = [
   "S",
   "S+", // Nível máximo de dificuldade
 ];
+
+// 4. Arrastar e soltar
+/**
+ * Tipo (MIME) dos dados arrastados quando linhas da tabela são soltas em uma aba.
+ * O conteúdo é um JSON com a lista de IDs dos jogos (TableManager -> TabManager).
+ * @type {string}
+ */
+export const GAME_DRAG_TYPE = "application/x-game-tracker-games";
+
+// 5. Rótulos dos campos de jogo
+/**
+ * Rótulos exibidos para cada campo do GameRow fora da tabela principal
+ * (comparação de conflitos e relatório de validação da importação).
+ * @type {Object<string, string>}
+ */
+export const GameFieldLabels = {
+  title: "Título",
+  status: "Status",
+  note: "Nota",
+  difficulty: "Dificuldade",
+  platform: "Plataforma",
+  tags: "Tags",
+  startDate: "Início",
+  finishDate: "Término",
+  hoursPlayed: "Horas",
+};
@@ -0,0 +1,96 @@
+// assets/js/utils/HistoryManager.js
+
+/**
+ * @fileoverview Histórico de comandos (Desfazer/Refazer) baseado em snapshots.
+ * Cada entrada guarda o estado ANTERIOR a um comando do Controller, então um
+ * comando composto (ex: importação, exclusão de aba) é desfeito em um único passo.
+ *
+ * Implementa o Memento Pattern. Faz parte da Camada Service/Utils.
+ */
+
+const DEFAULT_MAX_ENTRIES = 100;
+
+/**
+ * Pilhas de desfazer/refazer com limite de tamanho.
+ * O histórico não conhece a estrutura do estado: o Controller fornece os snapshots.
+ */
+export class HistoryManager {
+  /**
+   * @param {number} [maxEntries] Número máximo de passos mantidos na pilha de desfazer.
+   */
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.undoStack = []; // [{ label, snapshot }]
+    this.redoStack = [];
+  }
+
+  /**
+   * Registra um comando executado. Um novo comando invalida o que podia ser refeito.
+   * @param {string} label Descrição do comando (exibida nos botões).
+   * @param {any} snapshot Estado ANTES do comando.
+   */
+  record(label, snapshot) {
+    this.undoStack.push({ label, snapshot });
+    if (this.undoStack.length > this.maxEntries) {
+      this.undoStack.shift(); // Descarta o passo mais antigo
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Desfaz o último comando.
+   * @param {any} currentSnapshot Estado atual (vai para a pilha de refazer).
+   * @returns {any | null} Snapshot a ser restaurado ou `null` se não houver o que desfazer.
+   */
+  undo(currentSnapshot) {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    this.redoStack.push({ label: entry.label, snapshot: currentSnapshot });
+    return entry.snapshot;
+  }
+
+  /**
+   * Refaz o último comando desfeito.
+   * @param {any} currentSnapshot Estado atual (volta para a pilha de desfazer).
+   * @returns {any | null} Snapshot a ser restaurado ou `null` se não houver o que refazer.
+   */
+  redo(currentSnapshot) {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    this.undoStack.push({ label: entry.label, snapshot: currentSnapshot });
+    return entry.snapshot;
+  }
+
+  /**
+   * Esvazia as duas pilhas (ex: quando o estado é alterado por outra janela e os
+   * snapshots antigos desfariam essas alterações).
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /** @returns {boolean} */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /** @returns {boolean} */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /** @returns {string | null} Descrição do próximo passo a desfazer. */
+  peekUndoLabel() {
+    return this.undoStack.length
+      ? this.undoStack[this.undoStack.length - 1].label
+      : null;
+  }
+
+  /** @returns {string | null} Descrição do próximo passo a refazer. */
+  peekRedoLabel() {
+    return this.redoStack.length
+      ? this.redoStack[this.redoStack.length - 1].label
+      : null;
+  }
+}
@@ -0,0 +1,21 @@
+// assets/js/utils/IdGenerator.js
+
+/**
+ * @fileoverview Geração de IDs únicos para abas e jogos.
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+let sequence = 0;
+
+/**
+ * Gera um ID único baseado no timestamp atual.
+ * Um contador sequencial garante IDs distintos mesmo quando vários registros
+ * são criados no mesmo milissegundo (ex: importação de CSV).
+ *
+ * @returns {string} ID no formato "<timestamp>-<sequência>".
+ */
+export function generateId() {
+  sequence = (sequence + 1) % 1000000;
+  return `${Date.now()}-${sequence}`;
+}
@@ -0,0 +1,309 @@
+// assets/js/utils/ImportMerge.js
+
+/**
+ * @fileoverview Mesclagem de dados importados (JSON) com os dados atuais, em vez de
+ * substituir tudo.
+ *
+ * - Abas são pareadas por ID e, na falta dele, pelo nome (sem diferenciar maiúsculas).
+ * - Jogos são pareados por ID (em qualquer aba local: um jogo movido de aba depois da
+ *   exportação continua onde está) e, na falta dele, pelo título normalizado dentro da aba pareada.
+ * - Cada jogo importado é classificado como: adicionado, inalterado ou conflito (pareado
+ *   com um jogo local de campos diferentes). O usuário escolhe a versão de cada conflito;
+ *   o `updatedAt` só define a escolha inicial (e a ação "o mais recente vence").
+ *
+ * Funções puras (sem DOM/storage): o plano é exibido pelo ImportMergeManager e aplicado
+ * pelo Controller como um único comando.
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+import { generateId } from "./IdGenerator.js";
+import { getTabConfig } from "./TabConfig.js";
+
+/**
+ * Campos comparados entre o jogo local e o importado (ID e `updatedAt` não contam como diferença).
+ * @type {Array<string>}
+ */
+export const MERGE_FIELDS = [
+  "title",
+  "status",
+  "note",
+  "difficulty",
+  "platform",
+  "tags",
+  "startDate",
+  "finishDate",
+  "hoursPlayed",
+];
+
+/**
+ * Normaliza um título para o pareamento por título (minúsculas, espaços colapsados).
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return String(title || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Lista os campos com valores diferentes entre dois jogos.
+ * @param {Object} localGame
+ * @param {Object} incomingGame
+ * @returns {Array<string>}
+ */
+export function diffGameFields(localGame, incomingGame) {
+  return MERGE_FIELDS.filter(
+    (field) =>
+      JSON.stringify(localGame[field] ?? "") !==
+      JSON.stringify(incomingGame[field] ?? "")
+  );
+}
+
+/**
+ * Indica se o jogo importado é comprovadamente mais recente que o local.
+ * Datas ausentes (dados antigos) nunca são consideradas mais recentes.
+ * @param {Object} localGame
+ * @param {Object} incomingGame
+ * @returns {boolean}
+ */
+function isIncomingNewer(localGame, incomingGame) {
+  return Boolean(
+    incomingGame.updatedAt &&
+      (!localGame.updatedAt || incomingGame.updatedAt > localGame.updatedAt)
+  );
+}
+
+/**
+ * Classifica os jogos de uma aba importada, a partir dos pares já encontrados.
+ * @param {Object} incomingTab
+ * @param {Object | null} localTab - Aba local pareada (null para uma aba nova).
+ * @param {Map<Object, {game: Object, tab: Object}>} matches - Jogo importado -> jogo local e sua aba.
+ * @param {number} tabIndex - Índice da aba no plano (compõe a chave dos conflitos).
+ * @returns {{added: Array, conflicts: Array, moved: Array, unchangedCount: number}}
+ */
+function diffTabGames(incomingTab, localTab, matches, tabIndex) {
+  const result = { added: [], conflicts: [], moved: [], unchangedCount: 0 };
+
+  incomingTab.games.forEach((incomingGame) => {
+    const match = matches.get(incomingGame);
+    if (!match) {
+      result.added.push(incomingGame);
+      return;
+    }
+
+    const { game: localGame, tab } = match;
+    // Jogo movido para outra aba depois da exportação: continua onde está
+    if (tab !== localTab) {
+      result.moved.push({ local: localGame, incoming: incomingGame, localTabName: tab.name });
+    }
+
+    const fields = diffGameFields(localGame, incomingGame);
+    if (fields.length === 0) {
+      result.unchangedCount++;
+      return;
+    }
+    result.conflicts.push({
+      key: `${tabIndex}:${localGame.id}`,
+      local: localGame,
+      localTabId: tab.id,
+      localTabName: tab.name,
+      incoming: incomingGame,
+      fields,
+      incomingNewer: isIncomingNewer(localGame, incomingGame),
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Calcula o plano de mesclagem (o "diff" exibido ao usuário). Nada é alterado.
+ *
+ * @param {Array} localTabs - Abas atuais.
+ * @param {Array} incomingTabs - Abas importadas (já migradas para o schema atual).
+ * @returns {{tabs: Array<{incoming: Object, localTabId: string | null, localName: string | null,
+ *   added: Array, conflicts: Array, moved: Array, unchangedCount: number}>,
+ *   totals: {newTabs: number, added: number, conflicts: number, newer: number, moved: number,
+ *   unchanged: number}}}
+ */
+export function planMerge(localTabs, incomingTabs) {
+  const matchedTabIds = new Set();
+  const tabPairs = incomingTabs.map((incomingTab) => {
+    const available = localTabs.filter((t) => !matchedTabIds.has(t.id));
+    const localTab =
+      available.find((t) => t.id === incomingTab.id) ||
+      available.find(
+        (t) => t.name.toLowerCase() === String(incomingTab.name).toLowerCase()
+      ) ||
+      null;
+    if (localTab) matchedTabIds.add(localTab.id);
+    return { incomingTab, localTab };
+  });
+
+  const localById = new Map(); // ID -> jogo local e a aba em que ele está
+  localTabs.forEach((tab) =>
+    tab.games.forEach((game) => localById.set(game.id, { game, tab }))
+  );
+  const matches = new Map(); // jogo importado -> { game, tab } local
+  const matchedLocal = new Set();
+
+  // 1º passo: pareamento por ID em qualquer aba local (tem prioridade sobre qualquer título)
+  tabPairs.forEach(({ incomingTab }) =>
+    incomingTab.games.forEach((incomingGame) => {
+      const found = localById.get(incomingGame.id);
+      if (found && !matchedLocal.has(found.game)) {
+        matches.set(incomingGame, found);
+        matchedLocal.add(found.game);
+      }
+    })
+  );
+
+  // 2º passo: jogos restantes pareados pelo título normalizado, dentro da aba pareada
+  tabPairs.forEach(({ incomingTab, localTab }) => {
+    if (!localTab) return;
+    incomingTab.games
+      .filter((incomingGame) => !matches.has(incomingGame))
+      .forEach((incomingGame) => {
+        const game = localTab.games.find(
+          (g) =>
+            !matchedLocal.has(g) &&
+            normalizeTitle(g.title) === normalizeTitle(incomingGame.title)
+        );
+        if (game) {
+          matches.set(incomingGame, { game, tab: localTab });
+          matchedLocal.add(game);
+        }
+      });
+  });
+
+  const tabs = tabPairs.map(({ incomingTab, localTab }, tabIndex) => ({
+    incoming: incomingTab,
+    localTabId: localTab ? localTab.id : null,
+    localName: localTab ? localTab.name : null,
+    ...diffTabGames(incomingTab, localTab, matches, tabIndex),
+  }));
+
+  const count = (key) =>
+    tabs.reduce((total, tab) => total + tab[key].length, 0);
+
+  return {
+    tabs,
+    totals: {
+      newTabs: tabs.filter((tab) => tab.localTabId === null).length,
+      added: count("added"),
+      conflicts: count("conflicts"),
+      newer: tabs.reduce(
+        (total, tab) =>
+          total + tab.conflicts.filter((conflict) => conflict.incomingNewer).length,
+        0
+      ),
+      moved: count("moved"),
+      unchanged: tabs.reduce((total, tab) => total + tab.unchangedCount, 0),
+    },
+  };
+}
+
+/**
+ * Resolve todos os conflitos pela regra "o mais recente vence" (também a escolha inicial).
+ * Em empate ou sem datas, mantém a versão local.
+ * @param {Object} plan - Resultado de planMerge.
+ * @returns {Object<string, "local" | "incoming">} Escolha por chave de conflito.
+ */
+export function resolveNewestWins(plan) {
+  const resolutions = {};
+  plan.tabs.forEach((tab) =>
+    tab.conflicts.forEach((conflict) => {
+      resolutions[conflict.key] = conflict.incomingNewer ? "incoming" : "local";
+    })
+  );
+  return resolutions;
+}
+
+/**
+ * Une as listas de status/dificuldades: mantém a configuração local e acrescenta,
+ * no final, os valores que só existem na configuração importada (para que os jogos
+ * importados continuem válidos). Status novos mantêm a marcação de concluído.
+ * @param {Object} localTab
+ * @param {Object} incomingTab
+ * @returns {{statuses: Array<string>, completedStatuses: Array<string>, difficulties: Array<string>}}
+ */
+function mergeTabConfig(localTab, incomingTab) {
+  const local = getTabConfig(localTab);
+  const incoming = getTabConfig(incomingTab);
+  return {
+    statuses: [
+      ...local.statuses,
+      ...incoming.statuses.filter((v) => !local.statuses.includes(v)),
+    ],
+    completedStatuses: [
+      ...local.completedStatuses,
+      ...incoming.completedStatuses.filter((v) => !local.statuses.includes(v)),
+    ],
+    difficulties: [
+      ...local.difficulties,
+      ...incoming.difficulties.filter((v) => !local.difficulties.includes(v)),
+    ],
+  };
+}
+
+/**
+ * Aplica o plano de mesclagem, retornando novas abas (a entrada não é alterada).
+ *
+ * - Abas locais mantêm nome e posição; abas novas entram no final.
+ * - Jogos locais ausentes do arquivo são mantidos.
+ * - Jogos pareados com um jogo de outra aba local são atualizados nela (não são adicionados).
+ * - Jogos adicionados cujo ID já exista localmente recebem um novo ID.
+ *
+ * @param {Array} localTabs - Abas atuais.
+ * @param {Object} plan - Resultado de planMerge.
+ * @param {Object<string, "local" | "incoming">} [resolutions] - Escolha por conflito
+ *   (conflitos sem escolha mantêm a versão local).
+ * @returns {Array} Abas mescladas.
+ */
+export function applyMerge(localTabs, plan, resolutions = {}) {
+  const usedIds = new Set(
+    localTabs.flatMap((tab) => tab.games.map((game) => game.id))
+  );
+  const withFreshId = (game) => {
+    const id = usedIds.has(game.id) ? generateId() : game.id;
+    usedIds.add(id);
+    return { ...game, id };
+  };
+
+  const merged = localTabs.map((tab) => ({ ...tab, games: [...tab.games] }));
+
+  // Substitui o jogo local (na aba em que ele está) pela versão importada, mantendo o ID local
+  const replace = ({ local, localTabId, incoming }) => {
+    const tab = merged.find((t) => t.id === localTabId);
+    const index = tab.games.findIndex((g) => g.id === local.id);
+    if (index !== -1) tab.games[index] = { ...incoming, id: local.id };
+  };
+
+  plan.tabs.forEach((tabPlan) => {
+    if (tabPlan.localTabId === null) {
+      const tabIdTaken = merged.some((t) => t.id === tabPlan.incoming.id);
+      merged.push({
+        ...tabPlan.incoming,
+        id: tabIdTaken ? generateId() : tabPlan.incoming.id,
+        games: tabPlan.added.map(withFreshId),
+      });
+    } else {
+      const tab = merged.find((t) => t.id === tabPlan.localTabId);
+      tab.config = mergeTabConfig(tab, tabPlan.incoming);
+      tab.games.push(...tabPlan.added.map(withFreshId));
+    }
+
+    tabPlan.conflicts
+      .filter((conflict) => resolutions[conflict.key] === "incoming")
+      .forEach((conflict) => {
+        // Jogo em outra aba: a configuração dela também precisa aceitar os valores importados
+        if (conflict.localTabId !== tabPlan.localTabId) {
+          const tab = merged.find((t) => t.id === conflict.localTabId);
+          tab.config = mergeTabConfig(tab, tabPlan.incoming);
+        }
+        replace(conflict);
+      });
+  });
+
+  return merged;
+}
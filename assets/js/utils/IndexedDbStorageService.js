@@ -0,0 +1,246 @@
+// assets/js/utils/IndexedDbStorageService.js
+
+/**
+ * @fileoverview Serviço de persistência baseado em IndexedDB, com o mesmo contrato
+ * de `load`/`save` do LocalStorageService, porém assíncrono (retorna Promises).
+ *
+ * - O envelope `{ schemaVersion, tabs }` é dividido em registros: um registro de
+ *   metadados, um por aba (sem os jogos) e um por jogo. Cada `save` compara os
+ *   registros com os últimos gravados e escreve somente os que mudaram.
+ * - Na primeira execução, os dados existentes no localStorage (mesma chave) são
+ *   migrados automaticamente e a chave antiga é removida.
+ * - Erros de cota são rejeitados como StorageQuotaError (ver StorageErrors.js).
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+import { LocalStorageService } from "./LocalStorageService.js";
+import { StorageError, StorageQuotaError, isQuotaError } from "./StorageErrors.js";
+import { tabsToRecords, recordsToTabs } from "./TabRecords.js";
+
+const DB_NAME = "gameTracker";
+const DB_VERSION = 1;
+const STORE_NAME = "records";
+
+let dbPromise = null;
+// Último conteúdo gravado (ou enfileirado) por chave: Map<idDoRegistro, JSON serializado>
+const writtenRecords = new Map();
+// Fila de gravações: garante que as transações sejam aplicadas na ordem dos saves
+let writeQueue = Promise.resolve();
+
+/**
+ * Indica se o navegador oferece IndexedDB (indisponível, por exemplo, em alguns modos privados).
+ * @returns {boolean}
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== "undefined" && indexedDB !== null;
+}
+
+/**
+ * Converte um erro da API do IndexedDB no erro tipado correspondente.
+ * @param {any} error
+ * @returns {StorageError}
+ */
+function toStorageError(error) {
+  if (error instanceof StorageError) return error;
+  if (isQuotaError(error)) return new StorageQuotaError(error);
+  return new StorageError("Não foi possível acessar o banco de dados do navegador.", error);
+}
+
+/**
+ * Abre (e cria, se necessário) o banco de dados. A conexão é reutilizada.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(toStorageError(request.error));
+    }).catch((error) => {
+      dbPromise = null; // Permite nova tentativa
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Divide o payload em registros independentes (id do registro -> valor), com os
+ * ids prefixados pela chave lógica. Payloads que não são envelopes com abas são
+ * gravados em um único registro.
+ *
+ * @param {string} key - Chave lógica (ex: "gameTrackerTabs").
+ * @param {any} data - Dados a gravar.
+ * @returns {Map<string, any>}
+ */
+function toRecords(key, data) {
+  const records = new Map();
+
+  if (!data || !Array.isArray(data.tabs)) {
+    records.set(`${key}/meta`, { payload: data });
+    return records;
+  }
+
+  const { tabs, ...meta } = data;
+  records.set(`${key}/meta`, { ...meta, tabIds: tabs.map((tab) => tab.id) });
+  tabsToRecords(tabs).forEach((value, id) => records.set(`${key}/${id}`, value));
+
+  return records;
+}
+
+/**
+ * Reconstrói o payload a partir dos registros lidos.
+ * @param {string} key
+ * @param {Map<string, any>} records - Registros com ids prefixados pela chave.
+ * @returns {any} Payload ou `null` se não houver metadados.
+ */
+function fromRecords(key, records) {
+  const meta = records.get(`${key}/meta`);
+  if (!meta) return null;
+  if (Object.prototype.hasOwnProperty.call(meta, "payload")) return meta.payload;
+
+  const { tabIds, ...envelope } = meta;
+  const unprefixed = new Map(
+    [...records].map(([id, value]) => [id.slice(key.length + 1), value])
+  );
+  return { ...envelope, tabs: recordsToTabs(tabIds, unprefixed) };
+}
+
+/**
+ * Lê todos os registros de uma chave lógica.
+ * @param {IDBDatabase} db
+ * @param {string} key
+ * @returns {Promise<Map<string, any>>}
+ */
+function readRecords(db, key) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, "readonly");
+    const store = transaction.objectStore(STORE_NAME);
+    // Todos os ids que começam com "<key>/"
+    const range = IDBKeyRange.bound(`${key}/`, `${key}/\uffff`);
+    const records = new Map();
+
+    const request = store.openCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        records.set(cursor.key, cursor.value);
+        cursor.continue();
+      }
+    };
+    transaction.oncomplete = () => resolve(records);
+    transaction.onerror = () => reject(toStorageError(transaction.error));
+  });
+}
+
+/**
+ * Grava e remove registros em uma única transação.
+ * @param {IDBDatabase} db
+ * @param {Map<string, any>} puts - Registros novos ou alterados.
+ * @param {Array<string>} deletes - Ids de registros removidos.
+ * @returns {Promise<void>}
+ */
+function writeRecords(db, puts, deletes) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    const store = transaction.objectStore(STORE_NAME);
+    puts.forEach((value, id) => store.put(value, id));
+    deletes.forEach((id) => store.delete(id));
+    transaction.oncomplete = () => resolve();
+    // Erros de cota podem chegar pelo abort da transação (transaction.error)
+    transaction.onerror = () => reject(toStorageError(transaction.error));
+    transaction.onabort = () => reject(toStorageError(transaction.error));
+  });
+}
+
+/**
+ * Service assíncrono de persistência em IndexedDB.
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+export const IndexedDbStorageService = {
+  /**
+   * Carrega os dados da chave. Na primeira execução, migra os dados do localStorage.
+   *
+   * @param {string} key Chave lógica (ex: STORAGE_KEY).
+   * @returns {Promise<any>} Dados ou `null` se a chave não existir.
+   * @throws {StorageError} (rejeição) Se o banco não puder ser aberto ou lido.
+   */
+  async load(key) {
+    const db = await openDatabase();
+    const records = await readRecords(db, key);
+
+    [...writtenRecords.keys()]
+      .filter((id) => id.startsWith(`${key}/`))
+      .forEach((id) => writtenRecords.delete(id));
+    records.forEach((value, id) => writtenRecords.set(id, JSON.stringify(value)));
+
+    const payload = fromRecords(key, records);
+    if (payload !== null) return payload;
+
+    // Primeira execução: migra os dados existentes do localStorage
+    const legacyPayload = LocalStorageService.load(key);
+    if (legacyPayload === null) return null;
+
+    try {
+      await this.save(key, legacyPayload);
+      LocalStorageService.remove(key);
+    } catch (error) {
+      // Mantém o localStorage intacto; a próxima gravação tenta novamente
+      console.error("[IndexedDbStorageService] Erro ao migrar do localStorage:", error);
+    }
+    return legacyPayload;
+  },
+
+  /**
+   * Salva os dados, escrevendo somente os registros que mudaram desde a última gravação.
+   * O diff é calculado no momento da chamada (o objeto pode ser alterado em seguida).
+   *
+   * @param {string} key Chave lógica.
+   * @param {any} data Dados a gravar (normalmente o envelope versionado).
+   * @returns {Promise<void>}
+   * @throws {StorageQuotaError} (rejeição) Se o armazenamento estiver cheio.
+   * @throws {StorageError} (rejeição) Em outros erros de escrita.
+   */
+  save(key, data) {
+    const puts = new Map();
+    const nextIds = new Set();
+
+    toRecords(key, data).forEach((value, id) => {
+      nextIds.add(id);
+      const serialized = JSON.stringify(value);
+      if (writtenRecords.get(id) !== serialized) {
+        // Cópia do momento do save: a transação pode rodar depois de novas alterações
+        puts.set(id, JSON.parse(serialized));
+        writtenRecords.set(id, serialized);
+      }
+    });
+
+    const deletes = [...writtenRecords.keys()].filter(
+      (id) => id.startsWith(`${key}/`) && !nextIds.has(id)
+    );
+    deletes.forEach((id) => writtenRecords.delete(id));
+
+    // Nada mudou: apenas aguarda as gravações pendentes (erros delas já foram reportados)
+    if (puts.size === 0 && deletes.length === 0) return writeQueue.catch(() => {});
+
+    const write = writeQueue
+      .catch(() => {}) // Uma falha anterior não impede as próximas gravações
+      .then(() => openDatabase())
+      .then((db) => writeRecords(db, puts, deletes))
+      .catch((error) => {
+        // Esquece o que "seria" gravado, para que o próximo save reenvie esses registros,
+        // e mantém as remoções pendentes (valor vazio nunca coincide com um registro)
+        puts.forEach((_, id) => writtenRecords.delete(id));
+        deletes.forEach((id) => writtenRecords.set(id, ""));
+        throw toStorageError(error);
+      });
+
+    writeQueue = write;
+    return write;
+  },
+};
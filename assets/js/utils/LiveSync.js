@@ -0,0 +1,292 @@
+// assets/js/utils/LiveSync.js
+
+/**
+ * @fileoverview Sincronização ao vivo entre janelas/abas do navegador com o tracker aberto.
+ *
+ * Cada janela guarda a última versão "combinada" (sincronizada) de cada registro
+ * (ver TabRecords.js). Após cada alteração local, somente os registros alterados são
+ * enviados, junto com a versão em que a alteração se baseou (`base`). Ao receber:
+ *
+ * - se o registro local ainda está na versão `base`, a alteração remota é aplicada;
+ * - se o registro é de uma aba ou a ordem das abas, as duas versões são mescladas;
+ * - se o registro é de um jogo alterado nas duas janelas, é um CONFLITO: a versão
+ *   local é mantida até o usuário escolher qual versão fica.
+ *
+ * Transporte: BroadcastChannel; na falta dele, o evento `storage` do localStorage.
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+import { tabsToRecords, recordsToTabs } from "./TabRecords.js";
+
+const CHANNEL_NAME = "gameTrackerSync";
+const ORDER_RECORD_ID = "order"; // Registro com a ordem das abas (lista de ids)
+
+/**
+ * Serializa o estado em registros (`idDoRegistro -> JSON`), incluindo a ordem das abas.
+ * @param {Array} tabs
+ * @returns {Map<string, string>}
+ */
+function serializeRecords(tabs) {
+  const serialized = new Map();
+  serialized.set(ORDER_RECORD_ID, JSON.stringify(tabs.map((tab) => tab.id)));
+  tabsToRecords(tabs).forEach((value, id) => {
+    serialized.set(id, JSON.stringify(value));
+  });
+  return serialized;
+}
+
+/**
+ * Mescla duas listas de ids que partiram da mesma base: mantém a ordem local,
+ * remove o que a outra janela removeu e acrescenta o que ela adicionou.
+ * @param {Array<string>} base
+ * @param {Array<string>} local
+ * @param {Array<string>} remote
+ * @returns {Array<string>}
+ */
+function mergeIdLists(base, local, remote) {
+  const removedRemotely = base.filter((id) => !remote.includes(id));
+  const addedRemotely = remote.filter(
+    (id) => !base.includes(id) && !local.includes(id)
+  );
+  return [
+    ...local.filter((id) => !removedRemotely.includes(id)),
+    ...addedRemotely,
+  ];
+}
+
+/**
+ * Mescla um registro de aba alterado nas duas janelas: cada campo fica com a versão
+ * remota se a local não mudou desde a base; a lista de jogos é mesclada.
+ * @param {Object | null} base
+ * @param {Object | null} local
+ * @param {Object | null} remote
+ * @returns {Object | null}
+ */
+function mergeTabRecord(base, local, remote) {
+  if (!local || !remote) return local || remote; // Exclusão de um lado: mantém a aba
+  const merged = { ...local };
+  Object.keys(remote).forEach((field) => {
+    if (field === "gameIds") return;
+    const localUnchanged =
+      base && JSON.stringify(local[field]) === JSON.stringify(base[field]);
+    if (localUnchanged) merged[field] = remote[field];
+  });
+  merged.gameIds = mergeIdLists(
+    base ? base.gameIds : [],
+    local.gameIds,
+    remote.gameIds
+  );
+  return merged;
+}
+
+/**
+ * Cria o transporte de mensagens entre janelas.
+ * @param {Function} onMessage Recebe cada mensagem de outra janela.
+ * @returns {{post: Function, close: Function}}
+ */
+function createTransport(onMessage) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  // Alternativa: o evento "storage" dispara nas OUTRAS janelas da mesma origem
+  const listener = (event) => {
+    if (event.key === CHANNEL_NAME && event.newValue) {
+      onMessage(JSON.parse(event.newValue));
+    }
+  };
+  window.addEventListener("storage", listener);
+  return {
+    post: (message) => {
+      try {
+        // O nonce garante que mensagens iguais em sequência ainda disparem o evento
+        localStorage.setItem(
+          CHANNEL_NAME,
+          JSON.stringify({ ...message, nonce: Math.random() })
+        );
+      } catch (error) {
+        console.error("[LiveSync] Não foi possível enviar a alteração:", error);
+      }
+    },
+    close: () => window.removeEventListener("storage", listener),
+  };
+}
+
+/**
+ * Mantém as janelas abertas sincronizadas e detecta conflitos de edição.
+ */
+export class LiveSync {
+  /**
+   * @param {Function} onRemoteMessage Chamado com cada mensagem recebida de outra janela
+   *   (o Controller repassa a mensagem a `receive` com o estado atual).
+   */
+  constructor(onRemoteMessage) {
+    this.windowId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    this.synced = new Map(); // idDoRegistro -> JSON combinado com as outras janelas
+    this.conflicts = new Map(); // idDoRegistro -> { id, local, remote }
+    this.transport = createTransport((message) => {
+      if (message && message.sender !== this.windowId) onRemoteMessage(message);
+    });
+  }
+
+  /**
+   * Define o estado inicial (carregado do storage) como sincronizado.
+   * @param {Array} tabs
+   */
+  start(tabs) {
+    this.synced = serializeRecords(tabs);
+    this.conflicts.clear();
+  }
+
+  /**
+   * Envia às outras janelas os registros alterados localmente desde a última sincronização.
+   * Registros em conflito não são enviados até o usuário escolher uma versão.
+   * @param {Array} tabs Estado atual.
+   */
+  publish(tabs) {
+    const current = serializeRecords(tabs);
+    const changes = [];
+
+    new Set([...this.synced.keys(), ...current.keys()]).forEach((id) => {
+      if (this.conflicts.has(id)) return;
+      const base = this.synced.has(id) ? this.synced.get(id) : null;
+      const value = current.has(id) ? current.get(id) : null;
+      if (base === value) return;
+
+      changes.push({ id, base, value });
+      if (value === null) this.synced.delete(id);
+      else this.synced.set(id, value);
+    });
+
+    if (changes.length > 0) {
+      this.transport.post({ sender: this.windowId, changes });
+    }
+  }
+
+  /**
+   * Aplica as alterações recebidas de outra janela ao estado local.
+   * @param {Array} tabs Estado local atual (não é alterado).
+   * @param {{changes: Array<{id: string, base: string | null, value: string | null}>}} message
+   * @returns {{tabs: Array, changed: boolean}} Novo estado e se ele mudou
+   *   (conflitos ficam em `getConflicts`).
+   */
+  receive(tabs, message) {
+    const current = serializeRecords(tabs);
+    let changed = false;
+
+    message.changes.forEach(({ id, base, value }) => {
+      const local = current.has(id) ? current.get(id) : null;
+      // A outra janela agora está nesta versão
+      if (value === null) this.synced.delete(id);
+      else this.synced.set(id, value);
+
+      if (local === value) {
+        this.conflicts.delete(id); // As duas janelas chegaram à mesma versão
+        return;
+      }
+
+      if (local === base) {
+        this.conflicts.delete(id);
+        this.setRecord(current, id, value);
+        changed = true;
+        return;
+      }
+
+      // As duas janelas alteraram o mesmo registro
+      if (id === ORDER_RECORD_ID) {
+        const merged = mergeIdLists(
+          JSON.parse(base || "[]"),
+          JSON.parse(local),
+          JSON.parse(value || "[]")
+        );
+        this.setRecord(current, id, JSON.stringify(merged));
+        changed = true;
+      } else if (id.startsWith("tab/")) {
+        const merged = mergeTabRecord(
+          base && JSON.parse(base),
+          local && JSON.parse(local),
+          value && JSON.parse(value)
+        );
+        this.setRecord(current, id, JSON.stringify(merged));
+        changed = true;
+      } else {
+        this.conflicts.set(id, { id, local, remote: value });
+      }
+    });
+
+    return { tabs: this.toTabs(current), changed };
+  }
+
+  /**
+   * Conflitos pendentes, com os dois lados já convertidos em objetos de jogo.
+   * @returns {Array<{id: string, local: Object | null, remote: Object | null}>}
+   *   `null` indica que o jogo foi excluído naquele lado.
+   */
+  getConflicts() {
+    return [...this.conflicts.values()].map(({ id, local, remote }) => ({
+      id,
+      local: local && JSON.parse(local),
+      remote: remote && JSON.parse(remote),
+    }));
+  }
+
+  /**
+   * Resolve um conflito. "local" mantém a versão desta janela (que é enviada à outra no
+   * próximo publish); "remote" adota a versão da outra janela.
+   * @param {Array} tabs Estado local atual (não é alterado).
+   * @param {string} id Id do registro em conflito.
+   * @param {"local" | "remote"} choice
+   * @returns {Array} Novo estado.
+   */
+  resolveConflict(tabs, id, choice) {
+    const conflict = this.conflicts.get(id);
+    if (!conflict) return tabs;
+    this.conflicts.delete(id);
+    if (choice === "local") return tabs;
+
+    const current = serializeRecords(tabs);
+    this.setRecord(current, id, conflict.remote);
+    return this.toTabs(current);
+  }
+
+  /** Fecha o canal de comunicação. */
+  close() {
+    this.transport.close();
+  }
+
+  /**
+   * @param {Map<string, string>} records
+   * @param {string} id
+   * @param {string | null} value JSON do registro ou `null` para removê-lo.
+   */
+  setRecord(records, id, value) {
+    if (value === null) records.delete(id);
+    else records.set(id, value);
+  }
+
+  /**
+   * @param {Map<string, string>} serialized
+   * @returns {Array}
+   */
+  toTabs(serialized) {
+    const records = new Map(
+      [...serialized].map(([id, json]) => [id, JSON.parse(json)])
+    );
+    const order = records.get(ORDER_RECORD_ID) || [];
+    // Abas que existem nos registros mas não na ordem (ex: criadas nas duas janelas) vão para o final
+    const tabIds = [
+      ...order,
+      ...[...records.keys()]
+        .filter((id) => id.startsWith("tab/"))
+        .map((id) => id.slice("tab/".length))
+        .filter((tabId) => !order.includes(tabId)),
+    ];
+    return recordsToTabs(tabIds, records);
+  }
+}
@@ -6,8 +6,13 @@
  * da aplicação e fornecendo um ponto centralizado para tratamento de erros
  * (como QuotaExceededError) e serialização/desserialização de JSON.
  *
+ * Usado como alternativa quando o IndexedDB não está disponível
+ * (ver IndexedDbStorageService.js) e como origem da migração para o IndexedDB.
+ *
  */
 
+import { StorageError, StorageQuotaError, isQuotaError } from "./StorageErrors.js";
+
 /**
  * Service para abstrair o acesso ao localStorage.
  *
@@ -44,22 +49,29 @@ export const LocalStorageService = {
    *
    * @param {string} key Chave do localStorage onde os dados serão armazenados.
    * @param {any} data Dados (geralmente um objeto/array) a serem serializados e salvos.
+   * @throws {StorageQuotaError} Se o armazenamento estiver cheio.
+   * @throws {StorageError} Em outros erros de escrita.
    *
    */
   save(key, data) {
     try {
       localStorage.setItem(key, JSON.stringify(data));
     } catch (e) {
-      // Em caso de Storage full (QuotaExceededError) ou outros erros de escrita.
       console.error(
         `[LocalStorageService] Erro ao salvar dados para a chave ${key}:`,
         e
       );
-      // Feedback explícito ao usuário conforme a estratégia de tratamento de erros da arquitetura.
-      //
-      alert(
-        "Atenção: O armazenamento local do seu navegador está cheio. Não foi possível salvar as alterações."
-      );
+      // O Controller decide como informar o usuário (erros tipados, sem alert aqui)
+      if (isQuotaError(e)) throw new StorageQuotaError(e);
+      throw new StorageError("Não foi possível salvar as alterações.", e);
     }
   },
+
+  /**
+   * Remove uma chave do localStorage (usado após a migração para o IndexedDB).
+   * @param {string} key Chave a ser removida.
+   */
+  remove(key) {
+    localStorage.removeItem(key);
+  },
 };
@@ -0,0 +1,349 @@
+// assets/js/utils/PlatformMapping.js
+
+/**
+ * @fileoverview Inferência da plataforma de cada arquivo do Processador a partir das
+ * pastas do caminho (ex: "Roms/SNES/...", "Sony - PlayStation 2/...") e da extensão
+ * (ex: ".gba", ".nds", ".iso"), segundo uma tabela editável.
+ *
+ * - O nome da pasta é dividido nas partes separadas por " - " (padrão No-Intro/Redump:
+ *   "Nintendo - Super Nintendo Entertainment System"); o conteúdo entre parênteses e
+ *   colchetes é ignorado.
+ * - Uma parte igual a um dos nomes ("SNES", "PlayStation 2") define a plataforma, com
+ *   prioridade sobre a extensão (várias plataformas usam .iso/.chd).
+ * - Sem parte igual, vale uma parte que contém o nome ("Sony PlayStation", "PS2 Games"),
+ *   desde que depois dele só venham palavras genéricas (GENERIC_FOLDER_WORDS):
+ *   "PlayStation 3" e "Wii U" não são "PlayStation" nem "Wii". Se a plataforma da pasta
+ *   não listar a extensão do arquivo e outra listar, vale a da extensão.
+ * - A pasta mais próxima do arquivo é verificada primeiro; numa mesma pasta, vence o
+ *   nome mais longo ("PlayStation 2" antes de "PlayStation").
+ * - Sem pasta reconhecida, vale a primeira linha da tabela que lista a extensão.
+ *
+ * Funções puras (sem DOM/storage), usadas pelo Controller (processor.js) e pelo
+ * PlatformMappingEditor.
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+// Mesmo limite do campo Plataforma do Game Tracker (GameRow)
+export const MAX_PLATFORM_NAME_LENGTH = 40;
+
+// Palavras que podem seguir o nome da plataforma numa pasta sem mudar a plataforma
+// (ex: "PS2 Games", "SNES Roms"); qualquer outra palavra ou número recusa a pasta
+const GENERIC_FOLDER_WORDS = new Set([
+  "games",
+  "game",
+  "jogos",
+  "roms",
+  "rom",
+  "isos",
+  "iso",
+  "collection",
+  "colecao",
+  "library",
+  "backup",
+  "backups",
+]);
+
+/**
+ * Tabela padrão: plataforma, nomes de pasta e extensões. Extensões compartilhadas
+ * (.iso, .chd) ficam primeiro nas plataformas mais comuns para elas (PS2, PS1).
+ * @type {ReadonlyArray<{platform: string, folders: Array<string>, extensions: Array<string>}>}
+ */
+const DEFAULT_PLATFORM_MAPPINGS = Object.freeze([
+  {
+    platform: "PS1",
+    folders: ["ps1", "psx", "playstation", "playstation 1"],
+    extensions: [".chd"],
+  },
+  {
+    platform: "PS2",
+    folders: ["ps2", "playstation 2"],
+    extensions: [".iso", ".chd"],
+  },
+  {
+    platform: "PS3",
+    folders: ["ps3", "playstation 3"],
+    extensions: [],
+  },
+  {
+    platform: "PSP",
+    folders: ["psp", "playstation portable"],
+    extensions: [".cso", ".iso"],
+  },
+  {
+    platform: "PS Vita",
+    folders: ["ps vita", "psvita", "playstation vita", "vita"],
+    extensions: [".vpk"],
+  },
+  {
+    platform: "NES",
+    folders: ["nes", "famicom", "nintendo entertainment system"],
+    extensions: [".nes", ".fds"],
+  },
+  {
+    platform: "SNES",
+    folders: [
+      "snes",
+      "super nintendo",
+      "super nintendo entertainment system",
+      "super famicom",
+      "sfc",
+    ],
+    extensions: [".sfc", ".smc"],
+  },
+  {
+    platform: "N64",
+    folders: ["n64", "nintendo 64"],
+    extensions: [".n64", ".z64", ".v64"],
+  },
+  {
+    platform: "GameCube",
+    folders: ["gamecube", "gc", "ngc"],
+    extensions: [".gcm", ".rvz", ".iso"],
+  },
+  {
+    platform: "Wii",
+    folders: ["wii"],
+    extensions: [".wbfs", ".rvz", ".iso"],
+  },
+  {
+    platform: "Wii U",
+    folders: ["wii u", "wiiu"],
+    extensions: [".wua", ".wux"],
+  },
+  {
+    platform: "Game Boy",
+    folders: ["gb", "game boy", "gameboy"],
+    extensions: [".gb"],
+  },
+  {
+    platform: "GBC",
+    folders: ["gbc", "game boy color", "gameboy color"],
+    extensions: [".gbc"],
+  },
+  {
+    platform: "GBA",
+    folders: ["gba", "game boy advance", "gameboy advance"],
+    extensions: [".gba"],
+  },
+  {
+    platform: "NDS",
+    folders: ["nds", "ds", "nintendo ds"],
+    extensions: [".nds"],
+  },
+  {
+    platform: "3DS",
+    folders: ["3ds", "nintendo 3ds"],
+    extensions: [".3ds", ".cia"],
+  },
+  {
+    platform: "Switch",
+    folders: ["switch", "nintendo switch"],
+    extensions: [".nsp", ".xci"],
+  },
+  {
+    platform: "Master System",
+    folders: ["master system", "sms"],
+    extensions: [".sms"],
+  },
+  {
+    platform: "Mega Drive",
+    folders: ["mega drive", "megadrive", "genesis", "md"],
+    extensions: [".md", ".gen", ".smd"],
+  },
+  {
+    platform: "Game Gear",
+    folders: ["game gear", "gg"],
+    extensions: [".gg"],
+  },
+  {
+    platform: "Saturn",
+    folders: ["saturn", "sega saturn"],
+    extensions: [".chd"],
+  },
+  {
+    platform: "Dreamcast",
+    folders: ["dreamcast", "dc"],
+    extensions: [".gdi", ".cdi", ".chd"],
+  },
+  {
+    platform: "PC Engine",
+    folders: ["pc engine", "turbografx 16", "tg16"],
+    extensions: [".pce", ".chd"],
+  },
+  {
+    platform: "PC",
+    folders: ["pc", "windows"],
+    extensions: [".exe"],
+  },
+]);
+
+/**
+ * Normaliza um nome de pasta (ou apelido) para comparação: minúsculas, sem acentos e com
+ * pontuação trocada por espaço ("Sony - PlayStation_2" -> "sony playstation 2").
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeFolderName(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // Acentos
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Partes do nome de uma pasta, normalizadas e separadas em palavras. O conteúdo entre
+ * parênteses/colchetes (ex: "(USA)", "[Redump]") é ignorado.
+ * @param {string} folderName
+ * @returns {Array<Array<string>>} Ex: "Sony - PlayStation 2" -> [["sony"], ["playstation", "2"]].
+ */
+function splitFolderName(folderName) {
+  return folderName
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+    .split(/\s+-\s+/)
+    .map((part) => normalizeFolderName(part).split(" ").filter(Boolean))
+    .filter((words) => words.length > 0);
+}
+
+/**
+ * Verifica se um nome de plataforma aparece numa parte da pasta seguido apenas de
+ * palavras genéricas ("sony playstation", "ps2 games"; não "playstation 3").
+ * @param {Array<string>} words Palavras da parte.
+ * @param {Array<string>} aliasWords Palavras do nome.
+ * @returns {boolean}
+ */
+function containsAlias(words, aliasWords) {
+  for (let start = 0; start + aliasWords.length <= words.length; start++) {
+    const matches = aliasWords.every((word, i) => words[start + i] === word);
+    const rest = words.slice(start + aliasWords.length);
+    if (matches && rest.every((word) => GENERIC_FOLDER_WORDS.has(word))) return true;
+  }
+  return false;
+}
+
+/**
+ * Normaliza uma extensão ("ISO", "*.iso", ".iso" -> ".iso").
+ * @param {string} extension
+ * @returns {string}
+ */
+function normalizeExtension(extension) {
+  const value = String(extension || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\*?\.?/, "");
+  return value ? `.${value}` : "";
+}
+
+/**
+ * Cria a tabela padrão (cópias, para que edições não alterem a tabela embutida).
+ * @returns {Array<{platform: string, folders: Array<string>, extensions: Array<string>}>}
+ */
+export function createDefaultPlatformMappings() {
+  return DEFAULT_PLATFORM_MAPPINGS.map((mapping) => ({
+    platform: mapping.platform,
+    folders: [...mapping.folders],
+    extensions: [...mapping.extensions],
+  }));
+}
+
+/**
+ * Separa uma lista digitada (vírgulas) em itens sem espaços nas pontas.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function parseMappingList(text) {
+  return String(text || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normaliza a tabela salva (ou editada). Sem uma lista válida, retorna a tabela padrão.
+ * @param {any} mappings
+ * @returns {Array<{platform: string, folders: Array<string>, extensions: Array<string>}>}
+ */
+export function normalizePlatformMappings(mappings) {
+  if (!Array.isArray(mappings)) return createDefaultPlatformMappings();
+
+  const toList = (value) =>
+    (Array.isArray(value) ? value : parseMappingList(value)).map((item) =>
+      String(item ?? "").trim()
+    );
+
+  return mappings
+    .filter((mapping) => mapping && typeof mapping === "object")
+    .map((mapping) => ({
+      platform: String(mapping.platform ?? "")
+        .trim()
+        .slice(0, MAX_PLATFORM_NAME_LENGTH),
+      folders: toList(mapping.folders).filter(Boolean),
+      extensions: toList(mapping.extensions)
+        .map(normalizeExtension)
+        .filter(Boolean),
+    }));
+}
+
+/**
+ * Cria a função que infere a plataforma de um arquivo (tabela preparada uma única vez,
+ * para processar pastas grandes).
+ * @param {Array<{platform: string, folders: Array<string>, extensions: Array<string>}>} mappings
+ * @returns {(path: string) => string} Recebe o caminho relativo e retorna a plataforma
+ *   ("" se nenhuma).
+ */
+export function createPlatformResolver(mappings) {
+  const usable = mappings.filter((mapping) => mapping.platform);
+  const aliases = usable
+    .flatMap((mapping) =>
+      mapping.folders.map((folder) => ({
+        alias: normalizeFolderName(folder),
+        platform: mapping.platform,
+      }))
+    )
+    .filter(({ alias }) => alias)
+    .map((entry) => ({ ...entry, words: entry.alias.split(" ") }))
+    .sort((a, b) => b.alias.length - a.alias.length); // O nome mais longo vence
+  const byExtension = new Map(); // extensão -> plataformas que a listam (ordem da tabela)
+  usable.forEach((mapping) =>
+    mapping.extensions.forEach((extension) => {
+      if (!byExtension.has(extension)) byExtension.set(extension, []);
+      byExtension.get(extension).push(mapping.platform);
+    })
+  );
+
+  return (path) => {
+    const parts = path.split("/");
+    const fileName = parts.pop();
+    // Pastas da mais próxima do arquivo para a raiz, cada uma dividida em partes
+    const folders = parts.reverse().map(splitFolderName);
+    const extension = fileName.match(/\.[^/.]+$/);
+    const extensionPlatforms =
+      (extension && byExtension.get(extension[0].toLowerCase())) || [];
+
+    // 1. Parte da pasta igual a um nome
+    for (const folderParts of folders) {
+      const match = aliases.find(({ alias }) =>
+        folderParts.some((words) => words.join(" ") === alias)
+      );
+      if (match) return match.platform;
+    }
+
+    // 2. Parte da pasta que contém um nome, se a extensão não indicar outra plataforma
+    for (const folderParts of folders) {
+      const match = aliases.find(({ words }) =>
+        folderParts.some((partWords) => containsAlias(partWords, words))
+      );
+      if (!match) continue;
+      return extensionPlatforms.length === 0 ||
+        extensionPlatforms.includes(match.platform)
+        ? match.platform
+        : extensionPlatforms[0];
+    }
+
+    // 3. Extensão: a primeira linha que a lista
+    return extensionPlatforms[0] || "";
+  };
+}
@@ -0,0 +1,396 @@
+// assets/js/utils/QueryParser.js
+
+/**
+ * @fileoverview Sintaxe de consulta da pesquisa da tabela de jogos.
+ *
+ * Exemplos:
+ *   final fantasy                  -> título contém "final" E "fantasy"
+ *   "final fantasy"                -> título contém a frase
+ *   status:Jogando note>=8         -> status igual a Jogando E nota >= 8
+ *   diff:A..S+                     -> dificuldade entre A e S+ (ordem da aba)
+ *   -status:Zerado                 -> negação
+ *   status:Jogando OR status:Pausado, (tag:rpg | tag:jrpg) hours<10
+ *
+ * Operadores: `:` (contém / igual / intervalo `a..b`), `=`, `>`, `>=`, `<`, `<=`.
+ * Só nomes de campo conhecidos (ver QUERY_FIELDS) iniciam um filtro; qualquer outra
+ * palavra é texto livre (ex: "Zelda: Breath of the Wild" pesquisa o título).
+ * Termos lado a lado são combinados com E; `OR` ou `|` combina com OU; parênteses agrupam.
+ *
+ * `parseQuery` gera a árvore sintática; `compileQuery` valida os valores contra a
+ * configuração da aba e retorna um predicado. Erros são lançados como QueryParseError,
+ * com a posição no texto, para exibição na própria tela.
+ *
+ * Funções puras (sem DOM). Faz parte da Camada Service/Utils.
+ */
+
+import { GameNote, GameFieldLabels } from "./EnumOptionsTable.js";
+
+/**
+ * Campos pesquisáveis: nomes aceitos na consulta e tipo de comparação.
+ * `kind`: "text" (contém), "enum" (lista ordenada da aba), "number", "date" ou "tags".
+ * @type {Object<string, {aliases: Array<string>, kind: string, configKey?: string}>}
+ */
+export const QUERY_FIELDS = {
+  title: { aliases: ["title", "titulo", "título", "t"], kind: "text" },
+  status: { aliases: ["status", "s"], kind: "enum", configKey: "statuses" },
+  note: { aliases: ["note", "nota", "n"], kind: "number" },
+  difficulty: {
+    aliases: ["diff", "difficulty", "dificuldade", "dif", "d"],
+    kind: "enum",
+    configKey: "difficulties",
+  },
+  platform: {
+    aliases: ["platform", "plataforma", "plat", "p"],
+    kind: "text",
+  },
+  tags: { aliases: ["tag", "tags"], kind: "tags" },
+  startDate: { aliases: ["start", "inicio", "início"], kind: "date" },
+  finishDate: {
+    aliases: ["finish", "fim", "termino", "término"],
+    kind: "date",
+  },
+  hoursPlayed: { aliases: ["hours", "horas", "h"], kind: "number" },
+};
+
+const COMPARISON_OPERATORS = [">=", "<=", ">", "<"];
+const FIELD_PATTERN = /^([A-Za-zÀ-ÿ]+)(>=|<=|:|=|>|<)/;
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+// Sufixo que faz um prefixo de data ("2024") ser maior que qualquer data que começa com ele
+const DATE_PREFIX_END = "\uffff";
+
+/**
+ * Erro de sintaxe (ou de valor) na consulta.
+ */
+export class QueryParseError extends Error {
+  /**
+   * @param {string} message - Descrição legível do problema.
+   * @param {number} position - Posição (0-based) no texto da consulta.
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = "QueryParseError";
+    this.position = position;
+  }
+}
+
+/**
+ * Localiza o campo pelo nome digitado (sem diferenciar maiúsculas).
+ * @param {string} name
+ * @returns {string | null} Chave do campo em QUERY_FIELDS.
+ */
+function resolveField(name) {
+  const lower = name.toLowerCase();
+  return (
+    Object.keys(QUERY_FIELDS).find((key) =>
+      QUERY_FIELDS[key].aliases.includes(lower)
+    ) || null
+  );
+}
+
+/**
+ * Lê um texto entre aspas a partir de `start` (que aponta para a aspa de abertura).
+ * @returns {{value: string, end: number}} `end` é o índice após a aspa de fechamento.
+ */
+function readQuoted(text, start) {
+  const close = text.indexOf('"', start + 1);
+  if (close === -1) {
+    throw new QueryParseError("Aspas não fechadas", start);
+  }
+  return { value: text.slice(start + 1, close), end: close + 1 };
+}
+
+/**
+ * Lê uma palavra (até espaço ou parêntese).
+ * @returns {{value: string, end: number}}
+ */
+function readWord(text, start) {
+  let end = start;
+  while (end < text.length && !/[\s()]/.test(text[end])) end++;
+  return { value: text.slice(start, end), end };
+}
+
+/**
+ * Divide a consulta em tokens: "(", ")", "or", "not" e termos (texto ou campo/operador/valor).
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char === "(" ? "lparen" : "rparen", position: i });
+      i++;
+    } else if (char === "|") {
+      tokens.push({ type: "or", position: i });
+      i++;
+    } else if (char === "-" && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      tokens.push({ type: "not", position: i });
+      i++;
+    } else if (char === '"') {
+      const { value, end } = readQuoted(text, i);
+      tokens.push({ type: "text", value, position: i });
+      i = end;
+    } else {
+      const fieldMatch = text.slice(i).match(FIELD_PATTERN);
+      // Nome que não é um campo (ex: "Zelda:"): a palavra inteira é texto livre
+      const field = fieldMatch ? resolveField(fieldMatch[1]) : null;
+      if (field) {
+        const [matched, , operator] = fieldMatch;
+        const valueStart = i + matched.length;
+        const { value, end } =
+          text[valueStart] === '"'
+            ? readQuoted(text, valueStart)
+            : readWord(text, valueStart);
+        if (!value) {
+          throw new QueryParseError(`Valor ausente após "${matched}"`, valueStart);
+        }
+        tokens.push({ type: "field", field, operator, value, position: i });
+        i = end;
+      } else {
+        const { value, end } = readWord(text, i);
+        tokens.push(
+          value === "OR"
+            ? { type: "or", position: i }
+            : { type: "text", value, position: i }
+        );
+        i = end;
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Faz o parse da consulta (descida recursiva).
+ * Gramática: or := and (OR and)* ; and := unary+ ; unary := "-" unary | "(" or ")" | termo
+ *
+ * @param {string} text - Texto digitado na pesquisa.
+ * @returns {Object | null} Árvore sintática ou `null` para consulta vazia.
+ * @throws {QueryParseError}
+ */
+export function parseQuery(text) {
+  const tokens = tokenize(String(text || ""));
+  if (tokens.length === 0) return null;
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const endPosition = String(text).length;
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) {
+      throw new QueryParseError("Consulta incompleta", endPosition);
+    }
+    if (token.type === "not") {
+      index++;
+      return { type: "not", child: parseUnary() };
+    }
+    if (token.type === "lparen") {
+      index++;
+      const node = parseOr();
+      if (!peek() || peek().type !== "rparen") {
+        throw new QueryParseError("Parêntese não fechado", token.position);
+      }
+      index++;
+      return node;
+    }
+    if (token.type === "rparen") {
+      throw new QueryParseError("Parêntese ')' sem abertura", token.position);
+    }
+    if (token.type === "or") {
+      throw new QueryParseError("OR sem termo antes", token.position);
+    }
+    index++;
+    return token;
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== "or" && peek().type !== "rparen") {
+      children.push(parseUnary());
+    }
+    if (children.length === 0) {
+      const token = peek();
+      throw new QueryParseError(
+        token && token.type === "or" ? "OR sem termo antes" : "Termo ausente",
+        token ? token.position : endPosition
+      );
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === "or") {
+      const orToken = peek();
+      index++;
+      if (!peek() || peek().type === "rparen") {
+        throw new QueryParseError("OR sem termo depois", orToken.position);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  };
+
+  const ast = parseOr();
+  if (peek()) {
+    throw new QueryParseError("Parêntese ')' sem abertura", peek().position);
+  }
+  return ast;
+}
+
+/**
+ * Cria o predicado de um termo de campo, validando operador e valor.
+ * @param {Object} node - Token do tipo "field".
+ * @param {{statuses: Array<string>, difficulties: Array<string>}} config - Configuração da aba.
+ * @returns {Function} `(game) => boolean`
+ */
+function compileFieldTerm(node, config) {
+  const { field, operator, value, position } = node;
+  const { kind, configKey } = QUERY_FIELDS[field];
+  const label = GameFieldLabels[field];
+  const isComparison = COMPARISON_OPERATORS.includes(operator);
+  const isRange = operator === ":" && value.includes("..");
+
+  if ((kind === "text" || kind === "tags") && (isComparison || isRange)) {
+    throw new QueryParseError(
+      `${label} aceita apenas ":" ou "="`,
+      position
+    );
+  }
+
+  // Converte o valor digitado em um valor comparável (e valida)
+  let toComparable;
+  let getGameValue;
+  if (kind === "enum" || field === "note") {
+    const list = kind === "enum" ? config[configKey] : GameNote;
+    toComparable = (raw) => {
+      const index = list.findIndex(
+        (item) => item.toLowerCase() === raw.toLowerCase()
+      );
+      if (index === -1) {
+        throw new QueryParseError(
+          `${label} "${raw}" não existe (opções: ${list.join(", ")})`,
+          position
+        );
+      }
+      return index;
+    };
+    getGameValue = (game) => list.indexOf(String(game[field]));
+  } else if (kind === "number") {
+    toComparable = (raw) => {
+      const number = Number(raw.replace(",", "."));
+      if (raw.trim() === "" || Number.isNaN(number)) {
+        throw new QueryParseError(`${label} precisa de um número`, position);
+      }
+      return number;
+    };
+    getGameValue = (game) => Number(game[field]) || 0;
+  } else if (kind === "date") {
+    toComparable = (raw) => {
+      if (!DATE_PATTERN.test(raw)) {
+        throw new QueryParseError(
+          `${label} precisa de uma data AAAA, AAAA-MM ou AAAA-MM-DD`,
+          position
+        );
+      }
+      return raw;
+    };
+    getGameValue = (game) => game[field] || "";
+  }
+
+  if (kind === "text") {
+    const term = value.toLowerCase();
+    return operator === "="
+      ? (game) => String(game[field] || "").toLowerCase() === term
+      : (game) => String(game[field] || "").toLowerCase().includes(term);
+  }
+
+  if (kind === "tags") {
+    const tag = value.toLowerCase();
+    return (game) =>
+      (game.tags || []).some((gameTag) => gameTag.toLowerCase() === tag);
+  }
+
+  const isDate = kind === "date";
+  // Datas vazias nunca entram em comparações
+  const hasValue = (game) => !isDate || getGameValue(game) !== "";
+
+  if (isRange) {
+    const [fromRaw, toRaw] = value.split("..");
+    const from = fromRaw ? toComparable(fromRaw) : null;
+    const to = toRaw ? toComparable(toRaw) : null;
+    const upper = isDate && to !== null ? to + DATE_PREFIX_END : to;
+    return (game) => {
+      const current = getGameValue(game);
+      return (
+        hasValue(game) &&
+        (from === null || current >= from) &&
+        (upper === null || current <= upper)
+      );
+    };
+  }
+
+  const target = toComparable(value);
+  // Para datas parciais ("2024"), "<=" e ">" consideram o período inteiro
+  const upperTarget = isDate ? target + DATE_PREFIX_END : target;
+
+  switch (operator) {
+    case ">":
+      return (game) => hasValue(game) && getGameValue(game) > upperTarget;
+    case ">=":
+      return (game) => hasValue(game) && getGameValue(game) >= target;
+    case "<":
+      return (game) => hasValue(game) && getGameValue(game) < target;
+    case "<=":
+      return (game) => hasValue(game) && getGameValue(game) <= upperTarget;
+    case ":":
+      // Em datas, ":" aceita prefixo (ano ou mês)
+      return isDate
+        ? (game) => getGameValue(game).startsWith(target)
+        : (game) => getGameValue(game) === target;
+    default:
+      return (game) => getGameValue(game) === target;
+  }
+}
+
+/**
+ * Converte a árvore sintática em um predicado sobre jogos.
+ *
+ * @param {Object | null} ast - Resultado de parseQuery.
+ * @param {{statuses: Array<string>, difficulties: Array<string>}} config - Configuração da aba.
+ * @returns {Function} `(game) => boolean` (aceita tudo para consulta vazia).
+ * @throws {QueryParseError} Se algum valor não for válido para o campo.
+ */
+export function compileQuery(ast, config) {
+  if (!ast) return () => true;
+
+  switch (ast.type) {
+    case "and": {
+      const predicates = ast.children.map((child) => compileQuery(child, config));
+      return (game) => predicates.every((predicate) => predicate(game));
+    }
+    case "or": {
+      const predicates = ast.children.map((child) => compileQuery(child, config));
+      return (game) => predicates.some((predicate) => predicate(game));
+    }
+    case "not": {
+      const predicate = compileQuery(ast.child, config);
+      return (game) => !predicate(game);
+    }
+    case "field":
+      return compileFieldTerm(ast, config);
+    default: {
+      // Texto livre: busca no título
+      const term = ast.value.toLowerCase();
+      return (game) => (game.title || "").toLowerCase().includes(term);
+    }
+  }
+}
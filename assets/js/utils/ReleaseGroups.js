@@ -0,0 +1,147 @@
+// assets/js/utils/ReleaseGroups.js
+
+/**
+ * @fileoverview Agrupamento dos arquivos processados por jogo ("lançamento"): todos os
+ * arquivos cujo nome limpo é o mesmo (discos, versões, pares .cue/.bin, faixas .gdi)
+ * formam um grupo, com a contagem de discos e de arquivos e o tamanho total.
+ *
+ * Cada arquivo também recebe as etiquetas do nome (região, idiomas, revisão, ver
+ * ReleaseTags.js), e o grupo, a união delas. Arquivos de plataformas diferentes (ver
+ * PlatformMapping.js) formam grupos diferentes, mesmo com o mesmo nome limpo.
+ *
+ * Funções puras (sem DOM/storage), usadas pelo Controller (processor.js).
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+import { parseReleaseTags, mergeReleaseTags } from "./ReleaseTags.js";
+
+// Identificação do disco no nome original (ex: "Disc 2", "CD1", "Parte B"): um número
+// curto ou uma única letra maiúscula, para não confundir "Discworld", "Disk Station", "CDi"
+const DISC_PATTERN = /\b(?:[Dd]is[ck]|DIS[CK]|CD|[Pp]arte|PARTE)\s*(\d{1,2}|[A-Z])\b/;
+// Faixas com nome genérico (ex: "track01.bin" de um .gdi): o jogo é o nome da pasta
+const TRACK_FILE_PATTERN = /^track\s*\d+(\.[^/.]+)?$/i;
+
+/**
+ * Nome usado na limpeza: o nome do arquivo ou, para faixas com nome genérico,
+ * o nome da pasta onde elas estão.
+ * @param {{name: string, path: string}} file
+ * @returns {string}
+ */
+export function getReleaseSourceName(file) {
+  if (!TRACK_FILE_PATTERN.test(file.name)) return file.name;
+  const pathParts = file.path.split("/");
+  return pathParts.length > 1 ? pathParts[pathParts.length - 2] : file.name;
+}
+
+/**
+ * Identificação do disco no nome do arquivo.
+ * @param {string} fileName
+ * @returns {string | null} Ex: "2" para "Jogo (Disc 2).bin" ou "(Disc 02)"; null se não houver.
+ */
+export function getDiscLabel(fileName) {
+  const match = fileName.match(DISC_PATTERN);
+  if (!match) return null;
+  return /^\d+$/.test(match[1]) ? String(Number(match[1])) : match[1];
+}
+
+/**
+ * Monta um grupo a partir dos seus arquivos (contagens, tamanho e etiquetas).
+ * @param {string} name Nome limpo.
+ * @param {Array<Object>} files Arquivos (com `tags` e, todos iguais, `platform`).
+ * @returns {{name: string, platform: string, files: Array<Object>, discCount: number, totalSize: number, tags: Object}}
+ */
+function createGroup(name, files) {
+  const discLabels = new Set(files.map((file) => getDiscLabel(file.name)));
+  discLabels.delete(null);
+  return {
+    name,
+    platform: files[0]?.platform || "",
+    files,
+    discCount: Math.max(1, discLabels.size),
+    totalSize: files.reduce((total, file) => total + (file.size || 0), 0),
+    tags: mergeReleaseTags(files.map((file) => file.tags)),
+  };
+}
+
+/**
+ * Agrupa os arquivos pelo nome limpo e pela plataforma. Arquivos cujo nome limpo fica
+ * vazio são descartados.
+ * @param {Array<{name: string, path: string, size: number, platform?: string}>} files
+ * @param {(rawName: string) => string} cleanFileName Função de limpeza (regras ativas).
+ * @returns {Array<{name: string, platform: string, files: Array<{name: string, path: string, size: number, tags: Object}>, discCount: number, totalSize: number, tags: Object}>}
+ *   Grupos em ordem alfabética (e, com o mesmo nome, pela plataforma); os arquivos de
+ *   cada grupo, pelo caminho.
+ */
+export function groupReleases(files, cleanFileName) {
+  const filesByKey = new Map(); // plataforma + nome limpo -> arquivos
+
+  files.forEach((file) => {
+    const sourceName = getReleaseSourceName(file);
+    const name = cleanFileName(sourceName);
+    if (!name) return;
+    const key = `${file.platform || ""}\n${name}`;
+    if (!filesByKey.has(key)) filesByKey.set(key, { name, files: [] });
+    filesByKey
+      .get(key)
+      .files.push({ ...file, tags: parseReleaseTags(sourceName) });
+  });
+
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return [...filesByKey.values()]
+    .map(({ name, files: groupFiles }) =>
+      createGroup(
+        name,
+        groupFiles.sort((a, b) => a.path.localeCompare(b.path))
+      )
+    )
+    .sort((a, b) => compare(a.name, b.name) || compare(a.platform, b.platform));
+}
+
+/**
+ * Regra de região preferida: quando dumps de várias regiões caem no mesmo jogo, mantém
+ * só os arquivos da primeira região da lista presente no grupo. Arquivos sem região no
+ * nome (ex: o .gdi ou o .m3u ao lado das faixas de "Jogo (USA)/") são sempre mantidos.
+ * Grupos sem nenhuma das regiões ficam como estão.
+ * @param {Array<Object>} groups Grupos de groupReleases.
+ * @param {Array<string>} preferredRegions Regiões em ordem de preferência.
+ * @returns {{groups: Array<Object>, discardedCount: number}} Grupos e arquivos descartados.
+ */
+export function applyRegionPreference(groups, preferredRegions) {
+  let discardedCount = 0;
+  if (preferredRegions.length === 0) return { groups, discardedCount };
+
+  const result = groups.map((group) => {
+    const region = preferredRegions.find((preferred) =>
+      group.tags.regions.includes(preferred)
+    );
+    const keptFiles = region
+      ? group.files.filter(
+          (file) =>
+            file.tags.regions.length === 0 || file.tags.regions.includes(region)
+        )
+      : group.files;
+    if (keptFiles.length === group.files.length) return group;
+    discardedCount += group.files.length - keptFiles.length;
+    return createGroup(group.name, keptFiles);
+  });
+
+  return { groups: result, discardedCount };
+}
+
+/**
+ * Formata um tamanho em bytes (ex: "1,4 GB").
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unitIndex = 0;
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex++;
+  }
+  const digits = unitIndex === 0 || value >= 100 ? 0 : 1;
+  return `${value.toLocaleString("pt-BR", { maximumFractionDigits: digits })} ${units[unitIndex]}`;
+}
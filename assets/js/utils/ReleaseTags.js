@@ -0,0 +1,214 @@
+// assets/js/utils/ReleaseTags.js
+
+/**
+ * @fileoverview Extração das etiquetas dos nomes de arquivos no padrão No-Intro/Redump
+ * (e as abreviações do GoodTools): região `(USA, Europe)`, idiomas `(En,Fr,De)`,
+ * revisão `(Rev 1)` / `v1.1` e marcações do dump `[!]`, `[b1]`, `[T+Eng]`.
+ *
+ * As regras de limpeza continuam removendo essas etiquetas do nome exibido; aqui elas
+ * viram metadados do jogo.
+ *
+ * Funções puras (sem DOM/storage), usadas por ReleaseGroups.js e pelo Controller.
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+/** Regiões reconhecidas (nomes usados pelo No-Intro/Redump). */
+const KNOWN_REGIONS = [
+  "World",
+  "USA",
+  "Europe",
+  "Japan",
+  "Asia",
+  "Australia",
+  "Brazil",
+  "Canada",
+  "China",
+  "France",
+  "Germany",
+  "Hong Kong",
+  "Italy",
+  "Korea",
+  "Netherlands",
+  "Russia",
+  "Scandinavia",
+  "Spain",
+  "Sweden",
+  "Taiwan",
+  "UK",
+];
+
+/** Abreviações do GoodTools: "(U)", "(E)", "(JU)"... */
+const GOODTOOLS_REGIONS = {
+  W: "World",
+  U: "USA",
+  E: "Europe",
+  J: "Japan",
+  A: "Australia",
+  B: "Brazil",
+  C: "China",
+  F: "France",
+  G: "Germany",
+  I: "Italy",
+  K: "Korea",
+  S: "Spain",
+};
+
+/** Códigos de idioma do No-Intro (ex: "En", "Pt", "Zh-Hant"). */
+const LANGUAGE_CODES = new Set([
+  "En",
+  "Ja",
+  "Fr",
+  "De",
+  "Es",
+  "It",
+  "Nl",
+  "Pt",
+  "Sv",
+  "No",
+  "Da",
+  "Fi",
+  "Zh",
+  "Ko",
+  "Pl",
+  "Ru",
+  "Ca",
+  "Cs",
+  "El",
+  "Hu",
+  "Tr",
+  "Ar",
+  "He",
+  "Hr",
+]);
+
+const REVISION_PATTERN = /^(Rev\s*[\dA-Z.]+|v\d+(\.\d+)*[a-z]?)$/i;
+const TRAILING_VERSION_PATTERN = /\s(v\d+(\.\d+)+[a-z]?)$/i;
+// Marcações do GoodTools dentro de colchetes: verificado, ruim, alternativo, hack, tradução...
+const DUMP_FLAG_PATTERN = /^(!|[abfhopt]\d*|T[+-].+)$/;
+
+/** Valor que representa, no filtro, os jogos sem região identificada. */
+export const NO_REGION = "";
+
+/**
+ * Acrescenta os valores (não vazios) que ainda não estão na lista.
+ * @param {Array<string>} list
+ * @param {Array<string | null>} values
+ */
+function addUnique(list, values) {
+  values.forEach((value) => {
+    if (value && !list.includes(value)) list.push(value);
+  });
+}
+
+/**
+ * Separa uma etiqueta em itens (vírgulas; no No-Intro, às vezes "+").
+ * @param {string} content
+ * @returns {Array<string>}
+ */
+function splitTagItems(content) {
+  return content
+    .split(/\s*[,+]\s*/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Interpreta o conteúdo de uma etiqueta entre parênteses como lista de regiões.
+ * @param {string} content
+ * @returns {Array<string> | null} As regiões ou null se não for uma etiqueta de região.
+ */
+function parseRegions(content) {
+  const items = splitTagItems(content);
+  const regions = items.map((item) =>
+    KNOWN_REGIONS.find((region) => region.toLowerCase() === item.toLowerCase())
+  );
+  if (items.length > 0 && regions.every(Boolean)) return regions;
+
+  // GoodTools: uma a três letras maiúsculas, todas conhecidas
+  if (
+    /^[A-Z]{1,3}$/.test(content) &&
+    [...content].every((c) => GOODTOOLS_REGIONS[c])
+  ) {
+    return [...content].map((c) => GOODTOOLS_REGIONS[c]);
+  }
+  return null;
+}
+
+/**
+ * Interpreta o conteúdo de uma etiqueta entre parênteses como lista de idiomas.
+ * @param {string} content
+ * @returns {Array<string> | null}
+ */
+function parseLanguages(content) {
+  const items = splitTagItems(content);
+  const isLanguage = (item) => LANGUAGE_CODES.has(item.split("-")[0]);
+  return items.length > 0 && items.every(isLanguage) ? items : null;
+}
+
+/**
+ * Extrai as etiquetas do nome de um arquivo.
+ * @param {string} rawName Nome original (com ou sem extensão).
+ * @returns {{regions: Array<string>, languages: Array<string>, revision: string | null, flags: Array<string>}}
+ */
+export function parseReleaseTags(rawName) {
+  const tags = { regions: [], languages: [], revision: null, flags: [] };
+
+  const nameWithoutExtension = rawName.replace(/\.[^/.]+$/, "");
+  for (const [, open, content] of nameWithoutExtension.matchAll(
+    /([([])([^)\]]+)[)\]]/g
+  )) {
+    const text = content.trim();
+    if (open === "[") {
+      if (DUMP_FLAG_PATTERN.test(text)) addUnique(tags.flags, [text]);
+      continue;
+    }
+    const regions = parseRegions(text);
+    const languages = regions ? null : parseLanguages(text);
+    if (regions) addUnique(tags.regions, regions);
+    else if (languages) addUnique(tags.languages, languages);
+    else if (!tags.revision && REVISION_PATTERN.test(text)) tags.revision = text;
+  }
+
+  // Versão fora dos parênteses, no final do nome (ex: "Jogo v1.1")
+  const trailingVersion = nameWithoutExtension
+    .trim()
+    .match(TRAILING_VERSION_PATTERN);
+  if (!tags.revision && trailingVersion) tags.revision = trailingVersion[1];
+
+  return tags;
+}
+
+/**
+ * Une as etiquetas de vários arquivos (ex: os discos de um jogo), sem repetições.
+ * @param {Array<Object>} tagList Resultados de parseReleaseTags.
+ * @returns {{regions: Array<string>, languages: Array<string>, revisions: Array<string>, flags: Array<string>}}
+ */
+export function mergeReleaseTags(tagList) {
+  const merged = { regions: [], languages: [], revisions: [], flags: [] };
+
+  tagList.forEach((tags) => {
+    addUnique(merged.regions, tags.regions);
+    addUnique(merged.languages, tags.languages);
+    addUnique(merged.revisions, [tags.revision]);
+    addUnique(merged.flags, tags.flags);
+  });
+  return merged;
+}
+
+/**
+ * Interpreta uma lista de regiões digitada pelo usuário (ex: "usa, Europe, J").
+ * Abreviações do GoodTools são aceitas; valores desconhecidos são descartados.
+ * @param {string} text
+ * @returns {Array<string>} Regiões reconhecidas, na ordem digitada.
+ */
+export function parseRegionList(text) {
+  const regions = [];
+  splitTagItems(text).forEach((item) => {
+    const region =
+      KNOWN_REGIONS.find((known) => known.toLowerCase() === item.toLowerCase()) ||
+      GOODTOOLS_REGIONS[item.toUpperCase()];
+    if (region && !regions.includes(region)) regions.push(region);
+  });
+  return regions;
+}
@@ -0,0 +1,216 @@
+// assets/js/utils/SchemaMigrations.js
+
+/**
+ * @fileoverview Versionamento do formato persistido (`gameTrackerTabs`) e
+ * lista ordenada de migrações aplicadas no carregamento e na importação.
+ *
+ * Formato atual (envelope versionado):
+ *   { schemaVersion: number, tabs: [{ id, name, config, games: [...] }] }
+ *
+ * Formato legado (versão 0): o array de abas salvo diretamente, sem envelope.
+ *
+ * Todas as funções de migração são PURAS: recebem o payload da versão anterior
+ * e retornam um novo payload, sem acessar DOM, storage ou mutar a entrada.
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+import { createDefaultTabConfig } from "./TabConfig.js";
+
+/**
+ * Versão do schema que esta versão da aplicação grava e entende.
+ * Deve ser igual ao `version` da última migração de MIGRATIONS.
+ * @type {number}
+ */
+export const CURRENT_SCHEMA_VERSION = 5;
+
+/**
+ * Erro lançado quando os dados foram gravados por uma versão MAIS NOVA da aplicação.
+ * Carregar esses dados poderia descartar campos desconhecidos, então a carga é recusada.
+ */
+export class SchemaVersionError extends Error {
+  /**
+   * @param {number} foundVersion - Versão encontrada nos dados.
+   * @param {number} supportedVersion - Versão máxima suportada pela aplicação.
+   */
+  constructor(foundVersion, supportedVersion = CURRENT_SCHEMA_VERSION) {
+    super(
+      `Os dados foram salvos por uma versão mais nova do Game Tracker (schema ${foundVersion}). ` +
+        `Esta versão suporta até o schema ${supportedVersion}. Atualize a aplicação para abri-los.`
+    );
+    this.name = "SchemaVersionError";
+    this.foundVersion = foundVersion;
+    this.supportedVersion = supportedVersion;
+  }
+}
+
+/**
+ * Erro lançado quando o payload não corresponde a nenhum formato conhecido.
+ */
+export class SchemaFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SchemaFormatError";
+  }
+}
+
+/**
+ * Aplica uma transformação a cada jogo de cada aba, retornando novas abas.
+ * @param {Array} tabs - Abas de origem.
+ * @param {Function} mapGame - Recebe o jogo e retorna o jogo migrado.
+ * @returns {Array}
+ */
+function mapGames(tabs, mapGame) {
+  return tabs.map((tab) => ({
+    ...tab,
+    games: tab.games.map((game) => mapGame({ ...game })),
+  }));
+}
+
+/**
+ * Lista ORDENADA de migrações. Cada etapa leva o payload de `version - 1` para `version`.
+ * Para alterar o formato: adicione uma etapa no final e incremente CURRENT_SCHEMA_VERSION.
+ * @type {Array<{version: number, description: string, migrate: Function}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Envolve o array legado de abas em um envelope versionado",
+    migrate: (legacyTabs) => ({
+      schemaVersion: 1,
+      tabs: legacyTabs.map((tab) => ({
+        ...tab,
+        games: Array.isArray(tab.games) ? tab.games.map((g) => ({ ...g })) : [],
+      })),
+    }),
+  },
+  {
+    version: 2,
+    description: "Adiciona datas de início/término e horas jogadas",
+    migrate: (payload) => ({
+      ...payload,
+      schemaVersion: 2,
+      tabs: mapGames(payload.tabs, (game) => ({
+        ...game,
+        startDate: game.startDate || "",
+        finishDate: game.finishDate || "",
+        hoursPlayed: Number(game.hoursPlayed) || 0,
+      })),
+    }),
+  },
+  {
+    version: 3,
+    description: "Adiciona plataforma e tags",
+    migrate: (payload) => ({
+      ...payload,
+      schemaVersion: 3,
+      tabs: mapGames(payload.tabs, (game) => ({
+        ...game,
+        platform: game.platform || "",
+        tags: Array.isArray(game.tags) ? [...game.tags] : [],
+      })),
+    }),
+  },
+  {
+    version: 4,
+    description: "Adiciona a configuração de status/dificuldades por aba",
+    migrate: (payload) => ({
+      ...payload,
+      schemaVersion: 4,
+      tabs: payload.tabs.map((tab) => ({
+        ...tab,
+        config: tab.config || createDefaultTabConfig(),
+      })),
+    }),
+  },
+  {
+    version: 5,
+    description: "Adiciona a data da última alteração de cada jogo",
+    migrate: (payload) => ({
+      ...payload,
+      schemaVersion: 5,
+      tabs: mapGames(payload.tabs, (game) => ({
+        ...game,
+        updatedAt: game.updatedAt || "",
+      })),
+    }),
+  },
+];
+
+/**
+ * Verifica se um valor tem a estrutura mínima de um array de abas.
+ * @param {any} tabs
+ * @returns {boolean}
+ */
+function isTabArray(tabs) {
+  return (
+    Array.isArray(tabs) &&
+    tabs.every((t) => t && t.id && t.name && Array.isArray(t.games))
+  );
+}
+
+/**
+ * Identifica a versão de schema de um payload bruto.
+ * @param {any} payload - Dados carregados do storage ou de um arquivo importado.
+ * @returns {number} Versão detectada (0 para o array legado).
+ * @throws {SchemaFormatError} Se o formato não for reconhecido.
+ */
+export function detectSchemaVersion(payload) {
+  if (Array.isArray(payload)) return 0;
+
+  if (
+    payload &&
+    typeof payload === "object" &&
+    Number.isInteger(payload.schemaVersion) &&
+    payload.schemaVersion >= 1
+  ) {
+    return payload.schemaVersion;
+  }
+
+  throw new SchemaFormatError(
+    "Formato de dados não reconhecido (esperado um envelope com schemaVersion ou um array de abas)."
+  );
+}
+
+/**
+ * Executa, em ordem, todas as migrações necessárias para levar o payload à versão atual.
+ *
+ * @param {any} payload - Dados brutos (envelope versionado ou array legado).
+ * @returns {{schemaVersion: number, tabs: Array, migratedFrom: number}} Payload na versão atual,
+ *   com `migratedFrom` indicando a versão original.
+ * @throws {SchemaVersionError} Se os dados forem de uma versão mais nova que a aplicação.
+ * @throws {SchemaFormatError} Se o formato (ou o resultado de alguma etapa) for inválido.
+ */
+export function migratePayload(payload) {
+  const fromVersion = detectSchemaVersion(payload);
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new SchemaVersionError(fromVersion);
+  }
+
+  if (fromVersion === 0 ? !isTabArray(payload) : !isTabArray(payload.tabs)) {
+    throw new SchemaFormatError(
+      "Estrutura inválida: esperado um array de abas com ID, Nome e Array de Jogos."
+    );
+  }
+
+  const migrated = MIGRATIONS.filter((m) => m.version > fromVersion).reduce(
+    (current, migration) => migration.migrate(current),
+    payload
+  );
+
+  return {
+    ...migrated,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    migratedFrom: fromVersion,
+  };
+}
+
+/**
+ * Cria o envelope versionado para persistência/exportação.
+ * @param {Array} tabs - Abas no formato atual.
+ * @returns {{schemaVersion: number, tabs: Array}}
+ */
+export function createEnvelope(tabs) {
+  return { schemaVersion: CURRENT_SCHEMA_VERSION, tabs };
+}
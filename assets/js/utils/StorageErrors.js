@@ -0,0 +1,54 @@
+// assets/js/utils/StorageErrors.js
+
+/**
+ * @fileoverview Erros tipados dos serviços de persistência (LocalStorageService e
+ * IndexedDbStorageService). Os serviços não exibem mensagens ao usuário: lançam
+ * (ou rejeitam com) estes erros e o Controller decide como apresentá-los.
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+/**
+ * Falha genérica de leitura/escrita no armazenamento do navegador.
+ */
+export class StorageError extends Error {
+  /**
+   * @param {string} message - Mensagem para o usuário.
+   * @param {Error} [cause] - Erro original da API de armazenamento.
+   */
+  constructor(message, cause = null) {
+    super(message);
+    this.name = "StorageError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * O armazenamento do navegador está cheio (QuotaExceededError).
+ */
+export class StorageQuotaError extends StorageError {
+  /**
+   * @param {Error} [cause] - Erro original da API de armazenamento.
+   */
+  constructor(cause = null) {
+    super(
+      "O armazenamento do navegador está cheio. Não foi possível salvar as alterações.",
+      cause
+    );
+    this.name = "StorageQuotaError";
+  }
+}
+
+/**
+ * Identifica erros de cota das APIs de armazenamento (os nomes variam entre navegadores).
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  return Boolean(
+    error &&
+      (error.name === "QuotaExceededError" ||
+        error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+        error.code === 22)
+  );
+}
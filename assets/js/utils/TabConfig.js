@@ -0,0 +1,121 @@
+// assets/js/utils/TabConfig.js
+
+/**
+ * @fileoverview Configuração de enumerações por aba (lista ordenada de status, quais
+ * status contam como concluídos e escala de dificuldade). Cada aba guarda sua própria configuração em `tab.config`;
+ * abas sem configuração usam os valores padrão de EnumOptionsTable.js.
+ *
+ * Funções puras (sem DOM/storage), usadas pelo Controller, pelo Model (validação)
+ * e pelo TableManager (opções dos selects e ordem de ordenação).
+ *
+ * Faz parte da Camada Service/Utils.
+ */
+
+import {
+  GameStatus,
+  GameCompletedStatus,
+  GameDifficulty,
+} from "./EnumOptionsTable.js";
+
+/**
+ * Campos de jogo cujas opções são configuráveis por aba, mapeados para a chave em `tab.config`.
+ * @type {Object<string, string>}
+ */
+export const CONFIGURABLE_FIELDS = {
+  status: "statuses",
+  difficulty: "difficulties",
+};
+
+/**
+ * Cria a configuração padrão (cópia dos arrays globais, para que edições não os alterem).
+ * @returns {{statuses: Array<string>, completedStatuses: Array<string>, difficulties: Array<string>}}
+ */
+export function createDefaultTabConfig() {
+  return {
+    statuses: [...GameStatus],
+    completedStatuses: [...GameCompletedStatus],
+    difficulties: [...GameDifficulty],
+  };
+}
+
+/**
+ * Normaliza uma lista de valores: remove espaços extras, vazios e duplicatas (mantém a ordem).
+ * @param {Array<string>} values
+ * @returns {Array<string>}
+ */
+export function normalizeEnumList(values) {
+  const seen = new Set();
+  return (Array.isArray(values) ? values : [])
+    .map((value) => String(value ?? "").trim())
+    .filter((value) => {
+      if (!value || seen.has(value)) return false;
+      seen.add(value);
+      return true;
+    });
+}
+
+/**
+ * Retorna a configuração efetiva de uma aba, completando listas ausentes ou vazias com o padrão.
+ * Os status concluídos só incluem status da lista; abas salvas antes dessa opção usam
+ * os concluídos padrão que existirem na sua lista.
+ * @param {Object | null} tab - Aba ({ id, name, games, config? }).
+ * @returns {{statuses: Array<string>, completedStatuses: Array<string>, difficulties: Array<string>}}
+ */
+export function getTabConfig(tab) {
+  const defaults = createDefaultTabConfig();
+  const config = (tab && tab.config) || {};
+  const statuses = normalizeEnumList(config.statuses);
+  const difficulties = normalizeEnumList(config.difficulties);
+  const effectiveStatuses = statuses.length ? statuses : defaults.statuses;
+  const completedStatuses = Array.isArray(config.completedStatuses)
+    ? normalizeEnumList(config.completedStatuses)
+    : defaults.completedStatuses;
+
+  return {
+    statuses: effectiveStatuses,
+    completedStatuses: completedStatuses.filter((status) =>
+      effectiveStatuses.includes(status)
+    ),
+    difficulties: difficulties.length ? difficulties : defaults.difficulties,
+  };
+}
+
+/**
+ * Aplica uma nova configuração a uma aba, remapeando os jogos cujos valores foram
+ * renomeados ou removidos (em vez de deixá-los "(Inválido)").
+ *
+ * @param {Object} tab - Aba original (não é alterada).
+ * @param {{statuses: Array<string>, completedStatuses?: Array<string>, difficulties: Array<string>}} newConfig -
+ *   Nova configuração.
+ * @param {{statuses?: Object<string, string>, difficulties?: Object<string, string>}} remap -
+ *   Para cada lista, mapa `valorAntigo -> valorNovo`.
+ * @returns {Object} Nova aba com `config` atualizado e jogos remapeados.
+ */
+export function applyTabConfig(tab, newConfig, remap = {}) {
+  const config = getTabConfig({ config: newConfig });
+
+  const games = tab.games.map((game) => {
+    const updated = { ...game };
+    Object.entries(CONFIGURABLE_FIELDS).forEach(([field, configKey]) => {
+      const mapping = remap[configKey] || {};
+      if (Object.prototype.hasOwnProperty.call(mapping, game[field])) {
+        updated[field] = mapping[game[field]];
+      }
+    });
+    return updated;
+  });
+
+  return { ...tab, config, games };
+}
+
+/**
+ * Posição ordinal de um valor na lista configurada (usada na ordenação).
+ * Valores fora da lista vão para o final.
+ * @param {Array<string>} list - Lista ordenada de valores.
+ * @param {string} value - Valor a localizar.
+ * @returns {number}
+ */
+export function getOrdinal(list, value) {
+  const index = list.indexOf(value);
+  return index === -1 ? list.length : index;
+}
@@ -0,0 +1,82 @@
+// assets/js/utils/TabRecords.js
+
+/**
+ * @fileoverview Divisão das abas em registros independentes (um por aba, sem os
+ * jogos, e um por jogo) e a reconstrução inversa.
+ *
+ * Usado pelo IndexedDbStorageService (grava somente os registros alterados) e pelo
+ * LiveSync (envia a outras janelas somente os registros alterados).
+ *
+ * Funções puras (sem DOM/storage). Faz parte da Camada Service/Utils.
+ */
+
+/**
+ * Id do registro de uma aba.
+ * @param {string} tabId
+ * @returns {string}
+ */
+export function tabRecordId(tabId) {
+  return `tab/${tabId}`;
+}
+
+/**
+ * Id do registro de um jogo (o id do jogo é único dentro da aba).
+ * @param {string} tabId
+ * @param {string} gameId
+ * @returns {string}
+ */
+export function gameRecordId(tabId, gameId) {
+  return `game/${tabId}/${gameId}`;
+}
+
+/**
+ * Divide as abas em registros. O registro da aba guarda a ordem dos jogos (`gameIds`).
+ * @param {Array} tabs - Abas ({ id, name, config, games }).
+ * @returns {Map<string, Object>} `idDoRegistro -> valor`.
+ */
+export function tabsToRecords(tabs) {
+  const records = new Map();
+
+  tabs.forEach((tab) => {
+    const { games, ...tabFields } = tab;
+    records.set(tabRecordId(tab.id), {
+      ...tabFields,
+      gameIds: games.map((game) => game.id),
+    });
+    games.forEach((game) => {
+      records.set(gameRecordId(tab.id, game.id), game);
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Reconstrói as abas a partir dos registros.
+ * Registros de jogo que não aparecem em `gameIds` (ex: jogo mantido em um conflito
+ * com uma exclusão feita em outra janela) entram no final da aba.
+ *
+ * @param {Array<string>} tabIds - Ordem das abas.
+ * @param {Map<string, Object>} records - Registros (`idDoRegistro -> valor`).
+ * @returns {Array} Abas.
+ */
+export function recordsToTabs(tabIds, records) {
+  return tabIds
+    .map((tabId) => records.get(tabRecordId(tabId)))
+    .filter(Boolean)
+    .map(({ gameIds, ...tab }) => {
+      const prefix = gameRecordId(tab.id, "");
+      const listed = new Set(gameIds);
+      const orphanIds = [...records.keys()]
+        .filter((id) => id.startsWith(prefix))
+        .map((id) => id.slice(prefix.length))
+        .filter((gameId) => !listed.has(gameId));
+
+      return {
+        ...tab,
+        games: [...gameIds, ...orphanIds]
+          .map((gameId) => records.get(gameRecordId(tab.id, gameId)))
+          .filter(Boolean),
+      };
+    });
+}
@@ -0,0 +1,118 @@
+// benchmarks/generate_fixture.mjs
+
+/**
+ * @fileoverview Gera a fixture do benchmark da tabela (table_render.html): uma aba com
+ * 5.000 jogos, no mesmo envelope versionado que o Game Tracker grava e exporta (o arquivo
+ * também pode ser importado na aplicação).
+ *
+ * Determinística (gerador pseudoaleatório com semente fixa): rodar de novo produz o mesmo
+ * arquivo. Parte dos títulos são variações de outros (ex: "Zelda: ..." e "Zelda ..."),
+ * para que a tabela também exiba avisos de possíveis duplicados.
+ *
+ * Uso (na raiz do projeto): node benchmarks/generate_fixture.mjs [quantidade]
+ * Requer Node 20.19+ (carrega os arquivos .js da aplicação como ES modules sem package.json).
+ */
+
+import { writeFileSync, mkdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createEnvelope } from "../assets/js/utils/SchemaMigrations.js";
+import { createDefaultTabConfig } from "../assets/js/utils/TabConfig.js";
+
+const GAME_COUNT = Number(process.argv[2]) || 5000;
+const OUTPUT_FILE = join(
+  dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  `tracker_${GAME_COUNT}.json`
+);
+
+const FIRST_WORDS = [
+  "Final", "Super", "Dark", "Legend of", "Shadow", "Dragon", "Star", "Crystal", "Metal",
+  "Silent", "Mega", "Ninja", "Space", "Iron", "Golden", "Chrono", "Blue", "Mystic",
+  "Royal", "Wild", "Neon", "Frozen", "Ancient", "Rocket", "Phantom",
+];
+const SECOND_WORDS = [
+  "Fantasy", "Quest", "Souls", "Knight", "Hunter", "Saga", "Wars", "Odyssey", "Gear",
+  "Hill", "Racer", "Tactics", "Legends", "Island", "Kingdom", "Trigger", "Frontier",
+  "Arena", "Chronicles", "Rush", "Empire", "Station", "Valley", "Horizon", "Dungeon",
+];
+const SUBTITLES = ["", "", "Remastered", "Origins", "Reborn", "Definitive Edition", "The Lost Kingdom"];
+const PLATFORMS = ["", "SNES", "PS1", "PS2", "GBA", "NDS", "Switch", "PC", "Mega Drive", "N64"];
+const TAGS = ["rpg", "ação", "plataforma", "corrida", "coop", "retrô", "favorito", "indie"];
+
+/**
+ * Gerador pseudoaleatório (mulberry32) com semente fixa.
+ * @param {number} seed
+ * @returns {() => number} Números em [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = createRandom(20);
+const pick = (values) => values[Math.floor(random() * values.length)];
+
+/**
+ * Título do jogo `index`. A cada 10 jogos, um repete o título de um anterior com outra
+ * pontuação (possível duplicado).
+ * @param {number} index
+ * @param {Array<string>} titles Títulos já gerados.
+ * @returns {string}
+ */
+function createTitle(index, titles) {
+  if (index > 0 && index % 10 === 0) {
+    return pick(titles).replace(": ", " - ");
+  }
+  const sequel = random() < 0.4 ? ` ${2 + Math.floor(random() * 8)}` : "";
+  const subtitle = pick(SUBTITLES);
+  return `${pick(FIRST_WORDS)} ${pick(SECOND_WORDS)}${sequel}${subtitle ? `: ${subtitle}` : ""}`;
+}
+
+/**
+ * Data ISO (AAAA-MM-DD) entre 2015 e 2024.
+ * @returns {string}
+ */
+function createDate() {
+  const date = new Date(Date.UTC(2015, 0, 1) + Math.floor(random() * 3650) * 86400000);
+  return date.toISOString().slice(0, 10);
+}
+
+const config = createDefaultTabConfig();
+const titles = [];
+const games = Array.from({ length: GAME_COUNT }, (_, index) => {
+  const title = createTitle(index, titles);
+  titles.push(title);
+  const status = pick(config.statuses);
+  const startDate = status === "Não Iniciado" ? "" : createDate();
+  const finishDate =
+    status === "Zerado" && startDate
+      ? [startDate, createDate()].sort()[1]
+      : "";
+  return {
+    id: `bench-${index + 1}`,
+    title,
+    status,
+    note: String(Math.floor(random() * 11)),
+    difficulty: pick(config.difficulties),
+    startDate,
+    finishDate,
+    hoursPlayed: status === "Não Iniciado" ? 0 : Math.round(random() * 120 * 2) / 2,
+    platform: pick(PLATFORMS),
+    tags: TAGS.filter(() => random() < 0.2),
+    updatedAt: "2024-01-01T00:00:00.000Z",
+  };
+});
+
+const payload = createEnvelope([
+  { id: "bench-tab", name: `Benchmark (${GAME_COUNT} jogos)`, config, games },
+]);
+
+mkdirSync(dirname(OUTPUT_FILE), { recursive: true });
+writeFileSync(OUTPUT_FILE, `${JSON.stringify(payload)}\n`);
+console.log(`${GAME_COUNT} jogos gravados em ${OUTPUT_FILE}`);
@@ -0,0 +1,187 @@
+// benchmarks/table_render.js
+
+/**
+ * @fileoverview Benchmark da renderização da tabela do Game Tracker com uma aba de
+ * 5.000 jogos (fixtures/tracker_5000.json, gerada por generate_fixture.mjs).
+ *
+ * Reproduz o que o Controller (game_tracker.js) faz a cada edição: altera o jogo pelo Model
+ * (GameRow.updateProperty), recalcula os dados derivados somente quando títulos, tags ou
+ * plataformas mudam (como getDerivedData) e chama o setState do TabManager, do TableManager
+ * e do StatsManager. A persistência fica de fora (ela é assíncrona e não bloqueia o render).
+ * Cada tempo vai do início da edição até o fim do layout (leitura de offsetHeight).
+ *
+ * Nada é gravado: a página não usa o localStorage nem o IndexedDB da aplicação.
+ */
+
+import { TabManager } from "../assets/js/components/TabManager.js";
+import { TableManager } from "../assets/js/components/TableManager.js";
+import { StatsManager } from "../assets/js/components/StatsManager.js";
+import { GameRow } from "../assets/js/models/GameRow.js";
+import { migratePayload } from "../assets/js/utils/SchemaMigrations.js";
+import { getTabConfig } from "../assets/js/utils/TabConfig.js";
+import { createDuplicateIndex } from "../assets/js/utils/DuplicateDetector.js";
+
+const FIXTURE_URL = new URL("./fixtures/tracker_5000.json", import.meta.url);
+const EDIT_COUNT = 30; // Edições medidas por cenário
+const PAGE_SIZES = [10, 100];
+
+/**
+ * Valores únicos (sem diferenciar maiúsculas) de todos os jogos, como o Controller.
+ * @param {Array} tabs
+ * @param {Function} getValues
+ * @returns {Array<string>}
+ */
+function collectKnownValues(tabs, getValues) {
+  const values = new Map();
+  tabs.forEach((tab) =>
+    tab.games.forEach((game) =>
+      (getValues(game) || []).forEach((value) => {
+        if (value && !values.has(value.toLowerCase())) {
+          values.set(value.toLowerCase(), value);
+        }
+      })
+    )
+  );
+  return Array.from(values.values()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Mediana, percentil 95 e máximo de uma lista de tempos (ms).
+ * @param {Array<number>} times
+ * @returns {{median: number, p95: number, max: number}}
+ */
+function summarize(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const at = (fraction) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+  return { median: at(0.5), p95: at(0.95), max: sorted[sorted.length - 1] };
+}
+
+/**
+ * Executa os cenários e retorna uma linha de resultado por cenário.
+ * @param {{tabList: HTMLElement, tabContent: HTMLElement, stats: HTMLElement}} containers
+ * @returns {Promise<Array<{scenario: string, runs: number, median: number, p95: number, max: number}>>}
+ */
+export async function runTableBenchmark(containers) {
+  const response = await fetch(FIXTURE_URL);
+  if (!response.ok) {
+    throw new Error(
+      `Fixture não encontrada (${response.status}). Gere com: node benchmarks/generate_fixture.mjs`
+    );
+  }
+  const tabsData = migratePayload(await response.json()).tabs;
+  const tab = tabsData[0];
+
+  const tabManager = new TabManager(containers.tabList, {});
+  const tableManager = new TableManager(containers.tabContent, {});
+  const statsManager = new StatsManager(containers.stats);
+
+  let derivedData = { signature: null };
+  const getDerivedData = () => {
+    const signature = JSON.stringify(
+      tabsData.map((t) => [
+        t.id,
+        t.name,
+        t.games.map((game) => [game.id, game.title, game.platform, game.tags]),
+      ])
+    );
+    if (signature !== derivedData.signature) {
+      derivedData = {
+        signature,
+        knownTags: collectKnownValues(tabsData, (game) => game.tags),
+        knownPlatforms: collectKnownValues(tabsData, (game) => [game.platform]),
+        duplicateIndex: createDuplicateIndex(tabsData),
+      };
+    }
+    return derivedData;
+  };
+
+  // Mesmo fluxo do updateUI do Controller, sem a persistência
+  let pageSize = PAGE_SIZES[0];
+  const updateUI = () => {
+    const { knownTags, knownPlatforms, duplicateIndex } = getDerivedData();
+    tabManager.setState(tabsData, tab.id);
+    tableManager.setState(tab, {
+      knownTags,
+      knownPlatforms,
+      pageSize,
+      tabs: tabsData.map(({ id, name }) => ({ id, name })),
+      duplicateIndex,
+    });
+    statsManager.setState(tabsData, tab.id);
+  };
+
+  // Edição pelo Model, como o callback updateGame do Controller
+  const editGame = (game, property, value) => {
+    const gameRow = GameRow.fromJSON(game, getTabConfig(tab));
+    if (gameRow.updateProperty(property, value)) Object.assign(game, gameRow.toJSON());
+  };
+
+  const measure = (action) => {
+    const start = performance.now();
+    action();
+    updateUI();
+    void document.body.offsetHeight; // Inclui o layout no tempo medido
+    return performance.now() - start;
+  };
+  // Dá ao navegador a chance de pintar entre as medições
+  const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  const results = [];
+  const addResult = (scenario, times) =>
+    results.push({
+      scenario,
+      runs: times.length,
+      ...Object.fromEntries(
+        Object.entries(summarize(times)).map(([key, value]) => [
+          key,
+          Math.round(value * 10) / 10,
+        ])
+      ),
+    });
+
+  addResult(`Primeira renderização (${pageSize} por página)`, [measure(() => {})]);
+
+  const { statuses } = getTabConfig(tab);
+  for (const size of PAGE_SIZES) {
+    pageSize = size;
+    await nextFrame();
+    measure(() => {}); // Troca de tamanho de página (fora da medição)
+
+    // Status: não muda títulos/tags/plataformas, reaproveita os dados derivados
+    const statusTimes = [];
+    for (let i = 0; i < EDIT_COUNT; i++) {
+      await nextFrame();
+      const game = tab.games[i % size];
+      statusTimes.push(
+        measure(() =>
+          editGame(
+            game,
+            "status",
+            statuses[(statuses.indexOf(game.status) + 1) % statuses.length]
+          )
+        )
+      );
+    }
+    addResult(`Editar status (${size} por página)`, statusTimes);
+
+    // Título: recalcula o índice de duplicados e as sugestões
+    const titleTimes = [];
+    for (let i = 0; i < EDIT_COUNT; i++) {
+      await nextFrame();
+      const game = tab.games[i % size];
+      titleTimes.push(
+        measure(() =>
+          editGame(
+            game,
+            "title",
+            game.title.endsWith(" II") ? game.title.slice(0, -3) : `${game.title} II`
+          )
+        )
+      );
+    }
+    addResult(`Editar título (${size} por página)`, titleTimes);
+  }
+
+  return results;
+}
@@ -0,0 +1,87 @@
+// tests/schema_migrations.mjs
+
+/**
+ * @fileoverview Verifica as migrações de schema (utils/SchemaMigrations.js) com payloads
+ * gravados por versões antigas: cada fixture de tests/fixtures/schema/ (array legado, v1
+ * e v4) passa por migratePayload e é comparada com o `.expected.json` correspondente.
+ * Também confere que a entrada não é alterada (migrações puras), que o resultado migrado
+ * de novo não muda e os erros de versão mais nova e de formato irreconhecível.
+ *
+ * Sem dependências. Uso (na raiz do projeto): node tests/schema_migrations.mjs
+ * Requer Node 20.19+ (carrega os arquivos .js da aplicação como ES modules sem package.json).
+ */
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  CURRENT_SCHEMA_VERSION,
+  SchemaFormatError,
+  SchemaVersionError,
+  migratePayload,
+} from "../assets/js/utils/SchemaMigrations.js";
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "schema");
+const FIXTURES = [
+  { name: "legacy_array", fromVersion: 0 },
+  { name: "v1", fromVersion: 1 },
+  { name: "v4", fromVersion: 4 },
+];
+
+const readFixture = (fileName) =>
+  JSON.parse(readFileSync(join(FIXTURES_DIR, fileName), "utf8"));
+
+let failures = 0;
+
+/**
+ * Executa uma verificação e registra o resultado no console.
+ * @param {string} name
+ * @param {Function} check Lança um erro (assert) se falhar.
+ */
+function test(name, check) {
+  try {
+    check();
+    console.log(`✔ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`✘ ${name}\n${error.message}\n`);
+  }
+}
+
+FIXTURES.forEach(({ name, fromVersion }) => {
+  test(`${name}: migra para o schema ${CURRENT_SCHEMA_VERSION}`, () => {
+    const payload = readFixture(`${name}.json`);
+    const original = structuredClone(payload);
+    const migrated = migratePayload(payload);
+
+    assert.equal(migrated.migratedFrom, fromVersion);
+    assert.deepEqual(migrated, readFixture(`${name}.expected.json`));
+    assert.deepEqual(payload, original, "a entrada foi alterada pela migração");
+  });
+
+  test(`${name}: migrar de novo não altera o resultado`, () => {
+    const { migratedFrom, ...migrated } = migratePayload(readFixture(`${name}.json`));
+    const again = migratePayload(migrated);
+    assert.equal(again.migratedFrom, CURRENT_SCHEMA_VERSION);
+    assert.deepEqual(again.tabs, migrated.tabs);
+  });
+});
+
+test("schema mais novo que a aplicação é recusado", () => {
+  assert.throws(
+    () => migratePayload({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, tabs: [] }),
+    SchemaVersionError
+  );
+});
+
+test("formato irreconhecível é recusado", () => {
+  [null, "texto", { tabs: [] }, { schemaVersion: 2, tabs: [{ name: "Sem ID" }] }].forEach(
+    (payload) => assert.throws(() => migratePayload(payload), SchemaFormatError)
+  );
+});
+
+if (failures > 0) {
+  console.error(`${failures} verificação(ões) falharam.`);
+  process.exitCode = 1;
+}